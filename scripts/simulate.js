@@ -0,0 +1,74 @@
+import { World, FIXED_TIME_STEP } from '../src/World.js';
+import { BallAI } from '../src/BallAI.js';
+
+/**
+ * Runs headless matches under Node and prints balancing statistics
+ * Match i is played with seed firstSeed + i, so runs are reproducible
+ * Usage: node scripts/simulate.js [games] [maxSeconds] [firstSeed] [arenaShape] [mode] [difficulty]
+ */
+const games = parseInt(process.argv[2]) || 100;
+const maxSeconds = parseFloat(process.argv[3]) || 300;
+const firstSeed = parseInt(process.argv[4]) || 1;
+const arenaShape = process.argv[5] || 'square';
+const mode = process.argv[6] || 'classic';
+const difficulty = process.argv[7] || 'normal';
+
+const bot = new BallAI();
+
+/**
+ * Simple player bot: flee the nearest threat, otherwise chase the best target
+ * @param {World} world - World to control the player of
+ */
+function drivePlayer(world) {
+  const player = world.player;
+  const threat = bot.findNearestThreat(player, world.balls);
+  const target = bot.findIdealTarget(player, world.balls);
+
+  let direction = null;
+  if (threat) {
+    direction = world.arena.offset(threat.position, player.position);
+  } else if (target) {
+    direction = world.arena.offset(player.position, target.position);
+  }
+
+  if (direction) {
+    // Forward for heading h is (-sin h, 0, -cos h)
+    world.setPlayerInput({ heading: Math.atan2(-direction.x, -direction.z), thrust: 2.0 });
+  } else {
+    world.setPlayerInput({ thrust: 0 });
+  }
+}
+
+const results = [];
+for (let i = 0; i < games; i++) {
+  const world = new World({ arenaShape, mode, difficulty });
+  world.reset(firstSeed + i);
+  let outcome = {};
+  world.on('gameOver', result => {
+    outcome = result;
+  });
+
+  while (!world.gameOver && world.time < maxSeconds) {
+    drivePlayer(world);
+    world.step(FIXED_TIME_STEP);
+  }
+
+  results.push({
+    score: world.score,
+    radius: world.player.radius,
+    seconds: world.time,
+    died: world.gameOver && !outcome.won,
+    won: Boolean(outcome.won)
+  });
+}
+
+const average = key => results.reduce((sum, r) => sum + r[key], 0) / results.length;
+
+console.log(`Games played:     ${results.length}`);
+console.log(`Deaths:           ${results.filter(r => r.died).length}`);
+if (mode !== 'classic') {
+  console.log(`Wins:             ${results.filter(r => r.won).length}`);
+}
+console.log(`Average score:    ${average('score').toFixed(1)}`);
+console.log(`Average radius:   ${average('radius').toFixed(2)}`);
+console.log(`Average duration: ${average('seconds').toFixed(1)}s`);
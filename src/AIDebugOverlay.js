@@ -0,0 +1,98 @@
+import { PERSONALITY_PROFILES } from './AIPersonality.js';
+import { AIAction } from './BallAI.js';
+
+const REFRESH_INTERVAL = 250; // Milliseconds between redraws
+const BALLS_SHOWN = 4; // Enemies listed, nearest to the player first
+const OPTIONS_SHOWN = 4; // Best scoring actions listed per enemy
+
+/**
+ * Panel listing how the AI scored its options, for tuning
+ * Shows the enemies nearest the player with their hunger, active power-ups,
+ * what they perceive and their best scoring actions, each with the
+ * considerations that make up its score. The best scoring action, the one
+ * being carried out, is highlighted.
+ * Toggled with the backquote key.
+ */
+export class AIDebugOverlay {
+  /**
+   * @param {World} world - World to observe
+   */
+  constructor(world) {
+    this.world = world;
+    this.container = document.getElementById('aiDebug');
+    this.visible = false;
+    this.lastRefresh = 0;
+  }
+
+  /**
+   * Shows or hides the panel
+   */
+  toggle() {
+    this.visible = !this.visible;
+    this.container.classList.toggle('hidden', !this.visible);
+    this.lastRefresh = 0;
+    this.update();
+  }
+
+  /**
+   * Redraws the panel, at most every REFRESH_INTERVAL
+   */
+  update() {
+    if (!this.visible) return;
+    
+    const now = Date.now();
+    if (now - this.lastRefresh < REFRESH_INTERVAL) return;
+    this.lastRefresh = now;
+    
+    const { arena } = this.world;
+    const center = this.world.getPlayerCenter();
+    const distance = ball => arena.offset(center, ball.position).length();
+    const nearest = [...this.world.enemies]
+      .sort((a, b) => distance(a) - distance(b))
+      .slice(0, BALLS_SHOWN);
+    
+    this.container.innerHTML = nearest.map(enemy => this.describeBall(enemy)).join('');
+  }
+
+  /**
+   * Markup for one enemy
+   * @param {Ball} enemy - AI-controlled ball
+   * @returns {string} HTML
+   */
+  describeBall(enemy) {
+    const { ai } = enemy;
+    const icon = enemy.personality ? PERSONALITY_PROFILES[enemy.personality].icon : '';
+    const boosts = enemy.powerUps ? enemy.powerUps.activePowerUps.map(powerUp => ` [${powerUp.type}]`).join('') : '';
+    const rows = ai.scores.slice(0, OPTIONS_SHOWN).map((option, index) => {
+      const considerations = Object.entries(option.considerations)
+        .map(([name, value]) => `${name} ${value.toFixed(2)}`)
+        .join(' × ');
+      // The best option is the one acted on until the next decision
+      const className = index === 0 ? ' class="chosen"' : '';
+      return `<div${className}>${option.score.toFixed(3)} ${this.describeOption(option)}: ${considerations}</div>`;
+    });
+    
+    return `
+      <div class="ai-debug-ball">
+        <div class="ai-debug-name">${icon}${enemy.name} (${enemy.radius.toFixed(1)}) hunger ${ai.hunger.toFixed(2)}${boosts}</div>
+        <div>sees ${ai.perception.visible.length}, remembers ${ai.perception.recall().length}</div>
+        ${rows.join('')}
+      </div>
+    `;
+  }
+
+  /**
+   * Short label for an option
+   * @param {Object} option - Option from BallAI.scoreOptions()
+   * @returns {string} Action and what it is about
+   */
+  describeOption(option) {
+    if (option.action === AIAction.JUMP_OVER) {
+      return `${option.action} → ${this.describeOption(option.goal)}`;
+    }
+    const subject = option.subject;
+    if (!subject) return option.action;
+    const name = subject.isPellet ? 'pellet' : subject.name ?? subject.type;
+    return `${option.action} ${name}`;
+  }
+}
@@ -0,0 +1,299 @@
+import * as THREE from 'three';
+import { ObstacleType } from './ObstacleField.js';
+import { clamp } from './utils.js';
+
+const SENSE_GAP = 10; // Balls this close are sensed all around, in sight or not
+const MIN_TURN_SPEED = 1; // Slower balls keep facing the way they last moved
+const MAX_BLOCKERS = 8; // Only the nearest balls, which cover the widest view, may block sight
+
+/**
+ * Distance from a point to a line segment on the XZ plane
+ * @param {number} x - Point X
+ * @param {number} z - Point Z
+ * @param {number} x1 - Start of the segment X
+ * @param {number} z1 - Start of the segment Z
+ * @param {number} x2 - End of the segment X
+ * @param {number} z2 - End of the segment Z
+ * @returns {number} Distance to the closest point of the segment
+ */
+function distanceToSegment(x, z, x1, z1, x2, z2) {
+  const dx = x2 - x1;
+  const dz = z2 - z1;
+  const lengthSq = dx * dx + dz * dz;
+  const t = lengthSq > 0 ? clamp(((x - x1) * dx + (z - z1) * dz) / lengthSq, 0, 1) : 0;
+  return Math.hypot(x1 + dx * t - x, z1 + dz * t - z);
+}
+
+/**
+ * Which side of a line a point lies on, on the XZ plane
+ * The line runs through (x1, z1) and (x2, z2); the point is (x, z).
+ * @returns {number} Positive on one side, negative on the other, 0 on the line
+ */
+function side(x1, z1, x2, z2, x, z) {
+  return (x2 - x1) * (z - z1) - (z2 - z1) * (x - x1);
+}
+
+/**
+ * Distance between two line segments on the XZ plane
+ * The first runs from (ax1, az1) to (ax2, az2), the second from (bx1, bz1)
+ * to (bx2, bz2).
+ * @returns {number} 0 if they cross
+ */
+function segmentGap(ax1, az1, ax2, az2, bx1, bz1, bx2, bz2) {
+  const crosses = side(ax1, az1, ax2, az2, bx1, bz1) * side(ax1, az1, ax2, az2, bx2, bz2) < 0 &&
+    side(bx1, bz1, bx2, bz2, ax1, az1) * side(bx1, bz1, bx2, bz2, ax2, az2) < 0;
+  if (crosses) return 0;
+
+  return Math.min(
+    distanceToSegment(ax1, az1, bx1, bz1, bx2, bz2),
+    distanceToSegment(ax2, az2, bx1, bz1, bx2, bz2),
+    distanceToSegment(bx1, bz1, ax1, az1, ax2, az2),
+    distanceToSegment(bx2, bz2, ax1, az1, ax2, az2)
+  );
+}
+
+/**
+ * What an AI ball sees and remembers of the other balls
+ * A ball sees the balls inside its view cone, which faces the way it is
+ * moving, unless a bigger ball or a solid obstacle taller than them stands in
+ * the line of sight; balls right next to it are sensed whichever way it
+ * faces. Balls that drop out of sight are remembered where they were last
+ * seen for a while, so the AI can search for prey that slipped away and keep
+ * clear of threats it can no longer see. Balls that leave the world are
+ * forgotten at once.
+ *
+ * Each decision measures every ball in range once; only the MAX_BLOCKERS
+ * nearest of them are checked as blockers.
+ */
+export class AIPerception {
+  constructor() {
+    this.viewAngle = 160; // Full width of the view cone in degrees; 360 sees all around
+    this.memorySpan = 4; // Seconds a ball out of sight is remembered
+    this.facing = new THREE.Vector3(0, 0, -1);
+    this.time = 0; // When perceive() last ran
+    this.visible = []; // Balls seen by the last perceive()
+    this.memory = new Map(); // Ball -> { ball, name, position, radius, seenAt }
+    this.sightings = []; // Reused { ball, x, z, distance } offsets to the balls in range
+    this.nearest = []; // The MAX_BLOCKERS nearest sightings, nearest first
+    this.farthest = 0; // Distance to the farthest sighting
+    this.cover = []; // Solid obstacles in range as { obstacle, x, z, halfX, halfZ, reach }
+    this.scratch = new THREE.Vector3();
+  }
+
+  /**
+   * Looks around and updates the memory
+   * @param {Object} ball - The perceiving ball
+   * @param {Array} balls - Balls in range
+   * @param {number} time - Seconds of AI time
+   * @returns {Array<Object>} Balls the ball can see or sense
+   */
+  perceive(ball, balls, time) {
+    const speed = Math.hypot(ball.velocity.x, ball.velocity.z);
+    if (speed > MIN_TURN_SPEED) {
+      this.facing.set(ball.velocity.x / speed, 0, ball.velocity.z / speed);
+    }
+    
+    this.time = time;
+    const count = this.measure(ball, balls);
+    this.findCover(ball, this.farthest);
+    
+    const minDot = this.getConeCosine();
+    this.visible = [];
+    for (let i = 0; i < count; i++) {
+      const sighting = this.sightings[i];
+      const other = sighting.ball;
+      const sensed = sighting.distance - ball.radius - other.radius < SENSE_GAP;
+      if (!sensed) {
+        const dot = sighting.x * this.facing.x + sighting.z * this.facing.z;
+        if (dot < sighting.distance * minDot || this.isHidden(sighting)) continue;
+      }
+      
+      this.visible.push(other);
+      let record = this.memory.get(other);
+      if (!record) {
+        record = { ball: other, name: other.name, position: new THREE.Vector3(), radius: 0, seenAt: 0 };
+        this.memory.set(other, record);
+      }
+      record.position.copy(other.position);
+      record.radius = other.radius;
+      record.seenAt = time;
+    }
+    
+    for (const [other, record] of this.memory) {
+      if (other.isRemoved || time - record.seenAt > this.memorySpan) this.memory.delete(other);
+    }
+    
+    return this.visible;
+  }
+
+  /**
+   * Checks whether a ball is where the perceiving ball could see it,
+   * ignoring anything in the way
+   * @param {Object} ball - The perceiving ball
+   * @param {Object} other - Ball to look for
+   * @param {number} range - Perception range
+   * @returns {boolean} True if sensed close by, or in range inside the view cone
+   */
+  canPerceive(ball, other, range) {
+    const offset = ball.arena
+      ? ball.arena.offset(ball.position, other.position, this.scratch)
+      : this.scratch.subVectors(other.position, ball.position);
+    const distance = Math.hypot(offset.x, offset.z);
+    if (distance - ball.radius - other.radius < SENSE_GAP) return true;
+    if (distance > range) return false;
+    return offset.x * this.facing.x + offset.z * this.facing.z >= distance * this.getConeCosine();
+  }
+
+  /**
+   * Cosine of half the view angle
+   * @returns {number} Least cosine between the facing and a ball in view;
+   *   -Infinity when the ball sees all around
+   */
+  getConeCosine() {
+    return this.viewAngle < 360 ? Math.cos(THREE.MathUtils.degToRad(this.viewAngle) / 2) : -Infinity;
+  }
+
+  /**
+   * Remembered balls that are out of sight
+   * @returns {Array<Object>} Records { ball, name, position, radius, seenAt }
+   *   of where each was last seen
+   */
+  recall() {
+    return [...this.memory.values()].filter(record => record.seenAt < this.time && !record.ball.isRemoved);
+  }
+
+  /**
+   * Drops a ball from memory, e.g. once it wasn't where it was last seen
+   * @param {Object} other - Ball to forget
+   */
+  forget(other) {
+    this.memory.delete(other);
+  }
+
+  /**
+   * Fills the sightings with the horizontal offset to each other ball, and
+   * keeps the MAX_BLOCKERS nearest in order
+   * @param {Object} ball - The perceiving ball
+   * @param {Array} balls - Balls in range
+   * @returns {number} How many sightings were filled
+   */
+  measure(ball, balls) {
+    let count = 0;
+    this.nearest.length = 0;
+    this.farthest = 0;
+    for (const other of balls) {
+      if (other === ball || other.isRemoved) continue;
+      
+      const offset = ball.arena
+        ? ball.arena.offset(ball.position, other.position, this.scratch)
+        : this.scratch.subVectors(other.position, ball.position);
+      const sighting = this.sightings[count] ?? (this.sightings[count] = { ball: null, x: 0, z: 0, distance: 0 });
+      sighting.ball = other;
+      sighting.x = offset.x;
+      sighting.z = offset.z;
+      sighting.distance = Math.hypot(offset.x, offset.z);
+      this.farthest = Math.max(this.farthest, sighting.distance);
+      this.keepIfNear(sighting);
+      count++;
+    }
+    
+    for (let i = count; i < this.sightings.length; i++) this.sightings[i].ball = null;
+    return count;
+  }
+
+  /**
+   * Inserts a sighting into the nearest list if it is among the MAX_BLOCKERS
+   * nearest so far
+   * @param {Object} sighting - Sighting just measured
+   */
+  keepIfNear(sighting) {
+    const nearest = this.nearest;
+    if (nearest.length === MAX_BLOCKERS) {
+      if (sighting.distance >= nearest[MAX_BLOCKERS - 1].distance) return;
+      nearest.pop();
+    }
+    
+    let i = nearest.length;
+    nearest.push(sighting);
+    while (i > 0 && nearest[i - 1].distance > sighting.distance) {
+      nearest[i] = nearest[i - 1];
+      i--;
+    }
+    nearest[i] = sighting;
+  }
+
+  /**
+   * Gathers the solid obstacles that could stand in a line of sight, with
+   * their centers relative to the ball and how far from the center they reach
+   * @param {Object} ball - The perceiving ball
+   * @param {number} range - Distance to the farthest ball looked at
+   */
+  findCover(ball, range) {
+    this.cover = [];
+    if (!ball.obstacles || range <= 0) return;
+    
+    ball.obstacles.getNearby(ball.position, range).forEach(obstacle => {
+      if (!obstacle.solid) return;
+      
+      const center = ball.arena
+        ? ball.arena.offset(ball.position, obstacle.position, this.scratch)
+        : this.scratch.subVectors(obstacle.position, ball.position);
+      const halfLength = obstacle.type === ObstacleType.WALL ? obstacle.length / 2 : 0;
+      this.cover.push({
+        obstacle,
+        x: center.x,
+        z: center.z,
+        halfX: halfLength ? obstacle.direction.x * halfLength : 0,
+        halfZ: halfLength ? obstacle.direction.z * halfLength : 0,
+        reach: obstacle.radius + halfLength
+      });
+    });
+  }
+
+  /**
+   * Checks whether the line of sight to a ball is blocked
+   * @param {Object} target - Sighting of the ball looked at
+   * @returns {boolean} True behind a bigger ball or a solid obstacle taller than it
+   */
+  isHidden(target) {
+    const radius = target.ball.radius;
+    const { x, z, distance } = target;
+    
+    // Only nearer balls can stand between the two
+    for (const blocker of this.nearest) {
+      if (blocker.distance >= distance) break;
+      if (blocker.ball.radius <= radius) continue;
+      
+      const along = blocker.x * x + blocker.z * z;
+      const across = Math.abs(blocker.x * z - blocker.z * x) / distance;
+      if (along > 0 && across < blocker.ball.radius) return true;
+    }
+    
+    for (const cover of this.cover) {
+      if (cover.obstacle.height >= 2 * radius && this.blocksSight(cover, x, z, distance)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Checks whether a solid obstacle cuts a line of sight
+   * @param {Object} cover - Entry from findCover()
+   * @param {number} x - Offset to the ball looked at, X
+   * @param {number} z - Offset to the ball looked at, Z
+   * @param {number} distance - Distance to the ball looked at
+   * @returns {boolean} True if the line passes through the obstacle
+   */
+  blocksSight(cover, x, z, distance) {
+    // Skip obstacles whose bounding circle is clear of the line
+    const along = (cover.x * x + cover.z * z) / distance;
+    const across = Math.abs(cover.x * z - cover.z * x) / distance;
+    if (across > cover.reach || along < -cover.reach || along > distance + cover.reach) return false;
+    
+    const { obstacle } = cover;
+    if (obstacle.type === ObstacleType.WALL) {
+      const { halfX, halfZ } = cover;
+      return segmentGap(0, 0, x, z, cover.x - halfX, cover.z - halfZ, cover.x + halfX, cover.z + halfZ) < obstacle.radius;
+    }
+    return distanceToSegment(cover.x, cover.z, 0, 0, x, z) < obstacle.radius;
+  }
+}
@@ -0,0 +1,110 @@
+/**
+ * Personalities an AI ball can have
+ */
+export const Personality = Object.freeze({
+  BALANCED: 'balanced', // Default tuning, used by balls without a personality
+  HUNTER: 'hunter', // Chases the biggest prey it can find and rarely backs off
+  COWARD: 'coward', // Flees at the first sign of danger
+  OPPORTUNIST: 'opportunist', // Snaps up whatever small prey is nearest
+  WANDERER: 'wanderer', // Drifts around, only eating what crosses its path
+  BULLY: 'bully' // Goes after the player, even when it can only shove them
+});
+
+/**
+ * Tuning of each personality
+ * - Forces, chances and ranges replace the BallAI defaults before size adjustments
+ * - boldness: share (0-1) of the danger the ball shrugs off when weighing fleeing against hunting
+ * - targeting: how hunts are scored; 'ideal' (big meals), 'nearest' (close prey)
+ *   or 'player' (the player first, even when it can only be shoved)
+ */
+export const PERSONALITY_PROFILES = {
+  [Personality.BALANCED]: {
+    icon: '',
+    seekForce: 2.2,
+    avoidForce: 2.0,
+    randomWalkChance: 0.2,
+    threatRange: 60,
+    targetRange: 80,
+    idealTargetRange: 100,
+    boldness: 0,
+    targeting: 'ideal'
+  },
+  [Personality.HUNTER]: {
+    icon: '🎯',
+    seekForce: 2.8,
+    avoidForce: 1.8,
+    randomWalkChance: 0.1,
+    threatRange: 50,
+    targetRange: 100,
+    idealTargetRange: 130,
+    boldness: 0.6,
+    targeting: 'ideal'
+  },
+  [Personality.COWARD]: {
+    icon: '😱',
+    seekForce: 1.8,
+    avoidForce: 2.8,
+    randomWalkChance: 0.2,
+    threatRange: 100,
+    targetRange: 60,
+    idealTargetRange: 70,
+    boldness: 0,
+    targeting: 'nearest'
+  },
+  [Personality.OPPORTUNIST]: {
+    icon: '🦊',
+    seekForce: 2.4,
+    avoidForce: 2.2,
+    randomWalkChance: 0.2,
+    threatRange: 70,
+    targetRange: 90,
+    idealTargetRange: 90,
+    boldness: 0.2,
+    targeting: 'nearest'
+  },
+  [Personality.WANDERER]: {
+    icon: '🍃',
+    seekForce: 1.6,
+    avoidForce: 2.0,
+    randomWalkChance: 0.6,
+    threatRange: 50,
+    targetRange: 40,
+    idealTargetRange: 40,
+    boldness: 0.1,
+    targeting: 'nearest'
+  },
+  [Personality.BULLY]: {
+    icon: '😈',
+    seekForce: 2.6,
+    avoidForce: 2.0,
+    randomWalkChance: 0.1,
+    threatRange: 60,
+    targetRange: 90,
+    idealTargetRange: 150,
+    boldness: 0.5,
+    targeting: 'player'
+  }
+};
+
+// How often each personality is dealt out to new enemies
+const PERSONALITY_WEIGHTS = [
+  [Personality.OPPORTUNIST, 0.3],
+  [Personality.HUNTER, 0.2],
+  [Personality.COWARD, 0.2],
+  [Personality.WANDERER, 0.15],
+  [Personality.BULLY, 0.15]
+];
+
+/**
+ * Picks a personality for a new enemy
+ * @param {Random} rng - Random source
+ * @returns {string} Personality value
+ */
+export function pickPersonality(rng) {
+  let roll = rng.next();
+  for (const [personality, weight] of PERSONALITY_WEIGHTS) {
+    roll -= weight;
+    if (roll < 0) return personality;
+  }
+  return PERSONALITY_WEIGHTS[0][0];
+}
@@ -0,0 +1,201 @@
+import * as THREE from 'three';
+import { randomPosition } from './utils.js';
+
+/**
+ * Arena topologies
+ */
+export const ArenaShape = Object.freeze({
+  SQUARE: 'square', // Balls bounce off straight edges
+  CIRCLE: 'circle', // Balls bounce off a round edge
+  TORUS: 'torus' // Square that wraps around: leaving one edge enters the opposite one
+});
+
+const EDGE_BOUNCE = 0.8; // Share of the speed kept when bouncing off the edge
+
+/**
+ * Shape and size of the playing field
+ * Everything that measures or moves across the arena goes through here, so
+ * that on a torus distances and directions take the short way across the
+ * edges and positions always stay in [-halfSize, halfSize).
+ */
+export class Arena {
+  /**
+   * @param {Object} options - { shape, size } size is the width of a square or
+   *   torus and the diameter of a circle
+   */
+  constructor(options = {}) {
+    this.shape = options.shape ?? ArenaShape.SQUARE;
+    this.size = options.size ?? 500;
+    
+    if (!Object.values(ArenaShape).includes(this.shape)) {
+      throw new Error(`Unknown arena shape: ${this.shape}`);
+    }
+  }
+
+  get halfSize() {
+    return this.size / 2;
+  }
+
+  /**
+   * Whether the arena wraps around at its edges
+   * @returns {boolean} True for a torus
+   */
+  get wraps() {
+    return this.shape === ArenaShape.TORUS;
+  }
+
+  /**
+   * Picks a random point inside the arena
+   * @param {Random} rng - Random source
+   * @param {number} spread - Fraction of the arena to spread over, from the center
+   * @returns {Object} Position {x, y, z} with y = 0
+   */
+  randomPosition(rng, spread = 1) {
+    const shape = this.shape === ArenaShape.CIRCLE ? 'circle' : 'square';
+    return randomPosition(this.halfSize * spread, rng, shape);
+  }
+
+  /**
+   * Shortest signed difference between two coordinates
+   * @param {number} delta - Plain difference
+   * @returns {number} Difference taking the short way across the edges of a torus
+   */
+  wrapDelta(delta) {
+    if (!this.wraps) return delta;
+    return delta - Math.round(delta / this.size) * this.size;
+  }
+
+  /**
+   * Brings a coordinate back inside the arena
+   * @param {number} value - Coordinate
+   * @returns {number} Coordinate in [-halfSize, halfSize) on a torus, unchanged otherwise
+   */
+  wrapCoordinate(value) {
+    if (!this.wraps) return value;
+    return value - Math.floor((value + this.halfSize) / this.size) * this.size;
+  }
+
+  /**
+   * Vector from one point to another
+   * @param {THREE.Vector3} from - Start point
+   * @param {THREE.Vector3} to - End point
+   * @param {THREE.Vector3} target - Vector to write into
+   * @returns {THREE.Vector3} to - from, the short way round on a torus
+   */
+  offset(from, to, target = new THREE.Vector3()) {
+    target.subVectors(to, from);
+    target.x = this.wrapDelta(target.x);
+    target.z = this.wrapDelta(target.z);
+    return target;
+  }
+
+  /**
+   * Distance between two points
+   * @param {THREE.Vector3} a - First point
+   * @param {THREE.Vector3} b - Second point
+   * @returns {number} Distance, the short way round on a torus
+   */
+  distance(a, b) {
+    const dx = this.wrapDelta(b.x - a.x);
+    const dy = b.y - a.y;
+    const dz = this.wrapDelta(b.z - a.z);
+    return Math.sqrt(dx * dx + dy * dy + dz * dz);
+  }
+
+  /**
+   * Moves a point to its copy closest to a reference point
+   * On a torus every point repeats every size units; renderers draw things at
+   * the copy nearest the camera's focus so the world looks seamless.
+   * @param {THREE.Vector3} position - Point to move (modified)
+   * @param {THREE.Vector3} reference - Point to be close to
+   * @returns {THREE.Vector3} position
+   */
+  nearestImage(position, reference) {
+    if (!this.wraps) return position;
+    position.x = reference.x + this.wrapDelta(position.x - reference.x);
+    position.z = reference.z + this.wrapDelta(position.z - reference.z);
+    return position;
+  }
+
+  /**
+   * Nearest part of the arena's edge
+   * @param {THREE.Vector3} position - Point inside the arena
+   * @returns {Object|null} { distance, inward } where inward is the unit vector
+   *   pointing from the edge back into the arena, or null on a torus, which has no edge
+   */
+  nearestEdge(position) {
+    const limit = this.halfSize;
+    
+    switch (this.shape) {
+      case ArenaShape.SQUARE: {
+        const toSide = limit - Math.abs(position.x);
+        const toEnd = limit - Math.abs(position.z);
+        if (toSide < toEnd) {
+          return { distance: toSide, inward: new THREE.Vector3(position.x < 0 ? 1 : -1, 0, 0) };
+        }
+        return { distance: toEnd, inward: new THREE.Vector3(0, 0, position.z < 0 ? 1 : -1) };
+      }
+      
+      case ArenaShape.CIRCLE: {
+        const distance = Math.hypot(position.x, position.z);
+        const inward = distance > 0
+          ? new THREE.Vector3(-position.x / distance, 0, -position.z / distance)
+          : new THREE.Vector3(1, 0, 0);
+        return { distance: limit - distance, inward };
+      }
+      
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Keeps a ball inside the arena after it moved
+   * @param {Ball} ball - Ball to constrain
+   */
+  constrain(ball) {
+    const { position, velocity } = ball;
+    const limit = this.halfSize;
+    
+    switch (this.shape) {
+      case ArenaShape.SQUARE:
+        if (Math.abs(position.x) > limit) {
+          position.x = Math.sign(position.x) * limit;
+          velocity.x *= -EDGE_BOUNCE;
+        }
+        if (Math.abs(position.z) > limit) {
+          position.z = Math.sign(position.z) * limit;
+          velocity.z *= -EDGE_BOUNCE;
+        }
+        break;
+      
+      case ArenaShape.CIRCLE: {
+        const distance = Math.hypot(position.x, position.z);
+        if (distance <= limit) break;
+        
+        const normal = new THREE.Vector3(position.x / distance, 0, position.z / distance);
+        position.x = normal.x * limit;
+        position.z = normal.z * limit;
+        
+        // Reflect the outward part of the motion
+        const outward = velocity.dot(normal);
+        if (outward > 0) {
+          velocity.addScaledVector(normal, -outward * (1 + EDGE_BOUNCE));
+        }
+        break;
+      }
+      
+      case ArenaShape.TORUS: {
+        const x = this.wrapCoordinate(position.x);
+        const z = this.wrapCoordinate(position.z);
+        
+        // Shift the previous position too, so rendering doesn't streak across the arena
+        ball.previousPosition.x += x - position.x;
+        ball.previousPosition.z += z - position.z;
+        position.x = x;
+        position.z = z;
+        break;
+      }
+    }
+  }
+}
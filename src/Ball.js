@@ -1,117 +1,91 @@
 import * as THREE from 'three';
-import { BallRenderer } from './BallRenderer.js';
-import { SkinManager } from './SkinManager.js';
-import { AnimationController } from './AnimationController.js';
 import { BallAI } from './BallAI.js';
-import { CelestialBodyFactory } from './CelestialBodyFactory.js';
 import { PowerUpEffects } from './PowerUpEffects.js';
+import { Random } from './Random.js';
+import { ROLL_ACCELERATION } from './Terrain.js';
+
+export const JUMP_SPEED = 150; // Upward speed at take-off
+export const GRAVITY = 300; // Downward acceleration while airborne
+
+export const SPEED_BOOST = 2; // Speed multiplier of the speed power-up
+export const SIZE_BOOST = 1.2; // Size multiplier of the size power-up
 
 /**
  * Core Ball class using composition pattern
- * Handles basic ball properties, physics, and coordinates with specialized components
+ * Handles basic ball properties and physics. Pure simulation state: visuals
+ * live in BallView, which observes the ball each frame.
  */
 export class Ball {
-  constructor(x, y, z, radius, color, scene, name = 'AI') {
+  constructor(x, y, z, radius, color, name = 'AI', rng = new Random()) {
     // Core properties
     this.position = new THREE.Vector3(x, y, z);
+    this.previousPosition = this.position.clone(); // Position at the start of the last step
     this.velocity = new THREE.Vector3(0, 0, 0);
+    this.launchVelocity = new THREE.Vector3(0, 0, 0); // From splits and ejects; ignores the speed cap and fades fast
     this.velocityY = 0; // Vertical velocity for jumping
     this.isJumping = false;
     this.radius = radius;
     this.baseRadius = radius;
     this.color = color;
-    this.scene = scene;
     this.isPlayer = false;
-    this.mass = 1;
+    this.isPellet = false; // Ejected mass, not an AI ball
+    this.mergeTimer = 0; // Seconds until a split player cell may merge back
+    this.team = null; // Team index in team games; null plays for itself
     this.name = name;
-    this.id = Math.random().toString(36).substr(2, 9);
+    this.id = rng.next().toString(36).substr(2, 9);
     this.isSun = false;
+    this.isRemoved = false; // Set by the World once the ball is eaten or eliminated
     this.terrain = null;
+    this.obstacles = null; // ObstacleField shared by all balls
+    this.arena = null; // Arena bounding the ball; unbounded if null
+    this.safeZone = null; // Battle royale zone that drains the ball outside it
+    this.skin = 'default';
+    this.powerUps = null; // PowerUpManager of an AI ball's own power-ups; the player's belong to the World
     
     // Composed components
-    this.renderer = new BallRenderer(scene);
-    this.skinManager = new SkinManager(scene);
-    this.animationController = new AnimationController(scene);
-    this.ai = new BallAI();
-    this.celestialFactory = new CelestialBodyFactory(scene);
+    this.ai = new BallAI(rng);
     this.powerUpEffects = new PowerUpEffects();
-    
-    // Initialize visual representation
-    this.mesh = null;
-    this.createMesh();
   }
 
   /**
-   * Creates the visual mesh for this ball
-   */
-  createMesh() {
-    const ballData = {
-      radius: this.radius,
-      isPlayer: this.isPlayer,
-      currentSkin: this.skinManager.getCurrentSkin(),
-      color: this.color,
-      id: this.id
-    };
-    
-    const { mesh, needsSaturnRing } = this.renderer.createMesh(ballData);
-    this.mesh = mesh;
-    this.mesh.position.copy(this.position);
-    this.scene.add(this.mesh);
-    
-    // Add Saturn ring if needed
-    if (needsSaturnRing) {
-      this.saturnRing = this.renderer.createSaturnRing(this.radius, this.position);
-    }
-    
-    // Add Mario character if this is the player
-    if (this.isPlayer) {
-      // this.animationController.createMarioCharacter(this);
-    }
-  }
-
-  /**
-   * Updates ball state each frame
-   * @param {number} deltaTime - Time since last update
+   * Advances ball state by one simulation step
+   * @param {number} deltaTime - Step length in seconds
    */
   update(deltaTime) {
+    this.previousPosition.copy(this.position);
+    
     // Apply physics first (this updates position based on terrain)
     this.applyPhysics(deltaTime, this.terrain);
     
     // Then update position from velocity (horizontal movement only)
     const horizontalVelocity = new THREE.Vector3(this.velocity.x, 0, this.velocity.z);
+    horizontalVelocity.x += this.launchVelocity.x;
+    horizontalVelocity.z += this.launchVelocity.z;
     this.position.add(horizontalVelocity.multiplyScalar(deltaTime));
+    this.launchVelocity.multiplyScalar(0.9);
     
-    // Update mesh position to match ball position
-    this.mesh.position.copy(this.position);
+    // Stay inside the arena (or wrap around it)
+    if (this.arena) {
+      this.arena.constrain(this);
+    }
     
-    // Add rotation to the ball mesh for visual effect
-    if (this.mesh) {
-      // Initialize rotation speed if not set (with small random variation)
-      if (this.rotationSpeed === undefined) {
-        // Base speed of 2 radians/sec with ±10% variation
-        this.rotationSpeed = 2.0 + (Math.random() - 0.5) * 0.4;
-      }
-      
-      // Rotate around Y axis (vertical) in one consistent direction
-      this.mesh.rotation.y += deltaTime * this.rotationSpeed;
-      
-      // Add very small wobble for realism (±5 degrees max)
-      const wobbleAmount = 0.05;
-      this.mesh.rotation.x = Math.sin(Date.now() * 0.001) * wobbleAmount;
-      this.mesh.rotation.z = Math.cos(Date.now() * 0.001) * wobbleAmount;
+    // Outside the safe zone the ball loses mass
+    if (this.safeZone) {
+      this.safeZone.drain(this, deltaTime);
     }
     
-    // Handle size boost animation
-    if (this.powerUpEffects.updateSizeAnimation(this)) {
-      this.recreateMesh();
+    // Solid obstacles push the ball back out; mud and speed pads act on it
+    if (this.obstacles) {
+      this.obstacles.collide(this);
+      this.obstacles.applyZones(this);
     }
     
-    // Update animations
-    this.animationController.updateMarioAnimation(deltaTime, this);
-    this.skinManager.updateAnimations(deltaTime, this);
+    if (this.mergeTimer > 0) {
+      this.mergeTimer = Math.max(0, this.mergeTimer - deltaTime);
+    }
     
-    // Update component positions
-    this.updateComponentPositions();
+    // Handle size boost animation
+    this.powerUpEffects.updateSizeAnimation(this);
   }
 
   /**
@@ -124,49 +98,39 @@ export class Ball {
     const dampingFactor = this.isPlayer ? 0.97 : 0.95;
     this.velocity.multiplyScalar(dampingFactor);
     
-    // Always keep ball on flat ground
+    const groundHeight = terrain ? terrain.getHeight(this.position.x, this.position.z) : 0;
+    const restingY = groundHeight + this.radius;
+    
     if (this.isJumping) {
       // Apply gravity
-      this.velocityY -= 300 * deltaTime;
+      this.velocityY -= GRAVITY * deltaTime;
       this.position.y += this.velocityY * deltaTime;
       
-      // Check if landed on flat ground
-      if (this.position.y <= this.radius) {
-        this.position.y = this.radius;
+      // Check if landed on the ground
+      if (this.position.y <= restingY) {
+        this.position.y = restingY;
         this.velocityY = 0;
         this.isJumping = false;
       }
     } else {
-      // Always stick to flat ground surface
-      this.position.y = this.radius;
-    }
-    
-    // Apply boundary constraints
-    const boundaryLimit = 250;
-    if (Math.abs(this.position.x) > boundaryLimit) {
-      this.position.x = Math.sign(this.position.x) * boundaryLimit;
-      this.velocity.x *= -0.8;
-    }
-    if (Math.abs(this.position.z) > boundaryLimit) {
-      this.position.z = Math.sign(this.position.z) * boundaryLimit;
-      this.velocity.z *= -0.8;
+      // Stick to the ground surface
+      this.position.y = restingY;
+      
+      // Roll downhill
+      if (terrain) {
+        const slope = terrain.getSlope(this.position.x, this.position.z);
+        this.velocity.x -= slope.x * ROLL_ACCELERATION * deltaTime;
+        this.velocity.z -= slope.z * ROLL_ACCELERATION * deltaTime;
+      }
     }
-    
-    // Update mesh Y position
-    this.mesh.position.y = this.position.y;
   }
 
   /**
-   * Updates positions of all components
+   * Mass used for collision response, proportional to volume
+   * @returns {number} Mass (1 for a ball of radius 10)
    */
-  updateComponentPositions() {
-    this.skinManager.updatePosition(this.position);
-    this.animationController.updatePosition(this.position);
-    
-    // Update Saturn ring position if it exists
-    if (this.saturnRing) {
-      this.saturnRing.position.copy(this.position);
-    }
+  get mass() {
+    return Math.pow(this.radius / 10, 3);
   }
 
   /**
@@ -175,8 +139,6 @@ export class Ball {
    */
   grow(amount) {
     this.radius += amount;
-    this.mass = Math.pow(this.radius / this.baseRadius, 3);
-    this.recreateMesh();
     
     // Update base radius when growing normally
     this.baseRadius = this.radius;
@@ -184,43 +146,20 @@ export class Ball {
   }
 
   /**
-   * Recreates the mesh after size changes
+   * Sets the radius after losing mass (splitting or ejecting)
+   * A running size animation keeps its proportions.
+   * @param {number} radius - New radius
    */
-  recreateMesh() {
-    // Store current skin state
-    const currentSkin = this.skinManager.getCurrentSkin();
-    
-    // Remove old mesh
-    if (this.mesh) {
-      this.renderer.disposeMesh(this.mesh);
-    }
-    
-    // Dispose of old Saturn ring if it exists
-    if (this.saturnRing) {
-      this.scene.remove(this.saturnRing);
-      this.saturnRing.children.forEach(child => {
-        if (child.geometry) child.geometry.dispose();
-        if (child.material) child.material.dispose();
-      });
-      this.saturnRing = null;
+  shrinkTo(radius) {
+    const ratio = radius / this.radius;
+    const targetRadius = this.powerUpEffects.getTargetRadius();
+    if (targetRadius !== null) {
+      this.powerUpEffects.setTargetRadius(targetRadius * ratio);
     }
     
-    // Remove and recreate Mario
-    this.animationController.removeMario();
-    
-    // Remove current skin elements
-    this.skinManager.removeSkin(this);
-    
-    // Create new mesh
-    this.createMesh();
-    
-    // Restore skin if it was active
-    if (currentSkin !== 'default') {
-      this.skinManager.setSkin(currentSkin, this);
-    }
-    
-    // Scale Mario for new size
-    this.animationController.scaleMario(this.radius);
+    this.radius = radius;
+    this.baseRadius *= ratio;
+    this.powerUpEffects.updateBaseRadius(this.baseRadius);
   }
 
   /**
@@ -233,21 +172,53 @@ export class Ball {
     const adjustedForce = force.clone().multiplyScalar(speedMultiplier);
     this.velocity.add(adjustedForce);
     
-    // Apply speed limits
-    const baseMaxSpeed = this.isPlayer ? 30 : 20;
+    // Apply speed limits; the difficulty speeds AI balls up or slows them down
+    const baseMaxSpeed = this.isPlayer ? 30 : 20 * this.ai.difficulty.speed;
     const maxSpeed = baseMaxSpeed * speedMultiplier;
     if (this.velocity.length() > maxSpeed) {
       this.velocity.normalize().multiplyScalar(maxSpeed);
     }
   }
 
+  /**
+   * Launches the ball into the air
+   * @returns {boolean} True if it took off; false if it was already airborne
+   */
+  jump() {
+    if (this.isJumping) return false;
+    
+    this.velocityY = JUMP_SPEED;
+    this.isJumping = true;
+    return true;
+  }
+
+  /**
+   * Height of the bottom of the ball above the ground under it
+   * @returns {number} Clearance; 0 while rolling
+   */
+  getClearance() {
+    if (!this.isJumping) return 0;
+    const ground = this.terrain ? this.terrain.getHeight(this.position.x, this.position.z) : 0;
+    return this.position.y - this.radius - ground;
+  }
+
   /**
    * Checks if this ball can eat another ball
    * @param {Ball} otherBall - Ball to check
    * @returns {boolean} True if can eat
    */
   canEat(otherBall) {
-    return this.radius > otherBall.radius * 1.0;
+    if (this.isAlly(otherBall)) return false;
+    return this.radius > otherBall.radius;
+  }
+
+  /**
+   * Checks if another ball is on the same team
+   * @param {Ball} otherBall - Ball to check
+   * @returns {boolean} True for a teammate; always false outside team games
+   */
+  isAlly(otherBall) {
+    return this.team !== null && otherBall !== this && otherBall.team === this.team;
   }
 
   /**
@@ -271,6 +242,7 @@ export class Ball {
    * @returns {number} Distance
    */
   distanceTo(otherBall) {
+    if (this.arena) return this.arena.distance(this.position, otherBall.position);
     return this.position.distanceTo(otherBall.position);
   }
 
@@ -288,7 +260,7 @@ export class Ball {
    * @param {string} skinType - Type of skin to apply
    */
   setSkin(skinType) {
-    this.skinManager.setSkin(skinType, this);
+    this.skin = skinType;
   }
 
   /**
@@ -308,15 +280,94 @@ export class Ball {
   }
 
   /**
-   * Transforms this ball into a Sun
+   * Takes on the size boost of a ball of the same radius this one split off from
+   * When the boost ends, this ball shrinks back by its share as the other does.
+   * @param {Ball} otherBall - Ball to copy the boost of
+   */
+  copySizeBoost(otherBall) {
+    this.baseRadius = otherBall.baseRadius;
+    this.powerUpEffects.copySizeBoost(otherBall.powerUpEffects);
+  }
+
+  /**
+   * Starts a power-up's effect on this ball
+   * @param {PowerUp} powerUp - Power-up to apply
+   */
+  applyPowerUp(powerUp) {
+    switch (powerUp.type) {
+      case 'speed':
+        this.setSpeedBoost(SPEED_BOOST);
+        break;
+      case 'size':
+        this.setSizeBoost(SIZE_BOOST);
+        break;
+      case 'pacman':
+      case 'saturn':
+      case 'earth':
+        this.setSkin(powerUp.type);
+        break;
+    }
+  }
+
+  /**
+   * Ends a power-up's effect on this ball
+   * @param {PowerUp} powerUp - Power-up to remove
+   */
+  removePowerUp(powerUp) {
+    switch (powerUp.type) {
+      case 'speed':
+        this.setSpeedBoost(1);
+        break;
+      case 'size':
+        this.setSizeBoost(1);
+        break;
+      case 'pacman':
+      case 'saturn':
+      case 'earth':
+        this.setSkin('default');
+        break;
+    }
+  }
+
+  /**
+   * Activates one of an AI ball's own power-ups
+   * @param {string} type - Power-up type
+   * @param {number} duration - Milliseconds it lasts
+   * @returns {PowerUp|null} The power-up, or null without power-ups of its own
+   *   or while the same type is still active
+   */
+  activatePowerUp(type, duration) {
+    if (!this.powerUps || this.powerUps.hasActivePowerUp(type)) return null;
+    
+    const powerUp = this.powerUps.addPowerUp(type, duration);
+    if (powerUp) this.applyPowerUp(powerUp);
+    return powerUp;
+  }
+
+  /**
+   * Advances the clocks of an AI ball's own power-ups and ends expired ones
+   * @param {number} deltaTime - Step length in seconds
+   */
+  updatePowerUps(deltaTime) {
+    if (!this.powerUps) return;
+    this.powerUps.update(deltaTime).forEach(powerUp => this.removePowerUp(powerUp));
+  }
+
+  /**
+   * Marks this ball as a Sun (rendered with the Sun appearance)
    */
   makeSun() {
-    this.celestialFactory.makeSun(this);
+    if (this.isPlayer) return;
+    this.isSun = true;
   }
 
   /**
    * AI behavior methods - delegate to AI component
    */
+  executeBehavior(allBalls, deltaTime) {
+    this.ai.executeBehavior(this, allBalls, deltaTime);
+  }
+
   randomWalk() {
     this.ai.randomWalk(this);
   }
@@ -329,6 +380,18 @@ export class Ball {
     this.ai.avoidThreat(this, threat);
   }
 
+  pursue(prey) {
+    this.ai.pursue(this, prey);
+  }
+
+  evade(threats) {
+    this.ai.evade(this, threats);
+  }
+
+  avoidObstacles(obstacles) {
+    this.ai.avoidObstacles(this, obstacles);
+  }
+
   findNearestTarget(allBalls) {
     return this.ai.findNearestTarget(this, allBalls);
   }
@@ -337,38 +400,52 @@ export class Ball {
     return this.ai.findIdealTarget(this, allBalls);
   }
 
+  findHerdingAlly(prey, allBalls) {
+    return this.ai.findHerdingAlly(this, prey, allBalls);
+  }
+
+  herdTarget(prey, ally) {
+    this.ai.herdTarget(this, prey, ally);
+  }
+
+  findEscortAlly(allBalls) {
+    return this.ai.findEscortAlly(this, allBalls);
+  }
+
+  escort(ally) {
+    this.ai.escort(this, ally);
+  }
+
+  findThreats(allBalls) {
+    return this.ai.findThreats(this, allBalls);
+  }
+
   findNearestThreat(allBalls) {
     return this.ai.findNearestThreat(this, allBalls);
   }
 
   /**
-   * Cleans up all resources
+   * Gets the AI personality for external access
+   * @returns {string|null} Personality value, or null for the balanced defaults
    */
-  destroy() {
-    if (this.mesh) {
-      this.renderer.disposeMesh(this.mesh);
-    }
-    
-    // Dispose of Saturn ring if it exists
-    if (this.saturnRing) {
-      this.scene.remove(this.saturnRing);
-      this.saturnRing.children.forEach(child => {
-        if (child.geometry) child.geometry.dispose();
-        if (child.material) child.material.dispose();
-      });
-      this.saturnRing = null;
-    }
-    
-    this.animationController.removeMario();
-    this.skinManager.removeSkin(this);
+  get personality() {
+    return this.ai.personality;
+  }
+
+  /**
+   * Gives an AI ball a personality
+   * @param {string|null} personality - Personality value; null for the balanced defaults
+   */
+  setPersonality(personality) {
+    this.ai.setPersonality(personality);
   }
 
   /**
-   * Gets Mario group for external access
-   * @returns {THREE.Group|null} Mario group
+   * Applies a difficulty preset to an AI ball
+   * @param {Object} preset - Preset from DIFFICULTY_PRESETS
    */
-  get marioGroup() {
-    return this.animationController.getMarioGroup();
+  setDifficulty(preset) {
+    this.ai.setDifficulty(preset);
   }
 
   /**
@@ -376,7 +453,7 @@ export class Ball {
    * @returns {string} Current skin type
    */
   get currentSkin() {
-    return this.skinManager.getCurrentSkin();
+    return this.skin;
   }
 
   /**
@@ -1,54 +1,1003 @@
 import * as THREE from 'three';
+import { AIPerception } from './AIPerception.js';
+import { Personality, PERSONALITY_PROFILES } from './AIPersonality.js';
+import { Difficulty, getDifficultyPreset } from './Difficulty.js';
+import { GRAVITY, JUMP_SPEED, SIZE_BOOST } from './Ball.js';
+import { ObstacleType, measureObstacle } from './ObstacleField.js';
+import { clamp } from './utils.js';
+
+const AI_TOP_SPEED = 20; // Matches the AI speed limit in Ball.applyForce
+const MAX_LEAD_TIME = 1.5; // Furthest ahead, in seconds, a chase is led
+const MIN_THREAT_WEIGHT = 0.1; // Pull of a threat at the edge of the threat range
+const WALL_PULL = 0.5; // How strongly fleeing balls right at the arena's edge head back to open ground
+const SCHOOL_MAX_RADIUS = 5; // Balls up to this size school together
+const PACK_MAX_RADIUS = 15; // Balls bigger than schooling size up to this one hunt big prey in packs
+const PACK_PREY_SHARE = 0.6; // Prey at least this share of a hunter's radius is worth a pack
+const PACK_TIMEOUT = 1; // Seconds a pack member stays enrolled without checking in
+const FLANK_GAP = 6; // Gap flankers keep from the prey until the ring is closed
+// Flanking posts around the prey, as angles from its escape route away from the chaser
+const FLANK_ANGLES = [Math.PI / 3, -Math.PI / 3, 0, (2 * Math.PI) / 3, (-2 * Math.PI) / 3];
+const UP = new THREE.Vector3(0, 1, 0);
+
+// Utility scoring: weights of the candidate actions and the ranges they look at
+const FLEE_WEIGHT = 1;
+const HUNT_WEIGHT = 0.9;
+const GRAB_WEIGHT = 1.2;
+const AMBUSH_WEIGHT = 0.6;
+const SEARCH_WEIGHT = 0.6;
+const JUMP_BONUS = 0.2; // Extra utility of hopping an obstacle on the way to the best action
+const ESCORT_SCORE = 0.12; // Utility of sheltering by an ally in team games
+const PATROL_SCORE = 0.08; // Utility of patrolling, the fallback when nothing else is worth doing
+const HUNGER_TIME = 20; // Seconds without growing until an AI is fully hungry
+const PAD_RANGE = 80; // Farthest speed pad worth grabbing
+const COVER_RANGE = 80; // Farthest solid obstacle worth hiding behind
+const AMBUSH_GAP = 2; // Gap kept to the cover while lying in wait
+const AMBUSH_REACH = 4; // Distance at which the hiding spot counts as reached
+const PATROL_REACH = 15; // Distance at which a patrol waypoint counts as reached
+const SEARCH_REACH = 5; // Gap to the spot prey was last seen at which the search gives up
+const JUMP_LEAD = 3; // Gap to an obstacle at which a ball jumps it
+const SURVEY_RANGE = Math.max(PAD_RANGE, COVER_RANGE); // Obstacles measured once per decision for the scorers
+
+// Jumping and power-ups
+const ESCAPE_GAP = 3; // Gap to a threat at which a ball jumps clear of it
+const POUNCE_RANGE = 10; // Farthest gap to fleeing prey a ball pounces across
+const POUNCE_SPEED = 60; // Lunge of a pounce or an escape jump
+const BOOST_DURATION = 5000; // Milliseconds an AI power-up lasts
+const BOOST_THREAT = 0.7; // Threat consideration of a flight worth a speed boost
+const BOOST_RANGE = 30; // Farthest gap to prey worth a speed boost
+
+/**
+ * Actions the AI chooses between
+ */
+export const AIAction = Object.freeze({
+  FLEE: 'flee', // Run from the threats in range
+  HUNT: 'hunt', // Chase one prey, herding it or hunting as a pack where possible
+  GRAB_POWER_UP: 'grabPowerUp', // Head for a speed pad, the arena's power-ups
+  PATROL: 'patrol', // Roam between random waypoints
+  AMBUSH: 'ambush', // Lie in wait behind cover until prey comes close
+  JUMP_OVER: 'jumpOver', // Hop a low obstacle in the way of the best action
+  ESCORT: 'escort', // Shelter by a bigger ally in team games
+  SEARCH: 'search' // Look for prey where it was last seen
+});
+
+/**
+ * Utility of a consideration that falls off with distance
+ * @param {number} distance - Distance to the subject
+ * @param {number} range - Distance at which it is worth nothing
+ * @returns {number} 1 next to the subject down to 0 at the range
+ */
+function closeness(distance, range) {
+  return clamp(1 - distance / range, 0, 1);
+}
+
+/**
+ * Notes AI balls share to coordinate pack hunts
+ * A pack forms around a prey as soon as more than one ball decides to hunt it
+ * as a pack. The first member is the chaser, which drives the prey; later
+ * members are flankers that take up posts across the prey's escape route.
+ * Members check in every decision and drop out when they hunt something else
+ * or stop checking in for PACK_TIMEOUT, handing their role on.
+ */
+export class AIBlackboard {
+  constructor() {
+    this.packs = new Map(); // Prey -> { members: [{ ball, seen }] } in joining order
+    this.time = 0;
+  }
+
+  /**
+   * Advances the blackboard clock and drops members that stopped checking in
+   * @param {number} time - Simulated seconds
+   */
+  update(time) {
+    this.time = time;
+    for (const [prey, pack] of this.packs) {
+      pack.members = pack.members.filter(member => time - member.seen <= PACK_TIMEOUT);
+      if (!pack.members.length) this.packs.delete(prey);
+    }
+  }
+
+  /**
+   * Enrolls a ball in the pack hunting a prey, or checks it in if it already is
+   * @param {Object} ball - Hunting ball
+   * @param {Object} prey - Ball the pack hunts
+   */
+  join(ball, prey) {
+    this.leave(ball, prey);
+    
+    let pack = this.packs.get(prey);
+    if (!pack) {
+      pack = { members: [] };
+      this.packs.set(prey, pack);
+    }
+    
+    let member = pack.members.find(entry => entry.ball === ball);
+    if (!member) {
+      member = { ball, seen: this.time };
+      pack.members.push(member);
+    }
+    member.seen = this.time;
+  }
+
+  /**
+   * Takes a ball out of every pack
+   * @param {Object} ball - Ball that stopped pack hunting
+   * @param {Object|null} except - Prey whose pack the ball stays in
+   */
+  leave(ball, except = null) {
+    for (const [prey, pack] of this.packs) {
+      if (prey === except) continue;
+      pack.members = pack.members.filter(member => member.ball !== ball);
+      if (!pack.members.length) this.packs.delete(prey);
+    }
+  }
+
+  /**
+   * Role of a ball in the pack hunting a prey
+   * @param {Object} ball - Pack member
+   * @param {Object} prey - Ball the pack hunts
+   * @returns {Object} { role, slot, chaser } where role is 'chaser' or
+   *   'flanker', and slot numbers the flankers from 0
+   */
+  getRole(ball, prey) {
+    const members = this.packs.get(prey)?.members ?? [];
+    const index = members.findIndex(member => member.ball === ball);
+    if (index <= 0) return { role: 'chaser', slot: -1, chaser: ball };
+    return { role: 'flanker', slot: index - 1, chaser: members[0].ball };
+  }
+}
 
 /**
  * Handles AI behavior logic for enemy balls
  * Manages decision making, pathfinding, and behavioral patterns
+ *
+ * Each AI has a personality whose profile sets its forces, ranges, how bold
+ * it is around threats and which prey it picks. updateBehaviorParameters()
+ * then adjusts that tuning to the ball's current size every decision.
+ *
+ * The difficulty preset sets how long a decision is acted on before the AI
+ * looks around again, how far and how wide it sees, how long it remembers
+ * balls that went out of sight and how well it leads its prey. Decisions are
+ * made only from what the AIPerception component sees and remembers.
+ *
+ * Decisions are made by utility: every candidate action (fleeing, hunting
+ * each prey in sight, grabbing a speed pad, ambushing, patrolling...) is
+ * scored as the product of its considerations, such as distance, size ratio,
+ * danger and hunger, and the best one wins. The scores of the last decision
+ * are kept in `scores` for the debug overlay. Balls also pounce on prey
+ * that runs as fast as them, jump clear of threats about to catch them and
+ * use speed and size power-ups of their own, as often as the difficulty allows.
  */
 export class BallAI {
-  constructor() {
-    // AI behavior parameters
-    this.seekForce = 2.2;
-    this.avoidForce = 2.0;
+  /**
+   * @param {Random} rng - Seeded random source for non-deterministic behaviors
+   */
+  constructor(rng) {
+    this.rng = rng;
+    
+    // AI behavior parameters; the personality's profile fills in the rest
     this.randomForce = 1.0;
-    this.randomWalkChance = 0.2;
+    this.slopeCompensation = 1.7; // Cancels the per-step downhill roll when chasing
+    this.downhillBias = 2.0; // How strongly fleeing balls use slopes to gain speed
+    this.obstacleAvoidForce = 3.0;
     
     // Behavior ranges
-    this.threatRange = 60;
-    this.targetRange = 80;
-    this.idealTargetRange = 100;
+    this.obstacleRange = 25; // Distance from an obstacle's surface at which steering starts
+    this.herdRange = 120; // Farthest an ally may be from prey for the ball to drive the prey at it
+    this.escortDistance = 25; // Gap kept to the edge of an escorted ally
+    this.wallRange = 40; // Distance from the arena's edge at which fleeing balls turn along it
+    this.cornerRange = 60; // Prey this close to the arena's edge gets pinned against it
+    
+    // Schooling of small balls
+    this.schoolRange = 60; // Farthest a schoolmate may be
+    this.separationDistance = 8; // Gap to schoolmates below which the ball pulls away
+    this.flockForce = 0.4;
+    this.separationWeight = 1.5;
+    this.alignmentWeight = 1.0;
+    this.cohesionWeight = 0.8;
+    
+    // Shared with the other AI balls of the world to hunt in packs; none hunts alone
+    this.blackboard = null;
+    
+    // What the ball sees of the others and remembers of those out of sight
+    this.perception = new AIPerception();
+    
+    // Seconds until the ball may use another of its own power-ups
+    this.boostTimer = 0;
+    
+    // Reused by the scorers, which run for every AI ball each decision
+    this.scratch = new THREE.Vector3();
+    
+    // Current decision, kept until the reaction delay runs out
+    this.decision = null;
+    this.reactionTimer = 0;
+    this.scores = []; // Candidate actions of the last decision, best first
+    this.patrolForce = 1.0;
+    this.waypoint = null; // Where the ball is patrolling to
+    
+    // Hunger grows while the ball doesn't grow
+    this.clock = 0; // Seconds of AI time
+    this.lastMealTime = 0;
+    this.lastRadius = 0;
+    this.hunger = 0;
+    this.lastLeapTime = -Infinity; // When the ball last pounced or jumped clear
+    
+    this.difficulty = getDifficultyPreset(Difficulty.NORMAL);
+    this.setPersonality(null);
+  }
+
+  /**
+   * Applies a difficulty preset to the AI
+   * @param {Object} preset - Preset from DIFFICULTY_PRESETS
+   */
+  setDifficulty(preset) {
+    this.difficulty = preset;
+    this.boostTimer = preset.aiPowerUpCooldown ?? 0;
+    this.perception.viewAngle = preset.viewAngle;
+    this.perception.memorySpan = preset.memorySpan;
+    this.resetTuning();
+  }
+
+  /**
+   * Gives the AI a personality and resets its tuning to the personality's profile
+   * @param {string|null} personality - Personality value; null for the balanced defaults
+   */
+  setPersonality(personality) {
+    const profile = PERSONALITY_PROFILES[personality ?? Personality.BALANCED];
+    if (!profile) {
+      throw new Error(`Unknown AI personality: ${personality}`);
+    }
+    
+    this.personality = personality;
+    this.profile = profile;
+    this.boldness = profile.boldness; // Danger level up to which hunting goes on despite threats
+    this.resetTuning();
+  }
+
+  /**
+   * Sets forces and ranges to the personality's own tuning, seen as far as the difficulty allows
+   */
+  resetTuning() {
+    const { profile } = this;
+    const perception = this.difficulty.perception;
+    
+    this.seekForce = profile.seekForce;
+    this.avoidForce = profile.avoidForce;
+    this.randomWalkChance = profile.randomWalkChance;
+    this.threatRange = profile.threatRange * perception;
+    this.targetRange = profile.targetRange * perception;
+    this.idealTargetRange = profile.idealTargetRange * perception;
+  }
+
+  /**
+   * Farthest distance at which the AI reacts to other balls
+   * @returns {number} Range in world units
+   */
+  get perceptionRange() {
+    return Math.max(this.threatRange, this.targetRange, this.idealTargetRange);
   }
 
   /**
    * Executes AI behavior for a ball
+   * The ball rethinks what to do once its reaction delay has passed, and
+   * keeps acting on its last decision in between.
    * @param {Object} ball - The AI-controlled ball
    * @param {Array} allBalls - Array of all balls in the game
+   * @param {number} deltaTime - Seconds since the last call
    */
-  executeBehavior(ball, allBalls) {
+  executeBehavior(ball, allBalls, deltaTime) {
     if (ball.isPlayer) return; // Don't apply AI to player
     
-    // Find nearest threat and ideal target
-    const nearestThreat = this.findNearestThreat(ball, allBalls);
-    const idealTarget = this.findIdealTarget(ball, allBalls);
+    this.clock += deltaTime;
+    this.boostTimer -= deltaTime;
+    this.reactionTimer -= deltaTime;
+    if (!this.decision || this.reactionTimer <= 0) {
+      this.decision = this.decide(ball, allBalls);
+      this.reactionTimer = this.difficulty.reactionDelay;
+    }
+    
+    this.act(ball, this.decision);
+  }
+
+  /**
+   * Decides what the ball should do next
+   * Scores every candidate action and picks the best. A chosen hunt is
+   * herded at an ally or shared with a pack where possible, small balls
+   * that flee or patrol school with balls their size, and a power-up is
+   * used when it helps the action along.
+   * @param {Object} ball - The AI-controlled ball
+   * @param {Array} allBalls - Balls in range, of which it only knows the ones it perceives
+   * @returns {Object} Best scoring option from scoreOptions(), plus ally,
+   *   pack and mates for the action it carries out
+   */
+  decide(ball, allBalls) {
+    this.updateBehaviorParameters(ball);
+    this.updateHunger(ball);
+    
+    // Only what the ball can see or remembers counts
+    const seen = this.perception.perceive(ball, allBalls, this.clock);
+    this.scores = this.scoreOptions(ball, seen);
+    const decision = { ...this.scores[0] };
+    
+    // A jump carries out the action it clears the way for
+    const plan = decision.action === AIAction.JUMP_OVER ? decision.goal : decision;
+    if (plan.action === AIAction.HUNT) {
+      plan.ally = this.findHerdingAlly(ball, plan.subject, seen);
+      plan.pack = !plan.ally && this.isPackPrey(ball, plan.subject);
+    }
+    if (this.blackboard) {
+      if (plan.pack) {
+        this.blackboard.join(ball, plan.subject);
+      } else {
+        this.blackboard.leave(ball);
+      }
+    }
+    if (plan.action === AIAction.FLEE || plan.action === AIAction.PATROL) {
+      plan.mates = this.findSchoolmates(ball, seen);
+    }
+    this.useBoost(ball, plan);
+    return decision;
+  }
+
+  /**
+   * Activates one of the ball's own power-ups if it helps the plan and the
+   * cooldown from the difficulty has run out
+   * @param {Object} ball - The AI-controlled ball
+   * @param {Object} plan - Option being carried out
+   */
+  useBoost(ball, plan) {
+    const cooldown = this.difficulty.aiPowerUpCooldown;
+    if (cooldown === null || this.boostTimer > 0) return;
+    
+    const type = this.chooseBoost(ball, plan);
+    if (type && ball.activatePowerUp(type, BOOST_DURATION)) {
+      this.boostTimer = cooldown;
+    }
+  }
+
+  /**
+   * Picks the power-up worth using for a plan
+   * Growing out of a close threat's reach beats outrunning it; a bully
+   * grows to make the player it shoves edible. Speed gets the ball away from
+   * a close threat, or onto a big meal that is nearly in reach.
+   * @param {Object} ball - The AI-controlled ball
+   * @param {Object} plan - Option being carried out
+   * @returns {string|null} 'speed', 'size' or null if neither is worth it
+   */
+  chooseBoost(ball, plan) {
+    const { subject, considerations } = plan;
+    const boosted = ball.radius * SIZE_BOOST;
+    
+    if (plan.action === AIAction.FLEE) {
+      if (considerations.threat < BOOST_THREAT) return null;
+      return boosted >= subject.radius ? 'size' : 'speed';
+    }
+    
+    if (plan.action === AIAction.HUNT) {
+      if (!ball.canEat(subject)) {
+        return boosted > subject.radius ? 'size' : null;
+      }
+      const gap = ball.distanceTo(subject) - ball.radius - subject.radius;
+      return considerations.size >= 0.5 && gap < BOOST_RANGE ? 'speed' : null;
+    }
+    
+    return null;
+  }
+
+  /**
+   * Tracks how long the ball has gone without growing
+   * @param {Object} ball - The AI-controlled ball
+   */
+  updateHunger(ball) {
+    if (ball.radius > this.lastRadius) {
+      this.lastMealTime = this.clock;
+    }
+    this.lastRadius = ball.radius;
+    this.hunger = clamp((this.clock - this.lastMealTime) / HUNGER_TIME, 0, 1);
+  }
+
+  /**
+   * Builds a scored candidate action
+   * @param {string} action - AIAction value
+   * @param {Object|null} subject - Ball, obstacle or pad the action is about
+   * @param {number} weight - Utility of the action when every consideration is 1
+   * @param {Object} considerations - Name -> value, multiplied into the score
+   * @param {Object} extras - More fields for carrying the action out
+   * @returns {Object} { action, subject, score, considerations, ally, pack, threats, mates, ...extras }
+   */
+  rateOption(action, subject, weight, considerations, extras = {}) {
+    let score = weight;
+    for (const name in considerations) score *= considerations[name];
+    return { action, subject, score, considerations, ally: null, pack: false, threats: [], mates: [], ...extras };
+  }
+
+  /**
+   * Scores every candidate action
+   * The threats, prey and obstacles in range are gathered once and shared
+   * by the scorers.
+   * @param {Object} ball - The AI-controlled ball
+   * @param {Array} allBalls - Balls the AI perceives
+   * @returns {Array<Object>} Options from rateOption(), best first; never empty
+   */
+  scoreOptions(ball, allBalls) {
+    const inSight = this.findThreats(ball, allBalls);
+    const danger = this.calculateDangerLevel(ball, inSight);
+    const memories = this.perception.recall();
+    const threats = [...inSight, ...this.recallThreats(ball, memories)];
+    const prey = this.findPrey(ball, allBalls);
+    const obstacles = this.surveyObstacles(ball);
+    
+    const options = [
+      this.scoreFlee(ball, threats, danger),
+      ...this.scoreHunts(ball, prey, danger),
+      ...this.scoreSearches(ball, memories),
+      this.scorePowerUp(ball, obstacles, threats, danger),
+      this.scoreAmbush(ball, prey, obstacles, danger),
+      this.scoreEscort(ball, allBalls),
+      this.rateOption(AIAction.PATROL, null, PATROL_SCORE, {
+        restlessness: 0.5 + 0.5 * Math.min(this.randomWalkChance, 1)
+      })
+    ].filter(Boolean);
+    options.sort((a, b) => b.score - a.score);
+    
+    const jump = this.scoreJump(ball, options[0], obstacles);
+    if (jump) options.unshift(jump);
+    return options;
+  }
+
+  /**
+   * Measures the obstacles the scorers look at
+   * @param {Object} ball - The AI-controlled ball
+   * @returns {Array<Object>} { obstacle, distance, normal } per obstacle in
+   *   range, as from measureObstacle()
+   */
+  surveyObstacles(ball) {
+    if (!ball.obstacles) return [];
+    
+    const range = Math.max(SURVEY_RANGE, ball.radius + JUMP_LEAD);
+    return ball.obstacles.getNearby(ball.position, range).map(obstacle => ({
+      obstacle,
+      ...measureObstacle(obstacle, ball.position, ball.arena)
+    }));
+  }
+
+  /**
+   * Scores running from the threats in range
+   * Bold personalities shrug off part of the danger.
+   * @param {Object} ball - The threatened ball
+   * @param {Array<Object>} threats - Balls in range that can eat it, or
+   *   memories of where they were last seen
+   * @param {number} danger - Danger level from calculateDangerLevel()
+   * @returns {Object|null} Option, or null without threats
+   */
+  scoreFlee(ball, threats, danger) {
+    if (!threats.length) return null;
+    
+    const nearest = threats.reduce((a, b) => (ball.distanceTo(b) < ball.distanceTo(a) ? b : a));
+    return this.rateOption(AIAction.FLEE, nearest, FLEE_WEIGHT, {
+      threat: Math.max(closeness(ball.distanceTo(nearest), this.threatRange), danger),
+      nerve: 1 - 0.7 * this.boldness
+    }, { threats });
+  }
+
+  /**
+   * Scores hunting each prey in range
+   * The personality's targeting shapes the scores: 'ideal' hunters value big
+   * meals, 'nearest' ones care mostly about distance, and bullies favor the
+   * player, even when they can only shove them.
+   * @param {Object} ball - The hunting ball
+   * @param {Array} preyInSight - Prey from findPrey()
+   * @param {number} danger - Danger level from calculateDangerLevel()
+   * @returns {Array<Object>} One option per prey
+   */
+  scoreHunts(ball, preyInSight, danger) {
+    const { targeting } = this.profile;
+    const range = targeting === 'nearest' ? this.targetRange : this.idealTargetRange;
+    const options = [];
+    
+    for (const prey of preyInSight) {
+      const shoved = !ball.canEat(prey);
+      const distance = ball.distanceTo(prey);
+      if (distance > range) continue;
+      
+      // Share of the biggest meal the ball could eat
+      const meal = shoved ? 1 : Math.min(prey.radius / ball.radius, 1);
+      options.push(this.rateOption(AIAction.HUNT, prey, HUNT_WEIGHT, {
+        distance: 0.5 + 0.5 * closeness(distance, range),
+        size: targeting === 'nearest' ? 0.5 + 0.5 * meal : 0.25 + 0.75 * meal,
+        safety: 1 - 0.5 * danger * (1 - this.boldness),
+        hunger: 0.5 + 0.5 * this.hunger,
+        preference: targeting === 'player' && prey.isPlayer ? 1.5 : 1
+      }));
+    }
+    
+    return options;
+  }
+
+  /**
+   * Scores looking for prey where it was last seen
+   * Fresher sightings are worth more; a search scores below a hunt of the
+   * same prey in sight.
+   * @param {Object} ball - The hunting ball
+   * @param {Array<Object>} memories - Balls out of sight, from AIPerception.recall()
+   * @returns {Array<Object>} One option per remembered prey
+   */
+  scoreSearches(ball, memories) {
+    const range = this.profile.targeting === 'nearest' ? this.targetRange : this.idealTargetRange;
+    const options = [];
+    
+    for (const record of memories) {
+      if (ball.radius <= record.radius || ball.isAlly(record.ball)) continue;
+      
+      const distance = ball.distanceTo(record);
+      if (distance > range) continue;
+      
+      const meal = Math.min(record.radius / ball.radius, 1);
+      options.push(this.rateOption(AIAction.SEARCH, record, SEARCH_WEIGHT, {
+        distance: 0.5 + 0.5 * closeness(distance, range),
+        size: 0.25 + 0.75 * meal,
+        freshness: 1 - (this.clock - record.seenAt) / this.perception.memorySpan,
+        hunger: 0.5 + 0.5 * this.hunger
+      }));
+    }
+    
+    return options;
+  }
+
+  /**
+   * Threats out of sight whose last known position is still in range
+   * @param {Object} ball - The threatened ball
+   * @param {Array<Object>} memories - Balls out of sight, from AIPerception.recall()
+   * @returns {Array<Object>} Memories of threats, which flee like balls
+   */
+  recallThreats(ball, memories) {
+    return memories.filter(record =>
+      record.radius > ball.radius && ball.distanceTo(record) < this.threatRange
+    );
+  }
+
+  /**
+   * Scores heading for the nearest speed pad
+   * Pads are worth it to escape when they launch away from the threats, and
+   * to cover ground when hungry.
+   * @param {Object} ball - The AI-controlled ball
+   * @param {Array<Object>} obstacles - Obstacles in range, from surveyObstacles()
+   * @param {Array<Object>} threats - Balls in range that can eat it
+   * @param {number} danger - Danger level from calculateDangerLevel()
+   * @returns {Object|null} Option, or null without a pad in range
+   */
+  scorePowerUp(ball, obstacles, threats, danger) {
+    let pad = null;
+    let padDistance = Infinity;
+    for (const { obstacle, distance } of obstacles) {
+      if (obstacle.type !== ObstacleType.SPEED_PAD || distance >= PAD_RANGE) continue;
+      
+      const centerDistance = this.getOffset(ball, obstacle.position, this.scratch).length();
+      if (centerDistance < padDistance) {
+        pad = obstacle;
+        padDistance = centerDistance;
+      }
+    }
+    if (!pad) return null;
+    
+    let heading = 0.5;
+    if (threats.length) {
+      const away = this.getFleeDirection(ball, threats);
+      heading = (1 + pad.direction.dot(away)) / 2;
+    }
+    
+    return this.rateOption(AIAction.GRAB_POWER_UP, pad, GRAB_WEIGHT, {
+      distance: closeness(padDistance, PAD_RANGE),
+      heading,
+      need: Math.max(danger, 0.5 * this.hunger)
+    });
+  }
+
+  /**
+   * Scores lying in wait behind cover for the biggest prey in sight
+   * Patient balls ambush prey that is still far off; as the prey closes in,
+   * hunting it scores higher and the ball pounces.
+   * @param {Object} ball - The AI-controlled ball
+   * @param {Array} preyInSight - Prey from findPrey()
+   * @param {Array<Object>} obstacles - Obstacles in range, from surveyObstacles()
+   * @param {number} danger - Danger level from calculateDangerLevel()
+   * @returns {Object|null} Option, or null without prey or cover
+   */
+  scoreAmbush(ball, preyInSight, obstacles, danger) {
+    const prey = this.findIdealTarget(ball, preyInSight);
+    if (!prey) return null;
+    
+    let nearest = null;
+    for (const entry of obstacles) {
+      if (!entry.obstacle.solid || entry.distance >= COVER_RANGE) continue;
+      if (!nearest || entry.distance < nearest.distance) nearest = entry;
+    }
+    if (!nearest) return null;
+    
+    const cover = nearest.obstacle;
+    return this.rateOption(AIAction.AMBUSH, prey, AMBUSH_WEIGHT, {
+      cover: closeness(Math.max(nearest.distance, 0), COVER_RANGE),
+      patience: 1 - this.hunger,
+      size: Math.min(prey.radius / ball.radius, 1),
+      farness: 1 - closeness(ball.distanceTo(prey), this.idealTargetRange),
+      safety: 1 - danger
+    }, { cover });
+  }
+
+  /**
+   * Scores sheltering by a bigger ally
+   * @param {Object} ball - The AI-controlled ball
+   * @param {Array} allBalls - Array of all balls
+   * @returns {Object|null} Option, or null outside team games
+   */
+  scoreEscort(ball, allBalls) {
+    const ally = this.findEscortAlly(ball, allBalls);
+    if (!ally) return null;
+    return this.rateOption(AIAction.ESCORT, ally, ESCORT_SCORE, {}, { ally });
+  }
+
+  /**
+   * Scores hopping a low obstacle that stands in the way of the best action
+   * @param {Object} ball - The AI-controlled ball
+   * @param {Object} goal - Best option, which the jump carries out
+   * @param {Array<Object>} obstacles - Obstacles in range, from surveyObstacles()
+   * @returns {Object|null} Option scoring just above the goal, or null if nothing is in the way
+   */
+  scoreJump(ball, goal, obstacles) {
+    if (ball.isJumping || !obstacles.length) return null;
+    
+    const heading = this.getHeading(ball, goal);
+    if (!heading) return null;
+    
+    for (const { obstacle, distance, normal } of obstacles) {
+      if (distance >= ball.radius + JUMP_LEAD || !obstacle.solid || !this.canClear(ball, obstacle)) continue;
+      
+      // Only obstacles the ball is heading into
+      if (normal.dot(heading) > -0.5) continue;
+      
+      return this.rateOption(AIAction.JUMP_OVER, obstacle, goal.score, {
+        lift: 1 + JUMP_BONUS * closeness(distance - ball.radius, JUMP_LEAD)
+      }, { goal });
+    }
+    
+    return null;
+  }
+
+  /**
+   * Checks whether the ball can jump clean over an obstacle it runs at
+   * Taking off JUMP_LEAD from it at top speed, the ball must be above the
+   * obstacle's top by the time it gets there and stay above it until it is past.
+   * @param {Object} ball - The jumping ball
+   * @param {Object} obstacle - Solid obstacle
+   * @returns {boolean} True if the jump clears it
+   */
+  canClear(ball, obstacle) {
+    const rise = JUMP_SPEED * JUMP_SPEED - 2 * GRAVITY * obstacle.height;
+    if (obstacle.height <= 0 || rise <= 0) return false;
+    
+    const speed = AI_TOP_SPEED * this.difficulty.speed;
+    const root = Math.sqrt(rise);
+    const above = (JUMP_SPEED - root) / GRAVITY; // When the bottom rises past the top
+    const below = (JUMP_SPEED + root) / GRAVITY; // When it drops back under
+    const arrival = JUMP_LEAD / speed;
+    return arrival >= above && arrival + (2 * (ball.radius + obstacle.radius)) / speed <= below;
+  }
+
+  /**
+   * Direction an option moves the ball in
+   * @param {Object} ball - The AI-controlled ball
+   * @param {Object} option - Option from rateOption()
+   * @returns {THREE.Vector3|null} Horizontal unit vector, or null if it doesn't
+   *   move the ball anywhere; may be the scratch vector, so use it right away
+   */
+  getHeading(ball, option) {
+    let offset;
+    switch (option.action) {
+      case AIAction.FLEE:
+        return this.getFleeDirection(ball, option.threats);
+      case AIAction.AMBUSH:
+        offset = this.getOffset(ball, this.getHidingSpot(ball, option.subject, option.cover), this.scratch);
+        break;
+      case AIAction.PATROL:
+        if (!this.waypoint) return null;
+        offset = this.getOffset(ball, this.waypoint, this.scratch);
+        break;
+      default:
+        if (!option.subject) return null;
+        offset = this.getOffset(ball, option.subject.position, this.scratch);
+    }
+    
+    offset.y = 0;
+    return offset.lengthSq() > 0 ? offset.normalize() : null;
+  }
+
+  /**
+   * Checks whether prey is worth hunting as a pack
+   * @param {Object} ball - The hunting ball
+   * @param {Object} prey - Prey it picked
+   * @returns {boolean} True for a mid-size ball after big prey
+   */
+  isPackPrey(ball, prey) {
+    if (!this.blackboard) return false;
+    if (ball.radius <= SCHOOL_MAX_RADIUS || ball.radius > PACK_MAX_RADIUS) return false;
+    return prey.radius >= ball.radius * PACK_PREY_SHARE;
+  }
+
+  /**
+   * Finds small balls nearby that the ball can school with
+   * @param {Object} ball - The schooling ball
+   * @param {Array} allBalls - Array of all balls
+   * @returns {Array<Object>} AI balls of schooling size in range that neither can eat
+   */
+  findSchoolmates(ball, allBalls) {
+    if (ball.radius > SCHOOL_MAX_RADIUS) return [];
+    
+    return allBalls.filter(otherBall =>
+      otherBall !== ball &&
+      !otherBall.isPlayer &&
+      otherBall.radius <= SCHOOL_MAX_RADIUS &&
+      !otherBall.canEat(ball) &&
+      !ball.canEat(otherBall) &&
+      ball.distanceTo(otherBall) < this.schoolRange
+    );
+  }
+
+  /**
+   * Steers the ball according to a decision
+   * @param {Object} ball - The AI-controlled ball
+   * @param {Object} decision - Decision from decide()
+   */
+  act(ball, decision) {
+    const { subject, ally } = decision;
+    switch (decision.action) {
+      case AIAction.JUMP_OVER:
+        if (!decision.jumped) {
+          ball.jump();
+          decision.jumped = true;
+        }
+        this.act(ball, decision.goal);
+        return;
+      case AIAction.FLEE:
+        this.jumpClear(ball, subject);
+        this.evade(ball, decision.threats);
+        break;
+      case AIAction.HUNT:
+        this.pounce(ball, subject);
+        if (ally) {
+          this.herdTarget(ball, subject, ally);
+        } else if (decision.pack) {
+          this.huntAsPack(ball, subject);
+        } else {
+          this.pursue(ball, subject);
+        }
+        break;
+      case AIAction.GRAB_POWER_UP:
+        this.seekTarget(ball, subject);
+        break;
+      case AIAction.AMBUSH:
+        this.lieInWait(ball, subject, decision.cover);
+        break;
+      case AIAction.ESCORT:
+        this.escort(ball, ally);
+        break;
+      case AIAction.SEARCH:
+        this.search(ball, subject);
+        break;
+      default:
+        this.patrol(ball);
+    }
+    
+    if (decision.mates.length) {
+      this.flock(ball, decision.mates);
+    }
+  }
+
+  /**
+   * Jumps over a threat that is about to catch the ball
+   * Only threats small enough to pass under the jump are worth it.
+   * @param {Object} ball - The fleeing ball
+   * @param {Object} threat - Nearest threat
+   * @returns {boolean} True if the ball jumped
+   */
+  jumpClear(ball, threat) {
+    if (!this.canLeap(ball)) return false;
+    
+    // The ball must rise above the threat's top plus its own radius
+    const apex = (JUMP_SPEED * JUMP_SPEED) / (2 * GRAVITY);
+    if (2 * threat.radius >= apex) return false;
+    
+    const away = this.getOffset(ball, threat.position).negate();
+    away.y = 0;
+    const gap = away.length() - ball.radius - threat.radius;
+    if (gap >= ESCAPE_GAP || away.lengthSq() === 0) return false;
+    
+    // Leap away so the ball doesn't land back in the threat's path
+    this.leap(ball, away.normalize());
+    return true;
+  }
+
+  /**
+   * Leaps at prey that runs as fast as the ball
+   * The lunge closes a gap the chase can't, and the ball lands on the prey.
+   * @param {Object} ball - The hunting ball
+   * @param {Object} prey - Ball being hunted
+   * @returns {boolean} True if the ball pounced
+   */
+  pounce(ball, prey) {
+    if (!this.canLeap(ball) || !ball.canEat(prey)) return false;
+    
+    const offset = this.getOffset(ball, prey.position);
+    offset.y = 0;
+    const gap = offset.length() - ball.radius - prey.radius;
+    if (gap <= 0 || gap > POUNCE_RANGE) return false;
+    
+    // Only prey getting away at half the ball's top speed or more; the chase catches anything slower
+    const direction = offset.normalize();
+    const escaping = prey.velocity ? prey.velocity.dot(direction) : 0;
+    if (escaping < 0.5 * AI_TOP_SPEED * this.difficulty.speed) return false;
+    
+    this.leap(ball, direction);
+    return true;
+  }
+
+  /**
+   * Checks whether the ball may pounce or jump clear
+   * The cooldown comes from the difficulty, and keeps leaps from being
+   * chained into a dash.
+   * @param {Object} ball - The AI-controlled ball
+   * @returns {boolean} True on the ground with the leap cooldown run out
+   */
+  canLeap(ball) {
+    const cooldown = this.difficulty.leapCooldown;
+    return cooldown !== null && !ball.isJumping && this.clock - this.lastLeapTime >= cooldown;
+  }
+
+  /**
+   * Jumps with a lunge
+   * @param {Object} ball - The AI-controlled ball
+   * @param {THREE.Vector3} direction - Horizontal unit vector to lunge in
+   */
+  leap(ball, direction) {
+    ball.jump();
+    ball.launchVelocity.addScaledVector(direction, POUNCE_SPEED);
+    this.lastLeapTime = this.clock;
+  }
+
+  /**
+   * Plays the ball's part in its pack's hunt
+   * The chaser drives the prey while flankers close off its escape route:
+   * each heads for a post ahead of or beside the prey, as seen from the
+   * chaser, and presses in once it is there.
+   * @param {Object} ball - Pack member
+   * @param {Object} prey - Ball the pack hunts
+   */
+  huntAsPack(ball, prey) {
+    const { role, slot, chaser } = this.blackboard.getRole(ball, prey);
+    if (role === 'chaser') {
+      this.pursue(ball, prey);
+      return;
+    }
     
-    // Priority: Avoid threats first, then hunt ideal targets, then random walk
-    if (nearestThreat) {
-      this.avoidThreat(ball, nearestThreat);
-    } else if (idealTarget) {
-      this.seekTarget(ball, idealTarget);
-    } else if (Math.random() < this.randomWalkChance) {
+    const escape = this.getOffset(chaser, prey.position);
+    escape.y = 0;
+    if (escape.lengthSq() === 0) escape.set(1, 0, 0);
+    escape.normalize().applyAxisAngle(UP, FLANK_ANGLES[slot % FLANK_ANGLES.length]);
+    
+    const post = prey.position.clone().addScaledVector(escape, prey.radius + ball.radius + FLANK_GAP);
+    if (this.getOffset(ball, post).length() < FLANK_GAP) {
+      this.seekTarget(ball, prey);
+    } else {
+      this.seekTarget(ball, { position: post });
+    }
+  }
+
+  /**
+   * Keeps the ball with its school: apart enough not to crowd, heading the
+   * same way and drawn towards the middle
+   * @param {Object} ball - The schooling ball
+   * @param {Array<Object>} mates - Schoolmates
+   */
+  flock(ball, mates) {
+    const separation = new THREE.Vector3();
+    const alignment = new THREE.Vector3();
+    const cohesion = new THREE.Vector3();
+    
+    for (const mate of mates) {
+      const offset = this.getOffset(ball, mate.position);
+      offset.y = 0;
+      const distance = offset.length();
+      cohesion.add(offset);
+      alignment.x += mate.velocity.x;
+      alignment.z += mate.velocity.z;
+      
+      const gap = distance - ball.radius - mate.radius;
+      if (distance > 0 && gap < this.separationDistance) {
+        separation.addScaledVector(offset, -(1 - Math.max(gap, 0) / this.separationDistance) / distance);
+      }
+    }
+    
+    const force = new THREE.Vector3();
+    if (separation.lengthSq() > 1) separation.normalize();
+    force.addScaledVector(separation, this.separationWeight);
+    if (alignment.lengthSq() > 0) force.addScaledVector(alignment.normalize(), this.alignmentWeight);
+    if (cohesion.lengthSq() > 0) force.addScaledVector(cohesion.normalize(), this.cohesionWeight);
+    ball.applyForce(force.multiplyScalar(this.flockForce));
+  }
+
+  /**
+   * Roams between random waypoints, with the personality's random wobble
+   * @param {Object} ball - The patrolling ball
+   */
+  patrol(ball) {
+    if (ball.arena && (!this.waypoint || this.getOffset(ball, this.waypoint).length() < PATROL_REACH)) {
+      const { x, z } = ball.arena.randomPosition(this.rng, 0.8);
+      this.waypoint = new THREE.Vector3(x, 0, z);
+    }
+    
+    if (this.waypoint) {
+      this.steerTowards(ball, this.waypoint, this.patrolForce);
+    }
+    if (this.rng.next() < this.randomWalkChance) {
       this.randomWalk(ball);
     }
   }
 
+  /**
+   * Heads for where prey was last seen, and forgets it if it isn't there
+   * @param {Object} ball - The searching ball
+   * @param {Object} record - Memory of the prey, from AIPerception.recall()
+   */
+  search(ball, record) {
+    const offset = this.getOffset(ball, record.position);
+    offset.y = 0;
+    if (offset.length() < ball.radius + SEARCH_REACH) {
+      this.perception.forget(record.ball);
+      this.patrol(ball);
+      return;
+    }
+    
+    this.steerTowards(ball, record.position, this.seekForce);
+  }
+
+  /**
+   * Hides behind cover on the far side from the prey and keeps still there
+   * @param {Object} ball - The ambushing ball
+   * @param {Object} prey - Ball being waited for
+   * @param {Object} cover - Solid obstacle to hide behind
+   */
+  lieInWait(ball, prey, cover) {
+    const spot = this.getHidingSpot(ball, prey, cover);
+    const offset = this.getOffset(ball, spot);
+    offset.y = 0;
+    if (offset.length() > AMBUSH_REACH) {
+      this.steerTowards(ball, spot, this.seekForce);
+      return;
+    }
+    
+    // In position: brake until the prey comes close enough to pounce on
+    ball.applyForce(new THREE.Vector3(-ball.velocity.x, 0, -ball.velocity.z).multiplyScalar(0.5));
+  }
+
+  /**
+   * Spot behind cover that the prey can't see into
+   * @param {Object} ball - The ambushing ball
+   * @param {Object} prey - Ball being waited for
+   * @param {Object} cover - Solid obstacle to hide behind
+   * @returns {THREE.Vector3} Point on the far side of the cover from the prey
+   */
+  getHidingSpot(ball, prey, cover) {
+    const { normal } = measureObstacle(cover, prey.position, ball.arena);
+    return cover.position.clone().addScaledVector(normal, -(cover.radius + ball.radius + AMBUSH_GAP));
+  }
+
   /**
    * Makes the ball move randomly
    * @param {Object} ball - The ball to move
    */
   randomWalk(ball) {
     const force = new THREE.Vector3(
-      (Math.random() - 0.5) * this.randomForce,
+      (this.rng.next() - 0.5) * this.randomForce,
       0,
-      (Math.random() - 0.5) * this.randomForce
+      (this.rng.next() - 0.5) * this.randomForce
     );
     ball.applyForce(force);
   }
@@ -59,22 +1008,263 @@ export class BallAI {
    * @param {Object} target - The target ball
    */
   seekTarget(ball, target) {
-    const direction = target.position.clone().sub(ball.position).normalize();
-    const force = direction.multiplyScalar(this.seekForce);
+    this.steerTowards(ball, this.predictPosition(ball, target), this.seekForce);
+  }
+
+  /**
+   * Pushes the ball towards a point
+   * @param {Object} ball - The ball to steer
+   * @param {THREE.Vector3} point - Where to go
+   * @param {number} strength - Force towards the point
+   */
+  steerTowards(ball, point, strength) {
+    const direction = this.getOffset(ball, point);
+    direction.y = 0;
+    direction.normalize();
+    
+    // Lean into the slope so rolling doesn't drag the chase off course
+    const force = direction.multiplyScalar(strength)
+      .addScaledVector(this.getSlope(ball), this.slopeCompensation);
     ball.applyForce(force);
   }
 
+  /**
+   * Guesses where a moving target will be when the ball can reach it
+   * The ball aims at the point where, at top speed, it would intercept the
+   * target on its current course. How much of that lead it takes depends on
+   * the difficulty's prediction accuracy.
+   * @param {Object} ball - The chasing ball
+   * @param {Object} target - Ball or point being chased
+   * @returns {THREE.Vector3} Point to aim at
+   */
+  predictPosition(ball, target) {
+    const accuracy = this.difficulty.predictionAccuracy;
+    if (!target.velocity || accuracy <= 0) return target.position;
+    
+    const offset = this.getOffset(ball, target.position);
+    offset.y = 0;
+    const velocity = new THREE.Vector3(target.velocity.x, 0, target.velocity.z);
+    const leadTime = this.interceptTime(offset, velocity, AI_TOP_SPEED * this.difficulty.speed);
+    return target.position.clone().addScaledVector(velocity, Math.min(leadTime, MAX_LEAD_TIME) * accuracy);
+  }
+
+  /**
+   * Time a chaser needs to catch a target moving in a straight line
+   * Solves |offset + velocity * t| = speed * t for the earliest t > 0.
+   * @param {THREE.Vector3} offset - Target position relative to the chaser
+   * @param {THREE.Vector3} velocity - Target velocity
+   * @param {number} speed - Chaser speed
+   * @returns {number} Seconds; the time to reach the target's current position if it can't be caught
+   */
+  interceptTime(offset, velocity, speed) {
+    const a = velocity.lengthSq() - speed * speed;
+    const b = 2 * offset.dot(velocity);
+    const c = offset.lengthSq();
+    const direct = Math.sqrt(c) / speed;
+    
+    // Target exactly as fast as the chaser: only catchable if it comes closer
+    if (Math.abs(a) < 1e-6) {
+      return b < 0 ? -c / b : direct;
+    }
+    
+    const discriminant = b * b - 4 * a * c;
+    if (discriminant < 0) return direct;
+    
+    const root = Math.sqrt(discriminant);
+    const times = [(-b - root) / (2 * a), (-b + root) / (2 * a)].filter(t => t > 0);
+    return times.length ? Math.min(...times) : direct;
+  }
+
+  /**
+   * Chases prey, pinning it against the arena's edge when it is near one
+   * Coming at the prey from the open side leaves it nowhere to run but into the edge.
+   * @param {Object} ball - The hunting ball
+   * @param {Object} prey - Ball being hunted
+   */
+  pursue(ball, prey) {
+    const edge = ball.arena ? ball.arena.nearestEdge(prey.position) : null;
+    if (!edge || edge.distance > this.cornerRange) {
+      this.seekTarget(ball, prey);
+      return;
+    }
+    
+    // Herd the prey at the edge as if it were an ally
+    const wall = prey.position.clone().addScaledVector(edge.inward, -edge.distance);
+    this.herdTarget(ball, prey, { position: wall });
+  }
+
   /**
    * Makes the ball avoid a threat
    * @param {Object} ball - The ball that avoids
-   * @param {Object} threat - The threatening ball
+   * @param {Object} threat - The threatening ball, or any object with a position
    */
   avoidThreat(ball, threat) {
-    const direction = ball.position.clone().sub(threat.position).normalize();
-    const force = direction.multiplyScalar(this.avoidForce);
+    this.evade(ball, [threat]);
+  }
+
+  /**
+   * Makes the ball flee from several threats at once
+   * Each threat pushes the ball away from it, harder the closer and bigger it
+   * is. Near the arena's edge the ball runs along the edge rather than into
+   * it, and drifts back towards open ground, so it doesn't get cornered.
+   * @param {Object} ball - The ball that flees
+   * @param {Array<Object>} threats - Threatening balls, or any objects with a position
+   */
+  evade(ball, threats) {
+    const direction = this.getFleeDirection(ball, threats);
+    if (direction) this.flee(ball, direction);
+  }
+
+  /**
+   * Direction to flee several threats in, as described in evade()
+   * @param {Object} ball - The ball that flees
+   * @param {Array<Object>} threats - Threatening balls, or any objects with a position
+   * @returns {THREE.Vector3|null} Unit flight direction, or null if the threats cancel out
+   */
+  getFleeDirection(ball, threats) {
+    const direction = new THREE.Vector3();
+    for (const threat of threats) {
+      const away = this.getOffset(ball, threat.position, this.scratch).negate();
+      away.y = 0;
+      const distance = away.length();
+      if (distance === 0) continue;
+      
+      const pull = Math.max(1 - distance / this.threatRange, MIN_THREAT_WEIGHT);
+      const size = threat.radius ? threat.radius / ball.radius : 1;
+      direction.addScaledVector(away, pull * size / distance);
+    }
+    
+    const edge = ball.arena ? ball.arena.nearestEdge(ball.position) : null;
+    if (edge && edge.distance < this.wallRange) {
+      const urge = direction.length();
+      const intoWall = -direction.dot(edge.inward);
+      if (intoWall > 0) {
+        // Turn the part of the flight that runs into the edge along it instead
+        const along = new THREE.Vector3(edge.inward.z, 0, -edge.inward.x);
+        const side = direction.dot(along) < 0 ? -1 : 1;
+        direction.addScaledVector(edge.inward, intoWall).addScaledVector(along, side * intoWall);
+      }
+      const nearness = 1 - Math.max(edge.distance, 0) / this.wallRange;
+      direction.addScaledVector(edge.inward, urge * nearness * WALL_PULL);
+    }
+    
+    return direction.lengthSq() > 0 ? direction.normalize() : null;
+  }
+
+  /**
+   * Pushes the ball in a flight direction, using slopes to gain speed
+   * @param {Object} ball - The fleeing ball
+   * @param {THREE.Vector3} direction - Unit flight direction
+   */
+  flee(ball, direction) {
+    // Escape downhill where possible, but never back the way the ball is fleeing
+    const downhill = this.getSlope(ball).negate();
+    const along = downhill.dot(direction);
+    if (along < 0) {
+      downhill.addScaledVector(direction, -along);
+    }
+    
+    const force = direction.multiplyScalar(this.avoidForce)
+      .addScaledVector(downhill, this.downhillBias);
     ball.applyForce(force);
   }
 
+  /**
+   * Drives prey towards an ally that can eat it
+   * The ball swings round to the far side of the prey, so the prey flees
+   * from it straight at the ally, then presses in.
+   * @param {Object} ball - The herding ball
+   * @param {Object} prey - Ball being herded
+   * @param {Object} ally - Teammate waiting for the prey
+   */
+  herdTarget(ball, prey, ally) {
+    const towardsAlly = this.getOffset(prey, ally.position);
+    towardsAlly.y = 0;
+    towardsAlly.normalize();
+    
+    // Already behind the prey: push it on
+    const fromPrey = this.getOffset(prey, ball.position);
+    if (fromPrey.dot(towardsAlly) < 0) {
+      this.seekTarget(ball, prey);
+      return;
+    }
+    
+    const behind = prey.position.clone().addScaledVector(towardsAlly, -(prey.radius + ball.radius));
+    this.seekTarget(ball, { position: behind });
+  }
+
+  /**
+   * Keeps the ball close to a bigger ally, sheltering in its shadow
+   * @param {Object} ball - The escorting ball
+   * @param {Object} ally - Teammate to stay with
+   */
+  escort(ball, ally) {
+    const gap = this.getOffset(ball, ally.position).length() - ball.radius - ally.radius;
+    if (gap > this.escortDistance) {
+      this.seekTarget(ball, ally);
+    }
+  }
+
+  /**
+   * Steers the ball away from solids, viruses that would pop it and mud
+   * Solids low enough to jump are left alone; the ball hops them instead.
+   * @param {Object} ball - The ball to steer
+   * @param {Array<Object>} obstacles - Obstacles near the ball
+   */
+  avoidObstacles(ball, obstacles) {
+    const force = new THREE.Vector3();
+    
+    for (const obstacle of obstacles) {
+      let weight;
+      if (obstacle.solid) {
+        if (this.canClear(ball, obstacle)) continue;
+        weight = 1;
+      } else if (obstacle.type === ObstacleType.VIRUS) {
+        // Small balls can hide behind viruses; big ones must keep clear
+        if (!obstacle.active || ball.radius <= obstacle.radius) continue;
+        weight = 1.5;
+      } else if (obstacle.type === ObstacleType.MUD) {
+        weight = 0.4;
+      } else {
+        continue;
+      }
+      
+      const { distance, normal } = measureObstacle(obstacle, ball.position, ball.arena);
+      const clearance = distance - ball.radius;
+      if (clearance > this.obstacleRange) continue;
+      
+      // Push harder the closer the ball gets
+      const urgency = 1 - Math.max(clearance, 0) / this.obstacleRange;
+      force.addScaledVector(normal, urgency * weight);
+    }
+    
+    if (force.lengthSq() > 0) {
+      ball.applyForce(force.multiplyScalar(this.obstacleAvoidForce));
+    }
+  }
+
+  /**
+   * Gets the vector from a ball to a point
+   * @param {Object} ball - The ball
+   * @param {THREE.Vector3} position - Point to look at
+   * @param {THREE.Vector3} target - Vector to write to; a new one if omitted
+   * @returns {THREE.Vector3} Offset, the short way round in a wrapping arena
+   */
+  getOffset(ball, position, target = new THREE.Vector3()) {
+    if (!ball.arena) return target.subVectors(position, ball.position);
+    return ball.arena.offset(ball.position, position, target);
+  }
+
+  /**
+   * Gets the terrain slope under a ball
+   * @param {Object} ball - The ball
+   * @returns {THREE.Vector3} Height gradient (points uphill), zero without terrain
+   */
+  getSlope(ball) {
+    if (!ball.terrain) return new THREE.Vector3();
+    return ball.terrain.getSlope(ball.position.x, ball.position.z);
+  }
+
   /**
    * Finds the nearest target that the ball can eat
    * @param {Object} ball - The hunting ball
@@ -127,6 +1317,34 @@ export class BallAI {
     return idealTarget;
   }
 
+  /**
+   * Finds the balls the ball could hunt
+   * Bullies also count the player when they can shove them.
+   * @param {Object} ball - The hunting ball
+   * @param {Array} allBalls - Array of all balls
+   * @returns {Array<Object>} Balls it can eat or, for bullies, shove
+   */
+  findPrey(ball, allBalls) {
+    const shoves = this.profile.targeting === 'player';
+    return allBalls.filter(otherBall => {
+      if (otherBall === ball) return false;
+      if (ball.canEat(otherBall)) return true;
+      return shoves && otherBall.isPlayer && !ball.isAlly(otherBall) && !otherBall.canEat(ball);
+    });
+  }
+
+  /**
+   * Finds every threat in range that can eat this ball
+   * @param {Object} ball - The ball looking for threats
+   * @param {Array} allBalls - Array of all balls
+   * @returns {Array<Object>} Threats within threatRange
+   */
+  findThreats(ball, allBalls) {
+    return allBalls.filter(otherBall =>
+      otherBall !== ball && otherBall.canEat(ball) && ball.distanceTo(otherBall) < this.threatRange
+    );
+  }
+
   /**
    * Finds the nearest threat that can eat this ball
    * @param {Object} ball - The ball looking for threats
@@ -150,6 +1368,50 @@ export class BallAI {
     return nearestThreat;
   }
 
+  /**
+   * Finds the ally best placed to eat prey this ball could drive at it
+   * @param {Object} ball - The ball that would herd
+   * @param {Object} prey - Prey being hunted
+   * @param {Array} allBalls - Array of all balls
+   * @returns {Object|null} Ally nearest the prey within herdRange, or null outside team games
+   */
+  findHerdingAlly(ball, prey, allBalls) {
+    let nearestAlly = null;
+    let nearestDistance = this.herdRange;
+    
+    for (const otherBall of allBalls) {
+      if (!ball.isAlly(otherBall) || !otherBall.canEat(prey)) continue;
+      
+      const distance = prey.distanceTo(otherBall);
+      // An ally already closer to the prey than this ball can just take it
+      if (distance < nearestDistance && distance > ball.distanceTo(prey)) {
+        nearestDistance = distance;
+        nearestAlly = otherBall;
+      }
+    }
+    
+    return nearestAlly;
+  }
+
+  /**
+   * Finds the biggest nearby ally that is bigger than this ball
+   * @param {Object} ball - The ball looking for an escort
+   * @param {Array} allBalls - Array of all balls
+   * @returns {Object|null} Ally to stay with, or null outside team games
+   */
+  findEscortAlly(ball, allBalls) {
+    let biggestAlly = null;
+    
+    for (const otherBall of allBalls) {
+      if (!ball.isAlly(otherBall) || otherBall.radius <= ball.radius) continue;
+      if (!biggestAlly || otherBall.radius > biggestAlly.radius) {
+        biggestAlly = otherBall;
+      }
+    }
+    
+    return biggestAlly;
+  }
+
   /**
    * Calculates the danger level for a ball based on nearby threats
    * @param {Object} ball - The ball to assess
@@ -184,24 +1446,19 @@ export class BallAI {
     // Larger balls are more aggressive, smaller balls more cautious
     const sizeRatio = ball.radius / ball.baseRadius;
     
+    this.resetTuning();
+    
     if (sizeRatio > 1.5) {
       // Large balls are more aggressive
-      this.seekForce = 2.5;
-      this.randomWalkChance = 0.1;
-      this.targetRange = 100;
+      this.seekForce *= 1.15;
+      this.randomWalkChance *= 0.5;
+      this.targetRange *= 1.25;
     } else if (sizeRatio < 0.8) {
       // Small balls are more cautious
-      this.seekForce = 1.8;
-      this.avoidForce = 2.5;
-      this.randomWalkChance = 0.3;
-      this.threatRange = 80;
-    } else {
-      // Reset to default values
-      this.seekForce = 2.2;
-      this.avoidForce = 2.0;
-      this.randomWalkChance = 0.2;
-      this.threatRange = 60;
-      this.targetRange = 80;
+      this.seekForce *= 0.8;
+      this.avoidForce *= 1.25;
+      this.randomWalkChance *= 1.5;
+      this.threatRange *= 4 / 3;
     }
   }
 
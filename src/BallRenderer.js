@@ -1,5 +1,5 @@
 import * as THREE from 'three';
-import { TextureFactory } from './TextureFactory.js';
+import { textureCache } from './TextureCache.js';
 
 /**
  * Handles visual rendering and mesh creation for Ball objects
@@ -23,7 +23,8 @@ export class BallRenderer {
     const isMobile = window.innerHeight > window.innerWidth;
     const widthSegments = isMobile ? 16 : 32;
     const heightSegments = isMobile ? 8 : 16;
-    const geometry = new THREE.SphereGeometry(radius, widthSegments, heightSegments);
+    // Unit sphere; the radius is applied as a scale so growing never rebuilds it
+    const geometry = new THREE.SphereGeometry(1, widthSegments, heightSegments);
     let needsSaturnRing = false;
     
     if (isPlayer) {
@@ -40,7 +41,7 @@ export class BallRenderer {
         if (currentSkin === 'saturn') needsSaturnRing = true;
       } else {
         if (currentSkin === 'earth') {
-          texture = TextureFactory.createEarthTexture();
+          texture = textureCache.acquire('earth', id);
           material = new THREE.MeshPhongMaterial({ 
             map: texture,
             shininess: 20,
@@ -74,58 +75,14 @@ export class BallRenderer {
         }
       }
     } else {
-      // Enemy ball appearance - simplified on mobile
-      if (isMobile) {
-        // Use simple colors on mobile for better performance
-        const enemyColor = radius < 8 ? 0x999999 : // Gray for small
-                          radius < 15 ? 0xff6b35 : // Orange for medium 
-                          0x8b4513; // Brown for large
-        material = new THREE.MeshBasicMaterial({ 
-          color: enemyColor
-        });
-        if (radius >= 15 && parseInt(id, 36) % 2 !== 0) {
-          needsSaturnRing = true;
-        }
-      } else {
-        // Full quality textures on desktop
-        if (radius < 8) {
-          // Small balls look like moon
-          texture = TextureFactory.createMoonTexture();
-          material = new THREE.MeshPhongMaterial({ 
-            map: texture,
-            shininess: 20
-          });
-        } else if (radius < 15) {
-          // Medium balls look like Mars
-          texture = TextureFactory.createMarsTexture();
-          material = new THREE.MeshPhongMaterial({ 
-            map: texture,
-            shininess: 20
-          });
-        } else {
-          // Large balls (15+) alternate between Jupiter and Saturn appearance
-          const isJupiter = parseInt(id, 36) % 2 === 0;
-          
-          if (isJupiter) {
-            // Jupiter appearance
-            texture = TextureFactory.createJupiterTexture();
-            material = new THREE.MeshPhongMaterial({ 
-              map: texture,
-              shininess: 30
-            });
-          } else {
-            // Saturn appearance (brown ball)
-            material = new THREE.MeshPhongMaterial({
-              color: 0x8b4513, // Brown
-              shininess: 30
-            });
-            needsSaturnRing = true;
-          }
-        }
-      }
+      // Enemy ball appearance depends on its size class
+      const appearance = this.getAppearanceClass(radius, id);
+      material = this.createAppearanceMaterial(appearance, isMobile, id);
+      needsSaturnRing = appearance === 'saturn';
     }
     
     const mesh = new THREE.Mesh(geometry, material);
+    mesh.scale.setScalar(radius);
     // Disable shadow casting/receiving on mobile for better performance
     mesh.castShadow = !isMobile;
     mesh.receiveShadow = !isMobile;
@@ -133,6 +90,63 @@ export class BallRenderer {
     return { mesh, needsSaturnRing };
   }
 
+  /**
+   * Determines the appearance class of an enemy ball
+   * @param {number} radius - Ball radius
+   * @param {string} id - Ball id; large balls alternate between Jupiter and Saturn by id
+   * @returns {string} 'moon', 'mars', 'jupiter' or 'saturn'
+   */
+  getAppearanceClass(radius, id) {
+    if (radius < 8) return 'moon'; // Small balls look like moon
+    if (radius < 15) return 'mars'; // Medium balls look like Mars
+    return parseInt(id, 36) % 2 === 0 ? 'jupiter' : 'saturn';
+  }
+
+  /**
+   * Creates the material for an enemy appearance class
+   * @param {string} appearance - Appearance class from getAppearanceClass()
+   * @param {boolean} isMobile - Use flat colors instead of textures
+   * @param {string|number} textureKey - Picks the cached texture variant (e.g. ball id)
+   * @returns {THREE.Material} Material for the class
+   */
+  createAppearanceMaterial(appearance, isMobile, textureKey = 0) {
+    if (isMobile) {
+      // Use simple colors on mobile for better performance
+      const colors = {
+        moon: 0x999999, // Gray for small
+        mars: 0xff6b35, // Orange for medium
+        jupiter: 0x8b4513, // Brown for large
+        saturn: 0x8b4513
+      };
+      return new THREE.MeshBasicMaterial({ color: colors[appearance] });
+    }
+    
+    // Full quality textures on desktop
+    switch (appearance) {
+      case 'moon':
+        return new THREE.MeshPhongMaterial({
+          map: textureCache.acquire('moon', textureKey),
+          shininess: 20
+        });
+      case 'mars':
+        return new THREE.MeshPhongMaterial({
+          map: textureCache.acquire('mars', textureKey),
+          shininess: 20
+        });
+      case 'jupiter':
+        return new THREE.MeshPhongMaterial({
+          map: textureCache.acquire('jupiter', textureKey),
+          shininess: 30
+        });
+      default:
+        // Saturn appearance (brown ball)
+        return new THREE.MeshPhongMaterial({
+          color: 0x8b4513, // Brown
+          shininess: 30
+        });
+    }
+  }
+
   /**
    * Creates a Saturn ring for large Saturn-type balls
    * @param {number} radius - Ball radius
@@ -168,7 +182,7 @@ export class BallRenderer {
   createSkinMaterial(skinType, color) {
     switch(skinType) {
       case 'earth':
-        const earthTexture = TextureFactory.createEarthTexture();
+        const earthTexture = textureCache.acquire('earth');
         return new THREE.MeshPhongMaterial({ 
           map: earthTexture,
           shininess: 20,
@@ -223,7 +237,7 @@ export class BallRenderer {
     if (mesh) {
       if (mesh.geometry) mesh.geometry.dispose();
       if (mesh.material) {
-        if (mesh.material.map) mesh.material.map.dispose();
+        if (mesh.material.map) textureCache.release(mesh.material.map);
         mesh.material.dispose();
       }
       if (mesh.parent) {
@@ -236,13 +250,12 @@ export class BallRenderer {
    * Updates mesh position and scale
    * @param {THREE.Mesh} mesh - Mesh to update
    * @param {THREE.Vector3} position - New position
-   * @param {number} radius - New radius for scaling
+   * @param {number} radius - Displayed radius, applied as a uniform scale
    */
   updateMesh(mesh, position, radius) {
     if (mesh) {
       mesh.position.copy(position);
-      // Update scale if geometry needs to change significantly
-      // For now, we recreate mesh when radius changes significantly
+      mesh.scale.setScalar(radius);
     }
   }
 }
\ No newline at end of file
@@ -0,0 +1,238 @@
+import { BallRenderer } from './BallRenderer.js';
+import { SkinManager } from './SkinManager.js';
+import { AnimationController } from './AnimationController.js';
+import { CelestialBodyFactory } from './CelestialBodyFactory.js';
+import { approach } from './utils.js';
+
+// How quickly the displayed size catches up after a meal (1/seconds)
+const GROWTH_RATE = 8;
+
+/**
+ * Visual representation of a simulated Ball
+ * Owns the mesh, Saturn ring, skin and character components and keeps them
+ * in sync with the ball's state each frame. Meshes are built at unit radius
+ * and scaled to a displayed radius that eases towards the ball's radius; the
+ * mesh is only rebuilt when the ball's appearance class changes.
+ */
+export class BallView {
+  constructor(ball, scene) {
+    this.ball = ball;
+    this.scene = scene;
+    this.mesh = null;
+    this.saturnRing = null;
+    this.isSun = false;
+    this.displayRadius = ball.radius;
+    this.renderPosition = ball.position.clone(); // Interpolated between simulation steps
+    
+    // Composed components
+    this.renderer = new BallRenderer(scene);
+    this.skinManager = new SkinManager(scene);
+    this.animationController = new AnimationController(scene);
+    this.celestialFactory = new CelestialBodyFactory(scene);
+    
+    this.appearance = this.getAppearance();
+    this.createMesh();
+  }
+
+  /**
+   * Creates the visual mesh for the ball
+   */
+  createMesh() {
+    const ballData = {
+      radius: this.ball.radius,
+      isPlayer: this.ball.isPlayer,
+      currentSkin: this.skinManager.getCurrentSkin(),
+      color: this.ball.color,
+      id: this.ball.id
+    };
+    
+    const { mesh, needsSaturnRing } = this.renderer.createMesh(ballData);
+    this.mesh = mesh;
+    this.renderer.updateMesh(this.mesh, this.renderPosition, this.displayRadius);
+    this.scene.add(this.mesh);
+    
+    // Add Saturn ring if needed
+    if (needsSaturnRing) {
+      this.saturnRing = this.renderer.createSaturnRing(1, this.renderPosition);
+      this.saturnRing.scale.setScalar(this.displayRadius);
+    }
+    
+    // Add Mario character if this is the player
+    if (this.ball.isPlayer) {
+      // this.animationController.createMarioCharacter(this);
+    }
+  }
+
+  /**
+   * Synchronizes visuals with the ball state
+   * @param {number} deltaTime - Time since last update
+   * @param {number} alpha - Interpolation factor between the previous and current step (0-1)
+   * @param {THREE.Vector3} reference - In a wrapping arena, draw the copy of the ball nearest this point
+   */
+  update(deltaTime, alpha = 1, reference = null) {
+    this.renderPosition.lerpVectors(this.ball.previousPosition, this.ball.position, alpha);
+    if (reference && this.ball.arena) {
+      this.ball.arena.nearestImage(this.renderPosition, reference);
+    }
+    
+    // Ease the displayed size towards the simulated one
+    this.displayRadius = approach(this.displayRadius, this.ball.radius, GROWTH_RATE, deltaTime);
+    
+    // Only a new appearance class needs a new mesh; size is just a scale
+    const appearance = this.getAppearance();
+    if (appearance !== this.appearance) {
+      this.appearance = appearance;
+      this.recreateMesh();
+    }
+    
+    if (this.ball.isSun && !this.isSun) {
+      this.celestialFactory.makeSun(this);
+    }
+    
+    if (this.ball.skin !== this.skinManager.getCurrentSkin()) {
+      this.skinManager.setSkin(this.ball.skin, this);
+    }
+    
+    // Update mesh position and scale to match the ball
+    this.renderer.updateMesh(this.mesh, this.renderPosition, this.displayRadius);
+    
+    // Initialize rotation speed if not set (with small random variation)
+    if (this.rotationSpeed === undefined) {
+      // Base speed of 2 radians/sec with ±10% variation
+      this.rotationSpeed = 2.0 + (Math.random() - 0.5) * 0.4;
+    }
+    
+    // Rotate around Y axis (vertical) in one consistent direction
+    this.mesh.rotation.y += deltaTime * this.rotationSpeed;
+    
+    // Add very small wobble for realism (±5 degrees max)
+    const wobbleAmount = 0.05;
+    this.mesh.rotation.x = Math.sin(Date.now() * 0.001) * wobbleAmount;
+    this.mesh.rotation.z = Math.cos(Date.now() * 0.001) * wobbleAmount;
+    
+    // Update animations
+    this.animationController.updateMarioAnimation(deltaTime, this);
+    this.skinManager.updateAnimations(deltaTime, this);
+    
+    // Update component positions
+    this.updateComponentPositions();
+  }
+
+  /**
+   * Updates positions and sizes of all components
+   */
+  updateComponentPositions() {
+    this.skinManager.updatePosition(this.renderPosition);
+    this.skinManager.updateScale(this.displayRadius);
+    this.animationController.updatePosition(this.renderPosition);
+    this.animationController.scaleMario(this.displayRadius);
+    
+    // Update Saturn ring position and size if it exists
+    if (this.saturnRing) {
+      this.saturnRing.position.copy(this.renderPosition);
+      this.saturnRing.scale.setScalar(this.displayRadius);
+    }
+  }
+
+  /**
+   * Determines which mesh the ball needs
+   * The player's look only depends on its skin; enemies change class at size thresholds
+   * @returns {string} Appearance key
+   */
+  getAppearance() {
+    if (this.ball.isPlayer) return 'player';
+    return this.renderer.getAppearanceClass(this.ball.radius, this.ball.id);
+  }
+
+  /**
+   * Recreates the mesh after an appearance change
+   */
+  recreateMesh() {
+    // Store current skin state
+    const currentSkin = this.skinManager.getCurrentSkin();
+    
+    this.disposeMesh();
+    
+    // Create new mesh
+    this.createMesh();
+    
+    // The Sun appearance is reapplied on top of the new mesh
+    this.isSun = false;
+    
+    // Restore skin if it was active
+    if (currentSkin !== 'default') {
+      this.skinManager.setSkin(currentSkin, this);
+    }
+    
+    // Scale Mario for new size
+    this.animationController.scaleMario(this.displayRadius);
+  }
+
+  /**
+   * Removes the mesh and every attached component from the scene
+   */
+  disposeMesh() {
+    if (this.mesh) {
+      this.renderer.disposeMesh(this.mesh);
+    }
+    
+    // Dispose of Saturn ring if it exists
+    if (this.saturnRing) {
+      this.scene.remove(this.saturnRing);
+      this.saturnRing.children.forEach(child => {
+        if (child.geometry) child.geometry.dispose();
+        if (child.material) child.material.dispose();
+      });
+      this.saturnRing = null;
+    }
+    
+    this.animationController.removeMario();
+    this.skinManager.removeSkin(this);
+  }
+
+  /**
+   * Cleans up all resources
+   */
+  destroy() {
+    this.disposeMesh();
+  }
+
+  /**
+   * Ball state accessors used by the visual components
+   * (position is the interpolated render position)
+   */
+  get position() {
+    return this.renderPosition;
+  }
+
+  get velocity() {
+    return this.ball.velocity;
+  }
+
+  /**
+   * Displayed radius, which lags the simulated radius while growing
+   */
+  get radius() {
+    return this.displayRadius;
+  }
+
+  get color() {
+    return this.ball.color;
+  }
+
+  get isPlayer() {
+    return this.ball.isPlayer;
+  }
+
+  get id() {
+    return this.ball.id;
+  }
+
+  /**
+   * Gets Mario group for external access
+   * @returns {THREE.Group|null} Mario group
+   */
+  get marioGroup() {
+    return this.animationController.getMarioGroup();
+  }
+}
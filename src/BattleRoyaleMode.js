@@ -0,0 +1,88 @@
+import { GameMode } from './GameMode.js';
+import { SafeZone } from './SafeZone.js';
+
+const ELIMINATION_RADIUS = 1; // Balls drained below this are out
+const ZONE_WARNING_TIME = 10; // Seconds before a shrink that the AI heads for the next zone
+
+/**
+ * Last ball standing inside a shrinking safe zone
+ * Balls outside the zone lose mass every second until they are eliminated.
+ * Enemies only spawn until the zone first starts to close, so the field
+ * thins out towards the end; the player wins by outliving every enemy.
+ */
+export class BattleRoyaleMode extends GameMode {
+  constructor(world) {
+    super(world);
+    this.zone = null;
+  }
+
+  reset() {
+    this.zone = new SafeZone({
+      arena: this.world.arena,
+      seed: this.world.seed ^ 0x85ebca6b
+    });
+  }
+
+  attachBall(ball) {
+    // Ejected pellets are mass, not players
+    if (!ball.isPellet) {
+      ball.safeZone = this.zone;
+    }
+  }
+
+  update(deltaTime) {
+    this.zone.update(deltaTime);
+    
+    this.world.balls
+      .filter(ball => ball.radius < ELIMINATION_RADIUS)
+      .forEach(ball => this.world.eliminateBall(ball));
+    
+    if (!this.world.gameOver && this.world.enemies.length === 0) {
+      this.world.endGame();
+    }
+  }
+
+  steer(enemy, nearbyBalls) {
+    const zone = this.zone;
+    
+    // Get back inside first; shortly before a shrink, make for the next zone
+    if (!zone.contains(enemy.position)) {
+      enemy.seekTarget({ position: zone.center });
+    } else if (!zone.isFinal && (zone.isShrinking || zone.timeLeft < ZONE_WARNING_TIME)) {
+      const offset = enemy.arena.offset(zone.nextCenter, enemy.position);
+      if (Math.hypot(offset.x, offset.z) > zone.nextRadius - enemy.radius) {
+        enemy.seekTarget({ position: zone.nextCenter });
+      }
+    }
+  }
+
+  canSpawn() {
+    return this.zone.phaseIndex === 0 && !this.zone.isShrinking;
+  }
+
+  getResult() {
+    const won = this.world.playerCells.length > 0 && this.world.enemies.length === 0;
+    return { won, placement: won ? 1 : this.world.enemies.length + 1 };
+  }
+
+  describeResult(result) {
+    if (result.won) {
+      return { title: 'Victory!', lines: ['🏆 Last ball standing!'] };
+    }
+    return { title: 'Game Over!', lines: [`Placed #${result.placement}`] };
+  }
+
+  getStatus() {
+    const zone = this.zone;
+    const alive = this.world.enemies.length + (this.world.playerCells.length ? 1 : 0);
+    let zoneStatus;
+    if (zone.isFinal) {
+      zoneStatus = 'Final zone';
+    } else if (zone.isShrinking) {
+      zoneStatus = 'Zone closing!';
+    } else {
+      zoneStatus = `Zone closes in ${Math.ceil(zone.timeLeft)}s`;
+    }
+    return [`Alive: ${alive}`, zoneStatus];
+  }
+}
@@ -7,15 +7,18 @@ export class CameraController {
     this.angle = 0;
     this.distance = 50;
     this.height = 30;
+    this.zoom = 1;
     this.smoothness = 0.1;
+    this.snapDistance = 100; // Target moves longer than this in one frame are followed at once
+    this.lastTargetPosition = null;
     this.updateOffset();
   }
   
   updateOffset() {
     this.offset = new THREE.Vector3(
-      Math.sin(this.angle) * this.distance,
-      this.height,
-      Math.cos(this.angle) * this.distance
+      Math.sin(this.angle) * this.distance * this.zoom,
+      this.height * this.zoom,
+      Math.cos(this.angle) * this.distance * this.zoom
     );
   }
   
@@ -23,9 +26,32 @@ export class CameraController {
     this.angle += delta;
     this.updateOffset();
   }
+  
+  setAngle(angle) {
+    this.angle = angle;
+    this.updateOffset();
+  }
+  
+  setZoom(zoom) {
+    if (zoom === this.zoom) return;
+    this.zoom = zoom;
+    this.updateOffset();
+  }
 
   update() {
     if (!this.target) return;
+    
+    // A target that jumps (wrapping around the arena) takes the camera with it
+    // instead of dragging it across the world
+    if (this.lastTargetPosition) {
+      const jump = this.target.position.clone().sub(this.lastTargetPosition);
+      if (jump.length() > this.snapDistance) {
+        this.camera.position.add(jump);
+      }
+      this.lastTargetPosition.copy(this.target.position);
+    } else {
+      this.lastTargetPosition = this.target.position.clone();
+    }
 
     const desiredPosition = this.target.position.clone().add(this.offset);
     
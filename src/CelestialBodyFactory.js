@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { textureCache } from './TextureCache.js';
 
 /**
  * Factory for creating special celestial body transformations
@@ -22,7 +23,7 @@ export class CelestialBodyFactory {
     if (ball.mesh) {
       this.scene.remove(ball.mesh);
       ball.mesh.geometry.dispose();
-      if (ball.mesh.material.map) ball.mesh.material.map.dispose();
+      if (ball.mesh.material.map) textureCache.release(ball.mesh.material.map);
       ball.mesh.material.dispose();
     }
     
@@ -37,10 +38,10 @@ export class CelestialBodyFactory {
     }
     
     // Create sun texture
-    const sunTexture = this.createSunTexture();
+    const sunTexture = textureCache.acquire('sun', ball.id);
     
-    // Create new mesh with sun appearance
-    const geometry = new THREE.SphereGeometry(ball.radius, 64, 32);
+    // Create new unit mesh with sun appearance; the view scales it to the ball radius
+    const geometry = new THREE.SphereGeometry(1, 64, 32);
     const material = new THREE.MeshBasicMaterial({
       map: sunTexture,
       emissive: 0xffaa00,
@@ -49,13 +50,14 @@ export class CelestialBodyFactory {
     
     ball.mesh = new THREE.Mesh(geometry, material);
     ball.mesh.position.copy(ball.position);
+    ball.mesh.scale.setScalar(ball.radius);
     ball.mesh.castShadow = false; // Sun doesn't cast shadows
     ball.mesh.receiveShadow = false;
     
     this.scene.add(ball.mesh);
     
     // Add corona glow effect
-    const coronaGeometry = new THREE.SphereGeometry(ball.radius * 1.3, 32, 16);
+    const coronaGeometry = new THREE.SphereGeometry(1.3, 32, 16);
     const coronaMaterial = new THREE.MeshBasicMaterial({
       color: 0xffaa00,
       transparent: true,
@@ -66,7 +68,7 @@ export class CelestialBodyFactory {
     ball.mesh.add(corona);
     
     // Add outer glow
-    const outerGlowGeometry = new THREE.SphereGeometry(ball.radius * 1.6, 32, 16);
+    const outerGlowGeometry = new THREE.SphereGeometry(1.6, 32, 16);
     const outerGlowMaterial = new THREE.MeshBasicMaterial({
       color: 0xffff00,
       transparent: true,
@@ -77,59 +79,6 @@ export class CelestialBodyFactory {
     ball.mesh.add(outerGlow);
   }
 
-  /**
-   * Creates a procedural Sun texture
-   * @returns {THREE.CanvasTexture} Sun texture
-   */
-  createSunTexture() {
-    const canvas = document.createElement('canvas');
-    canvas.width = 512;
-    canvas.height = 256;
-    const ctx = canvas.getContext('2d');
-    
-    // Create radial gradient for sun surface
-    const gradient = ctx.createRadialGradient(256, 128, 0, 256, 128, 200);
-    gradient.addColorStop(0, '#ffff88');    // Bright yellow center
-    gradient.addColorStop(0.3, '#ffaa00');  // Orange
-    gradient.addColorStop(0.6, '#ff6600');  // Red-orange
-    gradient.addColorStop(1, '#cc3300');    // Dark red edge
-    
-    ctx.fillStyle = gradient;
-    ctx.fillRect(0, 0, canvas.width, canvas.height);
-    
-    // Add solar flares and surface activity
-    for (let i = 0; i < 25; i++) {
-      const x = Math.random() * canvas.width;
-      const y = Math.random() * canvas.height;
-      const size = Math.random() * 40 + 15;
-      
-      const flareGradient = ctx.createRadialGradient(x, y, 0, x, y, size);
-      flareGradient.addColorStop(0, '#ffffff');      // White hot center
-      flareGradient.addColorStop(0.3, '#ffff00');    // Yellow
-      flareGradient.addColorStop(0.7, '#ff8800');    // Orange
-      flareGradient.addColorStop(1, 'transparent');
-      
-      ctx.fillStyle = flareGradient;
-      ctx.beginPath();
-      ctx.arc(x, y, size, 0, Math.PI * 2);
-      ctx.fill();
-    }
-    
-    // Add sunspots (darker areas)
-    for (let i = 0; i < 8; i++) {
-      const x = Math.random() * canvas.width;
-      const y = Math.random() * canvas.height;
-      const size = Math.random() * 20 + 10;
-      
-      ctx.fillStyle = 'rgba(80, 40, 0, 0.6)';
-      ctx.beginPath();
-      ctx.arc(x, y, size, 0, Math.PI * 2);
-      ctx.fill();
-    }
-    
-    return new THREE.CanvasTexture(canvas);
-  }
-
   /**
    * Creates a white dwarf star
    * @param {Object} ball - Ball object to transform
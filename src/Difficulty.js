@@ -0,0 +1,90 @@
+/**
+ * Difficulty levels of the AI opponents
+ */
+export const Difficulty = Object.freeze({
+  EASY: 'easy',
+  NORMAL: 'normal',
+  HARD: 'hard',
+  INSANE: 'insane'
+});
+
+/**
+ * What each difficulty level changes
+ * - reactionDelay: seconds an AI keeps acting on a decision before rethinking it
+ * - perception: scales the ranges at which AI notices threats and prey
+ * - viewAngle: full width in degrees of the cone AI sees in, facing the way it moves; 360 sees all around
+ * - memorySpan: seconds AI remembers where a ball that went out of sight was last seen
+ * - predictionAccuracy: share of a target's movement AI leads its chase by (0 aims at where it is)
+ * - speed: scales the top speed of AI balls
+ * - spawnSize: scales the size of spawned AI balls
+ * - spinCooldown: seconds between power-up spins; null takes the spinner away
+ * - aiPowerUpCooldown: seconds an AI ball waits between its own power-ups; null gives it none
+ * - leapCooldown: seconds an AI ball waits between pounces and escape jumps; null never leaps
+ */
+export const DIFFICULTY_PRESETS = {
+  [Difficulty.EASY]: {
+    name: 'Easy',
+    reactionDelay: 0.4,
+    perception: 0.75,
+    viewAngle: 120,
+    memorySpan: 2,
+    predictionAccuracy: 0,
+    speed: 0.85,
+    spawnSize: 0.8,
+    spinCooldown: 5,
+    aiPowerUpCooldown: null,
+    leapCooldown: null
+  },
+  [Difficulty.NORMAL]: {
+    name: 'Normal',
+    reactionDelay: 0.1,
+    perception: 1,
+    viewAngle: 160,
+    memorySpan: 4,
+    predictionAccuracy: 0.4,
+    speed: 1,
+    spawnSize: 1,
+    spinCooldown: 10,
+    aiPowerUpCooldown: 30,
+    leapCooldown: 8
+  },
+  [Difficulty.HARD]: {
+    name: 'Hard',
+    reactionDelay: 0.05,
+    perception: 1.25,
+    viewAngle: 220,
+    memorySpan: 6,
+    predictionAccuracy: 0.75,
+    speed: 1.1,
+    spawnSize: 1.15,
+    spinCooldown: 20,
+    aiPowerUpCooldown: 20,
+    leapCooldown: 4
+  },
+  [Difficulty.INSANE]: {
+    name: 'Insane',
+    reactionDelay: 0,
+    perception: 1.5,
+    viewAngle: 360,
+    memorySpan: 8,
+    predictionAccuracy: 1,
+    speed: 1.25,
+    spawnSize: 1.3,
+    spinCooldown: null,
+    aiPowerUpCooldown: 12,
+    leapCooldown: 2
+  }
+};
+
+/**
+ * Looks up the settings of a difficulty level
+ * @param {string} level - Difficulty value
+ * @returns {Object} Preset from DIFFICULTY_PRESETS
+ */
+export function getDifficultyPreset(level) {
+  const preset = DIFFICULTY_PRESETS[level];
+  if (!preset) {
+    throw new Error(`Unknown difficulty: ${level}`);
+  }
+  return preset;
+}
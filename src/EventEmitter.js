@@ -0,0 +1,45 @@
+/**
+ * Minimal event emitter
+ * Lets the simulation notify observers (renderers, UI) without depending on them
+ */
+export class EventEmitter {
+  constructor() {
+    this.listeners = {};
+  }
+
+  /**
+   * Registers a handler for an event
+   * @param {string} event - Event name
+   * @param {Function} handler - Callback receiving the event payload
+   * @returns {Function} Function that unregisters the handler
+   */
+  on(event, handler) {
+    if (!this.listeners[event]) {
+      this.listeners[event] = [];
+    }
+    this.listeners[event].push(handler);
+    return () => this.off(event, handler);
+  }
+
+  /**
+   * Unregisters a handler
+   * @param {string} event - Event name
+   * @param {Function} handler - Previously registered callback
+   */
+  off(event, handler) {
+    const handlers = this.listeners[event];
+    if (!handlers) return;
+    this.listeners[event] = handlers.filter(h => h !== handler);
+  }
+
+  /**
+   * Notifies all handlers of an event
+   * @param {string} event - Event name
+   * @param {*} payload - Data passed to handlers
+   */
+  emit(event, payload) {
+    const handlers = this.listeners[event];
+    if (!handlers) return;
+    [...handlers].forEach(handler => handler(payload));
+  }
+}
@@ -0,0 +1,104 @@
+import * as THREE from 'three';
+import { Arena } from './Arena.js';
+import { Random } from './Random.js';
+import { SpatialHash } from './SpatialHash.js';
+import { randomColor } from './utils.js';
+
+/**
+ * Field of tiny static food pellets scattered over the whole world
+ * Food never moves, so it lives in its own spatial hash that is only touched
+ * when a pellet is added or eaten. The field draws from its own Random seeded
+ * from the match seed, so regrowth doesn't shift enemy spawns.
+ */
+export class FoodField {
+  /**
+   * @param {Object} options - { count, regenRate, radius, arena, seed, terrain, isBlocked }
+   */
+  constructor(options = {}) {
+    this.count = options.count ?? 800; // Field is topped up to this many pellets
+    this.regenRate = options.regenRate ?? 20; // Pellets regrown per second
+    this.radius = options.radius ?? 0.8;
+    this.arena = options.arena ?? new Arena();
+    this.terrain = options.terrain ?? null;
+    this.isBlocked = options.isBlocked ?? (() => false); // (x, z) => true where food can't grow
+    this.rng = new Random(options.seed ?? 0);
+    
+    this.items = [];
+    this.spatialHash = new SpatialHash(options.cellSize ?? 50, this.arena.wraps ? this.arena.size : 0);
+    this.regenProgress = 0; // Fraction of the next pellet regrown so far
+    this.nextId = 0;
+  }
+
+  /**
+   * Adds a pellet at a random spot on the ground
+   * @returns {Object} Pellet { id, position, radius, color }
+   */
+  spawn() {
+    // A few tries to land outside obstacles
+    let pos = this.arena.randomPosition(this.rng);
+    for (let attempt = 0; attempt < 5 && this.isBlocked(pos.x, pos.z); attempt++) {
+      pos = this.arena.randomPosition(this.rng);
+    }
+    const ground = this.terrain ? this.terrain.getHeight(pos.x, pos.z) : 0;
+    const food = {
+      id: this.nextId++,
+      position: new THREE.Vector3(pos.x, ground + this.radius, pos.z),
+      radius: this.radius,
+      color: randomColor(this.rng)
+    };
+    
+    this.items.push(food);
+    this.spatialHash.insert(food);
+    return food;
+  }
+
+  /**
+   * Tops the field up to its full count at once
+   * @returns {Array<Object>} Pellets added
+   */
+  fill() {
+    const added = [];
+    while (this.items.length < this.count) {
+      added.push(this.spawn());
+    }
+    return added;
+  }
+
+  /**
+   * Regrows eaten pellets at regenRate
+   * @param {number} deltaTime - Time step
+   * @returns {Array<Object>} Pellets added
+   */
+  regrow(deltaTime) {
+    const added = [];
+    if (this.items.length >= this.count) {
+      this.regenProgress = 0;
+      return added;
+    }
+    
+    this.regenProgress += this.regenRate * deltaTime;
+    while (this.regenProgress >= 1 && this.items.length < this.count) {
+      added.push(this.spawn());
+      this.regenProgress--;
+    }
+    return added;
+  }
+
+  /**
+   * Removes the pellets a ball is touching and can eat
+   * @param {Ball} ball - Eating ball
+   * @returns {Array<Object>} Pellets eaten
+   */
+  eatOverlapping(ball) {
+    if (ball.radius <= this.radius) return [];
+    
+    const eaten = this.spatialHash.query(ball.position, ball.radius + this.radius)
+      .filter(food => this.arena.distance(food.position, ball.position) < ball.radius + food.radius);
+    if (eaten.length === 0) return eaten;
+    
+    eaten.forEach(food => this.spatialHash.remove(food));
+    const eatenSet = new Set(eaten);
+    this.items = this.items.filter(food => !eatenSet.has(food));
+    return eaten;
+  }
+}
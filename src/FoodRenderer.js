@@ -0,0 +1,158 @@
+import * as THREE from 'three';
+
+// How far the player moves in a wrapping arena before the food is redrawn around them
+const REWRAP_DISTANCE = 20;
+
+/**
+ * Draws a World's food field as a single THREE.InstancedMesh
+ * Food never moves, so an instance is written once when its pellet appears
+ * and overwritten by the last instance when the pellet is eaten; nothing is
+ * touched on frames where no food changes.
+ *
+ * In a wrapping arena each pellet is drawn at its copy nearest the player;
+ * those copies are rechosen whenever the player has moved far enough.
+ */
+export class FoodRenderer {
+  /**
+   * @param {World} world - World to observe
+   * @param {THREE.Scene} scene - Scene to draw into
+   * @param {number} initialCapacity - Instances allocated; doubled when exceeded
+   */
+  constructor(world, scene, initialCapacity = 1024) {
+    this.world = world;
+    this.scene = scene;
+    this.isMobile = window.innerHeight > window.innerWidth;
+    this.slots = new Map(); // food.id -> instance index
+    this.foods = []; // Instance index -> food
+    this.reference = null; // Point the wrapped copies were chosen around
+    
+    this.geometry = new THREE.IcosahedronGeometry(1, 0);
+    this.material = new THREE.MeshPhongMaterial({ flatShading: true });
+    this.mesh = null;
+    this.capacity = 0;
+    this.allocate(initialCapacity);
+    
+    // Scratch objects reused for every instance
+    this.matrix = new THREE.Matrix4();
+    this.color = new THREE.Color();
+    this.position = new THREE.Vector3();
+    
+    this.rebuild();
+    world.on('foodAdded', food => this.add(food));
+    world.on('foodEaten', ({ food }) => this.remove(food));
+    world.on('reset', () => this.rebuild());
+  }
+
+  /**
+   * Creates the instanced mesh with a new capacity, keeping current instances
+   * @param {number} capacity - Number of instances to allocate
+   */
+  allocate(capacity) {
+    const mesh = new THREE.InstancedMesh(this.geometry, this.material, capacity);
+    mesh.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(capacity * 3), 3);
+    
+    if (this.mesh) {
+      mesh.instanceMatrix.array.set(this.mesh.instanceMatrix.array);
+      mesh.instanceColor.array.set(this.mesh.instanceColor.array);
+      this.scene.remove(this.mesh);
+      this.mesh.dispose();
+    }
+    
+    mesh.count = this.foods.length;
+    // Food covers the whole world, so culling the mesh as one object gains nothing
+    mesh.frustumCulled = false;
+    mesh.receiveShadow = !this.isMobile;
+    
+    this.scene.add(mesh);
+    this.mesh = mesh;
+    this.capacity = capacity;
+  }
+
+  /**
+   * Replaces every instance with the world's current food
+   */
+  rebuild() {
+    this.slots.clear();
+    this.foods = [];
+    this.reference = null;
+    this.mesh.count = 0;
+    this.world.food.items.forEach(food => this.add(food));
+  }
+
+  /**
+   * Starts drawing a pellet
+   * @param {Object} food - Pellet from the FoodField
+   */
+  add(food) {
+    if (this.slots.has(food.id)) return;
+    if (this.foods.length >= this.capacity) {
+      this.allocate(this.capacity * 2);
+    }
+    
+    const index = this.foods.length;
+    this.foods.push(food);
+    this.slots.set(food.id, index);
+    this.write(index, food);
+    this.mesh.count = this.foods.length;
+  }
+
+  /**
+   * Stops drawing a pellet, moving the last instance into its slot
+   * @param {Object} food - Pellet from the FoodField
+   */
+  remove(food) {
+    const index = this.slots.get(food.id);
+    if (index === undefined) return;
+    
+    const last = this.foods.pop();
+    this.slots.delete(food.id);
+    if (last !== food) {
+      this.foods[index] = last;
+      this.slots.set(last.id, index);
+      this.write(index, last);
+    }
+    this.mesh.count = this.foods.length;
+  }
+
+  /**
+   * Redraws the food around the player in a wrapping arena
+   * @param {THREE.Vector3} reference - Point to draw the nearest copies around; null if the arena doesn't wrap
+   */
+  update(reference) {
+    if (!reference) return;
+    if (this.reference && this.reference.distanceToSquared(reference) < REWRAP_DISTANCE * REWRAP_DISTANCE) return;
+    
+    this.reference = reference.clone();
+    this.foods.forEach((food, index) => this.write(index, food));
+  }
+
+  /**
+   * Writes the transform and color of one instance
+   * @param {number} index - Instance index
+   * @param {Object} food - Pellet drawn at that index
+   */
+  write(index, food) {
+    this.position.copy(food.position);
+    if (this.reference) {
+      this.world.arena.nearestImage(this.position, this.reference);
+    }
+    
+    this.matrix.makeScale(food.radius, food.radius, food.radius).setPosition(this.position);
+    this.mesh.setMatrixAt(index, this.matrix);
+    this.mesh.setColorAt(index, this.color.setHex(food.color));
+    this.mesh.instanceMatrix.needsUpdate = true;
+    this.mesh.instanceColor.needsUpdate = true;
+  }
+
+  /**
+   * Cleans up all resources
+   */
+  destroy() {
+    this.scene.remove(this.mesh);
+    this.mesh.dispose();
+    this.geometry.dispose();
+    this.material.dispose();
+    this.slots.clear();
+    this.foods = [];
+  }
+}
@@ -0,0 +1,117 @@
+/**
+ * Rules of a match on top of the World's simulation
+ * The base class plays the classic free-for-all: grow forever, enemies keep
+ * spawning, and the match ends when the player is eaten. Other modes override
+ * the hooks the World calls at fixed points of reset() and step(). A mode is
+ * part of the simulation, so it must only draw randomness from seeded sources.
+ */
+export class GameMode {
+  /**
+   * @param {World} world - World the mode runs in
+   */
+  constructor(world) {
+    this.world = world;
+  }
+
+  /**
+   * Sets the mode up for a new match; called before any ball is added
+   */
+  reset() {}
+
+  /**
+   * Gives a new ball whatever the mode needs it to know about
+   * @param {Ball} ball - Ball entering the world
+   */
+  attachBall(ball) {}
+
+  /**
+   * Applies the mode's rules, e.g. ending the match when its goal is met;
+   * called every step after collisions are resolved, unless they ended the match
+   * @param {number} deltaTime - Time step
+   */
+  update(deltaTime) {}
+
+  /**
+   * Adds the mode's goals to an enemy's steering, after its usual AI
+   * @param {Ball} enemy - AI ball
+   * @param {Array<Ball>} nearbyBalls - Balls within the enemy's perception range
+   */
+  steer(enemy, nearbyBalls) {}
+
+  /**
+   * Whether new enemies may spawn
+   * @returns {boolean} True to let spawnEnemies() add balls
+   */
+  canSpawn() {
+    return true;
+  }
+
+  /**
+   * Extra outcome reported with the 'gameOver' event
+   * @returns {Object} Fields merged into the event
+   */
+  getResult() {
+    return {};
+  }
+
+  /**
+   * Title and details for the results screen
+   * @param {Object} result - Payload of the 'gameOver' event
+   * @returns {Object} { title, lines }
+   */
+  describeResult(result) {
+    return { title: 'Game Over!', lines: [] };
+  }
+
+  /**
+   * Value a finished match is ranked by in the mode's high score table
+   * @param {Object} result - Payload of the 'gameOver' event
+   * @returns {number|null} Value to rank, or null if the match doesn't qualify
+   */
+  getHighScore(result) {
+    return result.score;
+  }
+
+  /**
+   * Key of the high score table the match is entered in
+   * Modes with an option that changes what a run is worth keep a table per setting.
+   * @param {string} type - GameModeType value of the mode
+   * @returns {string} Table key
+   */
+  getHighScoreKey(type) {
+    return type;
+  }
+
+  /**
+   * Whether lower high scores rank first, e.g. for fastest times
+   * @returns {boolean} True if lower is better
+   */
+  get lowerIsBetter() {
+    return false;
+  }
+
+  /**
+   * Text shown for a high score
+   * @param {number} value - Value from getHighScore()
+   * @returns {string} Formatted value
+   */
+  formatHighScore(value) {
+    return String(value);
+  }
+
+  /**
+   * Progress bar for the HUD, e.g. of capturing an objective
+   * @returns {Object|null} { label, value, color } with value from 0 to 1, or null for none
+   */
+  getProgress() {
+    return null;
+  }
+
+  /**
+   * Mode-specific lines for the HUD
+   * @returns {Array<string>} Lines to show; empty for none
+   */
+  getStatus() {
+    return [];
+  }
+}
@@ -0,0 +1,44 @@
+import { BattleRoyaleMode } from './BattleRoyaleMode.js';
+import { GameMode } from './GameMode.js';
+import { KingOfTheHillMode } from './KingOfTheHillMode.js';
+import { SizeRaceMode } from './SizeRaceMode.js';
+import { SurvivalMode } from './SurvivalMode.js';
+import { TeamMode } from './TeamMode.js';
+import { TimeAttackMode } from './TimeAttackMode.js';
+
+/**
+ * Available game modes
+ */
+export const GameModeType = Object.freeze({
+  CLASSIC: 'classic', // Grow as big as possible before being eaten
+  BATTLE_ROYALE: 'battleRoyale', // Last ball standing in a shrinking zone
+  SIZE_RACE: 'sizeRace', // Reach a target size as fast as possible
+  TIME_ATTACK: 'timeAttack', // Highest score in 3 minutes
+  SURVIVAL: 'survival', // Stay alive for the survivalTime option, 5 minutes by default
+  TEAMS: 'teams', // Colored teams whose members can't eat each other
+  KING_OF_THE_HILL: 'kingOfTheHill' // Hold a capture zone to score
+});
+
+const MODES = {
+  [GameModeType.CLASSIC]: GameMode,
+  [GameModeType.BATTLE_ROYALE]: BattleRoyaleMode,
+  [GameModeType.SIZE_RACE]: SizeRaceMode,
+  [GameModeType.TIME_ATTACK]: TimeAttackMode,
+  [GameModeType.SURVIVAL]: SurvivalMode,
+  [GameModeType.TEAMS]: TeamMode,
+  [GameModeType.KING_OF_THE_HILL]: KingOfTheHillMode
+};
+
+/**
+ * Creates the rules for a match
+ * @param {string} type - GameModeType value
+ * @param {World} world - World the mode runs in
+ * @returns {GameMode} Game mode
+ */
+export function createGameMode(type, world) {
+  const Mode = MODES[type];
+  if (!Mode) {
+    throw new Error(`Unknown game mode: ${type}`);
+  }
+  return new Mode(world);
+}
@@ -0,0 +1,68 @@
+import { EventEmitter } from './EventEmitter.js';
+
+/**
+ * Top-level game states
+ */
+export const GameState = Object.freeze({
+  TITLE: 'title',
+  PLAYING: 'playing',
+  PAUSED: 'paused',
+  GAME_OVER: 'gameOver',
+  REPLAY: 'replay'
+});
+
+// Allowed transitions from each state
+const TRANSITIONS = {
+  [GameState.TITLE]: [GameState.PLAYING, GameState.REPLAY],
+  [GameState.PLAYING]: [GameState.PAUSED, GameState.GAME_OVER],
+  [GameState.PAUSED]: [GameState.PLAYING, GameState.TITLE],
+  [GameState.GAME_OVER]: [GameState.PLAYING, GameState.REPLAY, GameState.TITLE],
+  [GameState.REPLAY]: [GameState.TITLE]
+};
+
+/**
+ * Explicit state machine for the game flow
+ * Only the transitions listed in TRANSITIONS are allowed.
+ *
+ * Events:
+ * - 'change' ({ from, to })
+ */
+export class GameStateMachine extends EventEmitter {
+  constructor(initialState = GameState.TITLE) {
+    super();
+    this.state = initialState;
+  }
+
+  /**
+   * Checks the current state
+   * @param {string} state - State to compare with
+   * @returns {boolean} True if the machine is in that state
+   */
+  is(state) {
+    return this.state === state;
+  }
+
+  /**
+   * Checks whether a transition is allowed from the current state
+   * @param {string} to - Target state
+   * @returns {boolean} True if allowed
+   */
+  can(to) {
+    return TRANSITIONS[this.state].includes(to);
+  }
+
+  /**
+   * Moves to another state
+   * @param {string} to - Target state
+   * @throws {Error} If the transition is not allowed
+   */
+  transition(to) {
+    if (!this.can(to)) {
+      throw new Error(`Invalid game state transition: ${this.state} -> ${to}`);
+    }
+
+    const from = this.state;
+    this.state = to;
+    this.emit('change', { from, to });
+  }
+}
@@ -0,0 +1,338 @@
+import { PERSONALITY_PROFILES } from './AIPersonality.js';
+import { GameState } from './GameStateMachine.js';
+
+/**
+ * DOM user interface observing a World and the game state
+ * Renders score, size, leaderboard, power-up indicators, the spinner wheel
+ * and the title, pause and game over screens
+ */
+export class HUD {
+  constructor(world) {
+    this.world = world;
+    
+    world.on('ballEaten', ({ eater }) => {
+      if (eater.isPlayer) this.update();
+    });
+    // Food and pellets are eaten constantly; the leaderboard catches up on its periodic refresh
+    world.on('foodEaten', ({ eater }) => {
+      if (eater.isPlayer) this.updateStats();
+    });
+    world.on('pelletEaten', ({ eater }) => {
+      if (eater.isPlayer) this.updateStats();
+    });
+    world.on('powerUpAdded', () => this.update());
+    world.on('powerUpRemoved', () => this.update());
+    world.on('spinStarted', result => this.showSpin(result));
+    world.on('spinComplete', result => this.onSpinComplete(result));
+    world.on('ballEliminated', () => this.updateLeaderboard());
+    world.on('gameOver', result => {
+      this.result = result;
+    });
+    world.on('reset', () => this.onReset());
+    
+    this.result = null; // Outcome of the last finished match
+    this.modeStatus = null; // Text last written to the mode status panel
+    this.modeProgress = null; // Progress bar state last written, as a string
+  }
+
+  update() {
+    if (!this.world.player) return;
+    
+    this.updateStats();
+    this.updateLeaderboard();
+    this.updatePowerUpUI();
+  }
+
+  /**
+   * Updates the score and size readout
+   */
+  updateStats() {
+    if (!this.world.player) return;
+    
+    document.getElementById('scoreValue').textContent = this.world.score;
+    document.getElementById('sizeValue').textContent = this.world.playerRadius.toFixed(1);
+  }
+
+  /**
+   * Per-frame updates (spin cooldown and periodic leaderboard refresh)
+   */
+  updateFrame() {
+    this.updateSpinCooldown();
+    this.updateModeStatus();
+    
+    // Update leaderboard less frequently on mobile for better performance
+    const isMobile = window.innerHeight > window.innerWidth;
+    const leaderboardUpdateInterval = isMobile ? 2 : 1; // Every 2 seconds on mobile, 1 second on desktop
+    if (Math.floor(Date.now() / 1000) % leaderboardUpdateInterval === 0) {
+      this.updateLeaderboard();
+    }
+  }
+
+  updateLeaderboard() {
+    const leaderboardList = document.getElementById('leaderboardList');
+    leaderboardList.innerHTML = '';
+    
+    const topTen = this.world.getRankedBalls().slice(0, 10);
+    topTen.forEach((ball, index) => {
+      const entry = document.createElement('div');
+      entry.className = `leaderboard-entry${ball.isPlayer ? ' player' : ''}`;
+      
+      // In team games a dot in the team's color marks who plays for whom
+      const marker = ball.team !== null
+        ? `<span class="team-marker" style="background: #${ball.color.toString(16).padStart(6, '0')}"></span>`
+        : '';
+      // The personality's icon hints at how an AI ball will behave
+      const icon = ball.isPlayer || !ball.personality ? '' : `${PERSONALITY_PROFILES[ball.personality].icon} `;
+      entry.innerHTML = `
+        <span class="rank">${index + 1}.</span>${marker}
+        <span class="name">${icon}${ball.name}</span>
+        <span class="size">${ball.radius.toFixed(1)}</span>
+      `;
+      
+      leaderboardList.appendChild(entry);
+    });
+  }
+
+  /**
+   * Shows the game mode's status (e.g. balls alive and zone timer) above the
+   * leaderboard, and its progress bar if it has one
+   */
+  updateModeStatus() {
+    const lines = this.world.mode.getStatus();
+    const text = lines.join('\n');
+    if (text !== this.modeStatus) {
+      this.modeStatus = text;
+      const status = document.getElementById('modeStatus');
+      status.classList.toggle('hidden', lines.length === 0);
+      status.innerHTML = lines.map(line => `<div>${line}</div>`).join('');
+    }
+    
+    this.updateModeProgress();
+  }
+
+  /**
+   * Shows the game mode's progress bar, e.g. capturing the hill
+   */
+  updateModeProgress() {
+    const progress = this.world.mode.getProgress();
+    // Whole percents are plenty, and keep the DOM untouched on most frames
+    const percent = progress ? Math.round(progress.value * 100) : 0;
+    const key = progress ? `${progress.label}|${percent}|${progress.color}` : '';
+    if (key === this.modeProgress) return;
+    
+    this.modeProgress = key;
+    document.getElementById('modeProgress').classList.toggle('hidden', !progress);
+    if (!progress) return;
+    
+    document.getElementById('modeProgressLabel').textContent = progress.label;
+    const fill = document.getElementById('modeProgressFill');
+    fill.style.width = `${percent}%`;
+    fill.style.background = `#${progress.color.toString(16).padStart(6, '0')}`;
+  }
+
+  updateSpinCooldown() {
+    const spinBtn = document.getElementById('spinBtn');
+    const cooldown = this.world.spinCooldown;
+    spinBtn.classList.toggle('hidden', !this.world.powerUpsAllowed);
+    
+    if (cooldown > 0) {
+      spinBtn.setAttribute('data-cooldown', Math.ceil(cooldown) + 's');
+      spinBtn.classList.add('cooldown');
+    } else if (spinBtn.hasAttribute('data-cooldown')) {
+      spinBtn.removeAttribute('data-cooldown');
+      spinBtn.classList.remove('cooldown');
+    }
+  }
+
+  updatePowerUpUI() {
+    const container = document.getElementById('active-powerups');
+    container.innerHTML = '';
+    
+    this.world.powerUpManager.activePowerUps.forEach(powerUp => {
+      const indicator = document.createElement('div');
+      indicator.className = 'powerup-indicator';
+      
+      const icon = {
+        speed: '⚡',
+        size: '🎈',
+        pacman: '👾',
+        saturn: '🪐',
+        earth: '🌍'
+      }[powerUp.type] || '✨';
+      
+      const name = {
+        speed: 'Speed Boost',
+        size: 'Size Boost',
+        pacman: 'PacMan Skin',
+        saturn: 'Saturn Skin',
+        earth: 'Earth Skin'
+      }[powerUp.type] || 'Power-Up';
+      
+      const remaining = Math.ceil(powerUp.getRemainingTime() / 1000);
+      
+      indicator.innerHTML = `
+        <span>${icon} ${name}</span>
+        <span class="powerup-timer">${remaining}s</span>
+      `;
+      
+      container.appendChild(indicator);
+    });
+  }
+
+  /**
+   * Plays the spinner wheel animation for a rolled result
+   * @param {Object} result - Power-up type rolled by the world
+   */
+  showSpin(result) {
+    // Hide spin button and show spinner wheel
+    document.getElementById('spinBtn').classList.add('cooldown');
+    document.getElementById('spinner-wheel').classList.remove('hidden');
+    document.getElementById('powerup-result').classList.add('hidden');
+    
+    // Start spinning animation
+    const wheel = document.querySelector('.wheel');
+    wheel.classList.add('spinning');
+    
+    // Calculate rotation degrees based on result
+    const segmentAngle = 60; // 360 / 6 segments
+    const resultIndex = this.world.powerUpManager.powerUpTypes.findIndex(p => p.type === result.type);
+    const targetDegrees = 1800 + (resultIndex * segmentAngle) + 30; // 5 rotations + segment position
+    wheel.style.setProperty('--spin-degrees', `${targetDegrees}deg`);
+  }
+
+  /**
+   * Hides the wheel and shows the result once the world finished the spin
+   * @param {Object} result - Power-up type granted
+   */
+  onSpinComplete(result) {
+    document.getElementById('spinner-wheel').classList.add('hidden');
+    document.querySelector('.wheel').classList.remove('spinning');
+    
+    this.showPowerUpResult(result, 3000);
+    this.update();
+  }
+
+  /**
+   * Briefly shows the name of a power-up
+   * @param {Object} powerUpType - Power-up type ({ name, color })
+   * @param {number} duration - Display time in ms
+   */
+  showPowerUpResult(powerUpType, duration) {
+    const resultDiv = document.getElementById('powerup-result');
+    resultDiv.classList.remove('hidden');
+    const colorHex = '#' + powerUpType.color.toString(16).padStart(6, '0');
+    resultDiv.innerHTML = `<span style="color: ${colorHex}">✨ ${powerUpType.name}! ✨</span>`;
+    
+    setTimeout(() => {
+      resultDiv.classList.add('hidden');
+    }, duration);
+  }
+
+  /**
+   * Shows the screens belonging to a game state
+   * @param {string} state - GameState value
+   */
+  showState(state) {
+    const isLive = state === GameState.PLAYING || state === GameState.PAUSED;
+    
+    document.getElementById('titleScreen').classList.toggle('hidden', state !== GameState.TITLE);
+    document.getElementById('pauseMenu').classList.toggle('hidden', state !== GameState.PAUSED);
+    document.getElementById('gameOver').classList.toggle('hidden', state !== GameState.GAME_OVER);
+    document.getElementById('pauseBtn').classList.toggle('hidden', state !== GameState.PLAYING);
+    document.querySelectorAll('.replay-error').forEach(el => el.classList.add('hidden'));
+    
+    if (state === GameState.GAME_OVER) {
+      document.getElementById('finalScore').textContent = this.world.score;
+      this.showResult(this.result);
+    }
+    
+    // The spinner is only available during live play
+    document.getElementById('spinBtn').style.display = isLive ? 'block' : 'none';
+    document.getElementById('ability-buttons').style.display = isLive ? 'flex' : 'none';
+    if (!isLive && state !== GameState.REPLAY) {
+      document.getElementById('spinner-wheel').classList.add('hidden');
+      document.getElementById('powerup-result').classList.add('hidden');
+    }
+    
+    // Freeze the wheel animation together with the simulation
+    this.setSpinAnimationPaused(state === GameState.PAUSED);
+  }
+
+  /**
+   * Fills in the results screen from the game mode's description of the match
+   * @param {Object} result - Payload of the 'gameOver' event
+   */
+  showResult(result) {
+    const { title, lines } = result ? this.world.mode.describeResult(result) : { title: 'Game Over!', lines: [] };
+    
+    document.getElementById('gameOver').classList.toggle('victory', Boolean(result && result.won));
+    document.getElementById('gameOverTitle').textContent = title;
+    document.getElementById('resultDetails').innerHTML = lines.map(line => `<p>${line}</p>`).join('');
+  }
+
+  /**
+   * Lists the current mode's best runs on the results screen
+   * @param {Array<Object>} table - Entries from HighScores.getTable()
+   * @param {number} rank - Index of the match just finished, -1 if it isn't in the table
+   */
+  showHighScores(table, rank) {
+    const list = document.getElementById('highScoreList');
+    document.getElementById('highScores').classList.toggle('hidden', table.length === 0);
+    list.innerHTML = '';
+    
+    table.forEach((entry, index) => {
+      const item = document.createElement('li');
+      item.classList.toggle('new-high-score', index === rank);
+      item.innerHTML = `
+        <span>${this.world.mode.formatHighScore(entry.value)}</span>
+        <span class="date">${new Date(entry.date).toLocaleDateString()}</span>
+      `;
+      list.appendChild(item);
+    });
+  }
+
+  /**
+   * Pauses or resumes the spinner wheel animation
+   * @param {boolean} paused - True to freeze the wheel
+   */
+  setSpinAnimationPaused(paused) {
+    document.querySelector('.wheel').classList.toggle('paused', paused);
+  }
+
+  /**
+   * Shows why a replay could not be loaded
+   * @param {string} message - Error message
+   */
+  showReplayError(message) {
+    document.querySelectorAll('.replay-error').forEach(el => {
+      el.textContent = message;
+      el.classList.remove('hidden');
+    });
+  }
+
+  onReset() {
+    this.result = null;
+    this.updateModeStatus();
+    document.getElementById('spinner-wheel').classList.add('hidden');
+    document.querySelector('.wheel').classList.remove('spinning');
+    document.getElementById('spinBtn').classList.remove('cooldown');
+    document.getElementById('spinBtn').removeAttribute('data-cooldown');
+    this.update();
+  }
+
+  /**
+   * Handle mobile layout - hide leaderboard and show mobile-specific instructions
+   */
+  handleMobileLayout() {
+    const isMobile = window.innerHeight > window.innerWidth;
+    const leaderboard = document.getElementById('leaderboard');
+    
+    if (leaderboard) {
+      leaderboard.style.display = isMobile ? 'none' : 'block';
+    }
+    
+    // Both sets of instructions live in the page; only which one shows changes
+    document.getElementById('desktopInstructions').classList.toggle('hidden', isMobile);
+    document.getElementById('mobileInstructions').classList.toggle('hidden', !isMobile);
+  }
+}
@@ -0,0 +1,64 @@
+import { getLocalStorage, readJSON, writeJSON } from './utils.js';
+
+const STORAGE_KEY = 'ballEatingSimulator.highScores';
+const MAX_ENTRIES = 10; // Entries kept per mode
+
+/**
+ * Best runs of each game mode, kept in localStorage
+ * Each mode has its own table of { value, date } entries sorted best first,
+ * or one per setting where the mode's getHighScoreKey() says so; what the
+ * value means (score, time...) is up to the mode.
+ */
+export class HighScores {
+  /**
+   * @param {Storage} storage - Where tables are saved; defaults to localStorage when available
+   */
+  constructor(storage = getLocalStorage()) {
+    this.storage = storage;
+    this.tables = this.load();
+  }
+
+  /**
+   * Reads the saved tables
+   * @returns {Object} Mode -> entries
+   */
+  load() {
+    return readJSON(this.storage, STORAGE_KEY) ?? {};
+  }
+
+  /**
+   * Writes the tables back to storage
+   */
+  save() {
+    writeJSON(this.storage, STORAGE_KEY, this.tables);
+  }
+
+  /**
+   * Best runs of a mode
+   * @param {string} mode - Table key from GameMode.getHighScoreKey()
+   * @returns {Array<Object>} Entries { value, date }, best first
+   */
+  getTable(mode) {
+    return this.tables[mode] ?? [];
+  }
+
+  /**
+   * Adds a run to a mode's table if it is good enough
+   * @param {string} mode - Table key from GameMode.getHighScoreKey()
+   * @param {number} value - What the run is ranked by
+   * @param {boolean} lowerIsBetter - True if lower values rank first
+   * @returns {number} Index of the new entry in the table, or -1 if it didn't make it
+   */
+  submit(mode, value, lowerIsBetter = false) {
+    const entry = { value, date: Date.now() };
+    const table = [...this.getTable(mode), entry];
+    
+    // Stable sort keeps earlier runs ahead of ties
+    table.sort((a, b) => (lowerIsBetter ? a.value - b.value : b.value - a.value));
+    table.length = Math.min(table.length, MAX_ENTRIES);
+    
+    this.tables[mode] = table;
+    this.save();
+    return table.indexOf(entry);
+  }
+}
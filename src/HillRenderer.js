@@ -0,0 +1,96 @@
+import * as THREE from 'three';
+
+const HILL_LIFT = 0.4; // The hill floats just above the ground to avoid z-fighting
+const FREE_COLOR = 0xffffff;
+
+/**
+ * Draws a king of the hill capture zone on the ground
+ * The disc follows the terrain, so it is rebuilt whenever the world resets.
+ * Per frame it takes the holder's color and pulses while someone else is
+ * capturing it. Nothing is drawn in modes without a hill.
+ */
+export class HillRenderer {
+  /**
+   * @param {World} world - World to observe
+   * @param {THREE.Scene} scene - Scene to draw into
+   */
+  constructor(world, scene) {
+    this.world = world;
+    this.scene = scene;
+    this.time = 0;
+    this.material = new THREE.MeshBasicMaterial({
+      color: FREE_COLOR,
+      transparent: true,
+      opacity: 0.35,
+      side: THREE.DoubleSide,
+      depthWrite: false
+    });
+    this.mesh = null;
+    
+    this.rebuild();
+    world.on('reset', () => this.rebuild());
+  }
+
+  /**
+   * Replaces the disc with the current match's hill
+   */
+  rebuild() {
+    this.clear();
+    
+    // Only modes with a hill have one
+    const hill = this.world.mode.hill ?? null;
+    if (!hill) return;
+    
+    const { x, z } = hill.center;
+    const geometry = new THREE.CircleGeometry(hill.radius, 48);
+    geometry.rotateX(-Math.PI / 2);
+    const positions = geometry.attributes.position;
+    for (let i = 0; i < positions.count; i++) {
+      positions.setY(i, this.world.getTerrainHeight(x + positions.getX(i), z + positions.getZ(i)) + HILL_LIFT);
+    }
+    
+    this.mesh = new THREE.Mesh(geometry, this.material);
+    this.mesh.position.set(x, 0, z);
+    this.scene.add(this.mesh);
+  }
+
+  /**
+   * Colors the hill after its holder
+   * @param {number} deltaTime - Time since last frame
+   * @param {THREE.Vector3} reference - Point to draw the nearest copy around; null if the arena doesn't wrap
+   */
+  update(deltaTime, reference = null) {
+    const hill = this.world.mode.hill ?? null;
+    if (!this.mesh || !hill) return;
+    
+    this.time += deltaTime;
+    this.material.color.setHex(hill.holder ? hill.holder.color : FREE_COLOR);
+    // Pulse faster as a capture nears completion
+    this.material.opacity = hill.contender
+      ? 0.35 + 0.2 * Math.sin(this.time * (4 + hill.progress * 12))
+      : 0.35;
+    
+    if (reference) {
+      this.mesh.position.set(hill.center.x, 0, hill.center.z);
+      this.world.arena.nearestImage(this.mesh.position, reference);
+    }
+  }
+
+  /**
+   * Removes the disc
+   */
+  clear() {
+    if (!this.mesh) return;
+    this.scene.remove(this.mesh);
+    this.mesh.geometry.dispose();
+    this.mesh = null;
+  }
+
+  /**
+   * Cleans up all resources
+   */
+  destroy() {
+    this.clear();
+    this.material.dispose();
+  }
+}
@@ -0,0 +1,240 @@
+import * as THREE from 'three';
+import { BallRenderer } from './BallRenderer.js';
+import { approach } from './utils.js';
+import { textureCache } from './TextureCache.js';
+
+const APPEARANCES = ['moon', 'mars', 'jupiter', 'saturn'];
+
+// How quickly the displayed size catches up after a meal (1/seconds), as in BallView
+const GROWTH_RATE = 8;
+
+// How far a team ball's look is tinted towards its team's color (0-1)
+const TEAM_TINT = 0.6;
+
+/**
+ * Draws enemy balls with one THREE.InstancedMesh per appearance class
+ * Balls of a class share a unit sphere and a single material, and growing
+ * only rescales the instance, so a crowd costs a handful of draw calls and no
+ * mesh is rebuilt when a ball eats. Saturn-class rings are instanced too.
+ * In team games each instance is tinted with its ball's team color.
+ */
+export class InstancedBallRenderer {
+  /**
+   * @param {THREE.Scene} scene - Scene to draw into
+   * @param {number} initialCapacity - Instances allocated per class; doubled when exceeded
+   */
+  constructor(scene, initialCapacity = 64) {
+    this.scene = scene;
+    this.renderer = new BallRenderer(scene);
+    this.isMobile = window.innerHeight > window.innerWidth;
+    this.instances = new Map(); // ball.id -> per-ball render state
+    
+    // Use lower quality geometry on mobile for better performance
+    const sphereGeometry = this.isMobile
+      ? new THREE.SphereGeometry(1, 16, 8)
+      : new THREE.SphereGeometry(1, 32, 16);
+    
+    this.groups = {};
+    APPEARANCES.forEach(appearance => {
+      this.groups[appearance] = this.createGroup(
+        sphereGeometry,
+        this.renderer.createAppearanceMaterial(appearance, this.isMobile),
+        initialCapacity
+      );
+    });
+    
+    // Same proportions as BallRenderer.createSaturnRing, scaled by radius
+    this.ringGroup = this.createGroup(
+      new THREE.RingGeometry(1.4, 2.2, 64, 1),
+      new THREE.MeshPhongMaterial({
+        color: 0xd2b48c, // Tan color for ring
+        side: THREE.DoubleSide,
+        transparent: true,
+        opacity: 0.8
+      }),
+      initialCapacity
+    );
+    this.ringTilt = new THREE.Quaternion().setFromEuler(new THREE.Euler(-Math.PI / 2.2, 0, 0));
+    
+    // Scratch objects reused every frame
+    this.matrix = new THREE.Matrix4();
+    this.quaternion = new THREE.Quaternion();
+    this.euler = new THREE.Euler();
+    this.scale = new THREE.Vector3();
+    this.tint = new THREE.Color();
+    this.teamColor = new THREE.Color();
+  }
+
+  /**
+   * Creates an instanced mesh group for one appearance
+   * @param {THREE.BufferGeometry} geometry - Shared geometry
+   * @param {THREE.Material} material - Shared material
+   * @param {number} capacity - Number of instances to allocate
+   * @returns {Object} { geometry, material, mesh, capacity }
+   */
+  createGroup(geometry, material, capacity) {
+    const group = { geometry, material, mesh: null, capacity: 0 };
+    this.allocate(group, capacity);
+    return group;
+  }
+
+  /**
+   * Creates the instanced mesh of a group with a new capacity
+   * @param {Object} group - Group from createGroup()
+   * @param {number} capacity - Number of instances to allocate
+   */
+  allocate(group, capacity) {
+    const mesh = new THREE.InstancedMesh(group.geometry, group.material, capacity);
+    mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+    // White leaves the material's own color; team balls write their tint
+    mesh.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(capacity * 3).fill(1), 3);
+    mesh.instanceColor.setUsage(THREE.DynamicDrawUsage);
+    
+    // Growing mid-frame keeps the matrices and colors already written
+    if (group.mesh) {
+      mesh.instanceMatrix.array.set(group.mesh.instanceMatrix.array);
+      mesh.instanceColor.array.set(group.mesh.instanceColor.array);
+      this.scene.remove(group.mesh);
+      group.mesh.dispose();
+    }
+    
+    mesh.count = 0;
+    // Instances move every frame, so the cached bounding sphere would be stale
+    mesh.frustumCulled = false;
+    // Disable shadow casting/receiving on mobile for better performance
+    mesh.castShadow = !this.isMobile;
+    mesh.receiveShadow = !this.isMobile;
+    
+    this.scene.add(mesh);
+    group.mesh = mesh;
+    group.capacity = capacity;
+  }
+
+  /**
+   * Starts drawing a ball
+   * @param {Ball} ball - Simulated enemy ball
+   */
+  add(ball) {
+    if (this.instances.has(ball.id)) return;
+    this.instances.set(ball.id, {
+      ball,
+      renderPosition: ball.position.clone(), // Interpolated between simulation steps
+      displayRadius: ball.radius, // Eases towards ball.radius after meals
+      rotationY: 0,
+      // Base speed of 2 radians/sec with ±10% variation
+      rotationSpeed: 2.0 + (Math.random() - 0.5) * 0.4
+    });
+  }
+
+  /**
+   * Stops drawing a ball
+   * @param {Ball} ball - Simulated ball
+   */
+  remove(ball) {
+    this.instances.delete(ball.id);
+  }
+
+  /**
+   * Checks whether a ball is drawn by this renderer
+   * @param {Ball} ball - Simulated ball
+   * @returns {boolean} True if the ball is instanced
+   */
+  has(ball) {
+    return this.instances.has(ball.id);
+  }
+
+  /**
+   * Writes every instance transform for this frame
+   * @param {number} deltaTime - Time since last frame
+   * @param {number} alpha - Interpolation factor between the previous and current step (0-1)
+   * @param {THREE.Vector3} reference - In a wrapping arena, draw the copy of each ball nearest this point
+   */
+  update(deltaTime, alpha = 1, reference = null) {
+    const counts = {};
+    APPEARANCES.forEach(appearance => { counts[appearance] = 0; });
+    let ringCount = 0;
+    
+    // Very small shared wobble for realism (±5 degrees max)
+    const wobbleAmount = 0.05;
+    const wobbleX = Math.sin(Date.now() * 0.001) * wobbleAmount;
+    const wobbleZ = Math.cos(Date.now() * 0.001) * wobbleAmount;
+    
+    this.instances.forEach(instance => {
+      const { ball, renderPosition } = instance;
+      renderPosition.lerpVectors(ball.previousPosition, ball.position, alpha);
+      if (reference && ball.arena) {
+        ball.arena.nearestImage(renderPosition, reference);
+      }
+      instance.rotationY += deltaTime * instance.rotationSpeed;
+      instance.displayRadius = approach(instance.displayRadius, ball.radius, GROWTH_RATE, deltaTime);
+      
+      // Balls change class as they grow
+      const appearance = this.renderer.getAppearanceClass(ball.radius, ball.id);
+      const group = this.groups[appearance];
+      if (counts[appearance] >= group.capacity) {
+        this.allocate(group, group.capacity * 2);
+      }
+      
+      this.euler.set(wobbleX, instance.rotationY, wobbleZ);
+      this.quaternion.setFromEuler(this.euler);
+      this.scale.setScalar(instance.displayRadius);
+      this.matrix.compose(renderPosition, this.quaternion, this.scale);
+      group.mesh.setMatrixAt(counts[appearance], this.matrix);
+      group.mesh.setColorAt(counts[appearance]++, this.getTint(ball));
+      
+      if (appearance === 'saturn') {
+        if (ringCount >= this.ringGroup.capacity) {
+          this.allocate(this.ringGroup, this.ringGroup.capacity * 2);
+        }
+        this.matrix.compose(renderPosition, this.ringTilt, this.scale);
+        this.ringGroup.mesh.setMatrixAt(ringCount++, this.matrix);
+      }
+    });
+    
+    APPEARANCES.forEach(appearance => {
+      this.commit(this.groups[appearance], counts[appearance]);
+    });
+    this.commit(this.ringGroup, ringCount);
+  }
+
+  /**
+   * Color an instance's material is multiplied by
+   * @param {Ball} ball - Simulated enemy ball
+   * @returns {THREE.Color} White, or tinted towards the team color in team
+   *   games; reused, so set it right away
+   */
+  getTint(ball) {
+    this.tint.setRGB(1, 1, 1);
+    if (ball.team !== null) {
+      this.tint.lerp(this.teamColor.setHex(ball.color), TEAM_TINT);
+    }
+    return this.tint;
+  }
+
+  /**
+   * Uploads the instance matrices and colors written this frame
+   * @param {Object} group - Group from createGroup()
+   * @param {number} count - Number of instances in use
+   */
+  commit(group, count) {
+    group.mesh.count = count;
+    group.mesh.instanceMatrix.needsUpdate = true;
+    group.mesh.instanceColor.needsUpdate = true;
+  }
+
+  /**
+   * Cleans up all resources
+   */
+  destroy() {
+    [...Object.values(this.groups), this.ringGroup].forEach(group => {
+      this.scene.remove(group.mesh);
+      group.mesh.dispose();
+      if (group.material.map) textureCache.release(group.material.map);
+      group.material.dispose();
+    });
+    // The sphere geometry is shared by every appearance group
+    this.groups.moon.geometry.dispose();
+    this.ringGroup.geometry.dispose();
+    this.instances.clear();
+  }
+}
@@ -0,0 +1,232 @@
+import * as THREE from 'three';
+import { GameMode } from './GameMode.js';
+import { Random } from './Random.js';
+
+const HILL_RADIUS = 40;
+const CAPTURE_TIME = 3; // Seconds as the biggest ball on the hill to take it
+const POINTS_PER_SECOND = 10; // Awarded to the holder while it stays the biggest on the hill
+const WINNING_POINTS = 600; // First to this many hill points wins
+const CONTEST_RANGE = 200; // Enemies this close to the hill decide whether to fight for it
+
+/**
+ * Capture zone that scores for whoever holds it
+ * The biggest ball whose center is on the hill starts capturing it, and takes
+ * it after CAPTURE_TIME seconds of staying the biggest. The holder then earns
+ * points every second it is the biggest ball on the hill, until someone else
+ * is. All of the player's cells count as one contender.
+ *
+ * Events emitted on the World:
+ * - 'hillCaptured' ({ holder })
+ */
+export class KingOfTheHillMode extends GameMode {
+  constructor(world) {
+    super(world);
+    this.hill = null;
+    this.points = new Map(); // Contender -> hill points
+    this.occupants = []; // Balls on the hill as of the last update()
+  }
+
+  reset() {
+    this.hill = {
+      center: this.chooseCenter(),
+      radius: HILL_RADIUS,
+      holder: null, // Ball holding the hill (any player cell stands for the player)
+      contender: null, // Biggest ball on the hill while it isn't the holder
+      progress: 0, // Share of the capture time the contender has been the biggest
+      holdTime: 0 // Seconds towards the holder's next points
+    };
+    this.points = new Map();
+    this.occupants = [];
+  }
+
+  /**
+   * Places the hill away from the player's spawn and clear of solids
+   * @returns {THREE.Vector3} Center of the hill
+   */
+  chooseCenter() {
+    const { arena, obstacles } = this.world;
+    const rng = new Random(this.world.seed ^ 0x9e3779b9);
+    let pos = arena.randomPosition(rng, 0.5);
+    for (let attempt = 0; attempt < 10; attempt++) {
+      if (Math.hypot(pos.x, pos.z) > HILL_RADIUS * 2 && !obstacles.isBlocked(pos.x, pos.z, HILL_RADIUS)) break;
+      pos = arena.randomPosition(rng, 0.5);
+    }
+    return new THREE.Vector3(pos.x, 0, pos.z);
+  }
+
+  /**
+   * Whether two balls play for the same contender
+   * @param {Ball} a - First ball, or null
+   * @param {Ball} b - Second ball, or null
+   * @returns {boolean} True for the same ball or two player cells
+   */
+  isSameContender(a, b) {
+    return a === b || Boolean(a && b && a.isPlayer && b.isPlayer);
+  }
+
+  /**
+   * Key a contender's points are kept under
+   * @param {Ball} ball - Contender
+   * @returns {Ball|string} The ball, or 'player' for any player cell
+   */
+  getKey(ball) {
+    return ball.isPlayer ? 'player' : ball;
+  }
+
+  /**
+   * Hill points of a contender
+   * @param {Ball} ball - Contender
+   * @returns {number} Points scored on the hill
+   */
+  getPoints(ball) {
+    return this.points.get(this.getKey(ball)) ?? 0;
+  }
+
+  /**
+   * Balls whose center is on the hill
+   * @returns {Array<Ball>} Balls on the hill
+   */
+  getOccupants() {
+    const { arena } = this.world;
+    return this.world.balls.filter(ball => {
+      const offset = arena.offset(this.hill.center, ball.position);
+      return Math.hypot(offset.x, offset.z) < this.hill.radius;
+    });
+  }
+
+  update(deltaTime) {
+    const hill = this.hill;
+    
+    // A holder that was eaten loses the hill
+    if (hill.holder && !this.isInPlay(hill.holder)) {
+      hill.holder = null;
+    }
+    
+    this.occupants = this.getOccupants();
+    const leader = this.occupants.reduce(
+      (biggest, ball) => (!biggest || ball.radius > biggest.radius ? ball : biggest),
+      null
+    );
+    
+    if (!leader) {
+      hill.contender = null;
+      hill.progress = 0;
+    } else if (this.isSameContender(leader, hill.holder)) {
+      hill.contender = null;
+      hill.progress = 0;
+      hill.holdTime += deltaTime;
+      while (hill.holdTime >= 1 && !this.world.gameOver) {
+        hill.holdTime--;
+        this.awardPoints(leader);
+      }
+    } else {
+      if (!this.isSameContender(leader, hill.contender)) {
+        hill.contender = leader;
+        hill.progress = 0;
+      }
+      hill.progress += deltaTime / CAPTURE_TIME;
+      if (hill.progress >= 1) {
+        hill.holder = leader;
+        hill.contender = null;
+        hill.progress = 0;
+        hill.holdTime = 0;
+        this.world.emit('hillCaptured', { holder: leader });
+      }
+    }
+  }
+
+  /**
+   * Checks whether a contender is still in the match
+   * @param {Ball} ball - Contender
+   * @returns {boolean} True if it hasn't been eaten
+   */
+  isInPlay(ball) {
+    return ball.isPlayer ? this.world.playerCells.length > 0 : this.world.enemies.includes(ball);
+  }
+
+  /**
+   * Gives the holder a second's worth of points and ends the match once it has enough
+   * @param {Ball} holder - Ball holding the hill
+   */
+  awardPoints(holder) {
+    const points = this.getPoints(holder) + POINTS_PER_SECOND;
+    this.points.set(this.getKey(holder), points);
+    if (holder.isPlayer) {
+      this.world.score += POINTS_PER_SECOND;
+    }
+    
+    if (points >= WINNING_POINTS) {
+      this.world.endGame();
+    }
+  }
+
+  steer(enemy, nearbyBalls) {
+    const hill = this.hill;
+    const offset = enemy.arena.offset(enemy.position, hill.center);
+    const distance = Math.hypot(offset.x, offset.z);
+    if (distance > CONTEST_RANGE) return;
+    
+    // Weigh up what the enemy sees, and whoever on the hill it could see
+    const { perception } = enemy.ai;
+    const rivals = perception.visible.concat(this.occupants.filter(ball =>
+      ball !== enemy &&
+      !ball.isRemoved &&
+      !perception.visible.includes(ball) &&
+      perception.canPerceive(enemy, ball, enemy.ai.perceptionRange)
+    ));
+    const behavior = enemy.ai.determineBehaviorMode(enemy, rivals);
+    
+    if (behavior === 'defensive') {
+      // Outgunned: clear off the hill rather than be eaten on it
+      if (distance < hill.radius + enemy.radius) {
+        enemy.avoidThreat({ position: hill.center });
+      }
+    } else if (behavior === 'aggressive' || enemy.ai.calculateDangerLevel(enemy, rivals) < 0.3) {
+      enemy.seekTarget({ position: hill.center });
+    }
+  }
+
+  getResult() {
+    const player = this.world.playerCells[0];
+    const playerPoints = player ? this.getPoints(player) : 0;
+    return { won: playerPoints >= WINNING_POINTS, hillPoints: playerPoints };
+  }
+
+  describeResult(result) {
+    if (result.won) {
+      return { title: 'King of the Hill!', lines: [`${result.hillPoints} hill points`] };
+    }
+    
+    const holder = this.hill.holder;
+    const lines = [`You scored ${result.hillPoints} hill points`];
+    if (holder && !holder.isPlayer && this.getPoints(holder) >= WINNING_POINTS) {
+      lines.unshift(`${holder.name} held the hill`);
+    }
+    return { title: 'Game Over!', lines };
+  }
+
+  getHighScore(result) {
+    return result.hillPoints;
+  }
+
+  getProgress() {
+    const { holder, contender, progress } = this.hill;
+    if (contender) {
+      return { label: `${contender.name} capturing the hill`, value: progress, color: contender.color };
+    }
+    if (holder) {
+      return { label: `👑 ${holder.name} holds the hill`, value: 1, color: holder.color };
+    }
+    return { label: 'The hill is free', value: 0, color: 0xffffff };
+  }
+
+  getStatus() {
+    const holder = this.hill.holder;
+    const player = this.world.playerCells[0];
+    const lines = [`You: ${player ? this.getPoints(player) : 0} / ${WINNING_POINTS}`];
+    if (holder && !holder.isPlayer) {
+      lines.push(`${holder.name}: ${this.getPoints(holder)} / ${WINNING_POINTS}`);
+    }
+    return lines;
+  }
+}
@@ -0,0 +1,306 @@
+import * as THREE from 'three';
+import { Arena } from './Arena.js';
+import { Random } from './Random.js';
+
+/**
+ * Kinds of obstacle and hazard
+ */
+export const ObstacleType = Object.freeze({
+  PILLAR: 'pillar', // Solid round column
+  WALL: 'wall', // Solid straight wall
+  VIRUS: 'virus', // Spiky ball that splits anything bigger that rolls over it
+  MUD: 'mud', // Zone that slows balls down
+  SPEED_PAD: 'speedPad' // Zone that launches balls in a fixed direction
+});
+
+// Default size of each type
+const DEFAULTS = {
+  [ObstacleType.PILLAR]: { radius: 8, height: 40 },
+  [ObstacleType.WALL]: { length: 60, thickness: 4, height: 16 },
+  [ObstacleType.VIRUS]: { radius: 18 },
+  [ObstacleType.MUD]: { radius: 30 },
+  [ObstacleType.SPEED_PAD]: { radius: 8 }
+};
+
+// Obstacles of each type in a generated arena at density 1
+const GENERATED_COUNTS = {
+  [ObstacleType.PILLAR]: 6,
+  [ObstacleType.WALL]: 4,
+  [ObstacleType.VIRUS]: 8,
+  [ObstacleType.MUD]: 4,
+  [ObstacleType.SPEED_PAD]: 6
+};
+
+const RESTITUTION = 0.5; // Share of the speed kept when bouncing off a solid
+const MUD_DRAG = 0.9; // Horizontal speed kept per step inside mud
+const PAD_SPEED = 120; // Launch speed of a speed pad
+const VIRUS_RESPAWN_TIME = 20; // Seconds before a popped virus grows back
+
+/**
+ * Finds how far a point is from the surface of an obstacle on the XZ plane
+ * Pillars, viruses and zones are circles; walls are capsules around their
+ * center line.
+ * @param {Object} obstacle - Obstacle from ObstacleField.add()
+ * @param {THREE.Vector3} position - Point to measure from
+ * @param {Arena} arena - Arena, so wrapping edges are measured across; optional
+ * @returns {Object} { distance, normal } distance to the surface (negative
+ *   inside) and the horizontal unit vector pointing away from the obstacle
+ */
+export function measureObstacle(obstacle, position, arena = null) {
+  // On a torus, measure from the copy of the point nearest the obstacle
+  const point = arena ? arena.nearestImage(position.clone(), obstacle.position) : position;
+  const closest = obstacle.position.clone();
+  if (obstacle.type === ObstacleType.WALL) {
+    // Project onto the wall's center line, clamped to its ends
+    const offset = point.clone().sub(obstacle.position);
+    const along = THREE.MathUtils.clamp(offset.dot(obstacle.direction), -obstacle.length / 2, obstacle.length / 2);
+    closest.addScaledVector(obstacle.direction, along);
+  }
+
+  const normal = point.clone().sub(closest);
+  normal.y = 0;
+  const centerDistance = normal.length();
+  if (centerDistance > 1e-6) {
+    normal.divideScalar(centerDistance);
+  } else {
+    normal.set(1, 0, 0);
+  }
+
+  return { distance: centerDistance - obstacle.radius, normal };
+}
+
+/**
+ * Checks whether a jumping ball is high enough to pass over an obstacle
+ * @param {Ball} ball - Ball to check
+ * @param {Object} obstacle - Obstacle from ObstacleField.add()
+ * @returns {boolean} True if the ball's bottom is above the obstacle's top
+ */
+export function jumpsOver(ball, obstacle) {
+  return obstacle.height > 0 && ball.isJumping && ball.getClearance() > obstacle.height;
+}
+
+/**
+ * Cheap bounding circle test done before measureObstacle()
+ * @param {Object} obstacle - Obstacle from ObstacleField.add()
+ * @param {THREE.Vector3} position - Point to test
+ * @param {number} range - Distance from the obstacle's surface
+ * @param {Arena} arena - Arena the obstacle is in
+ * @returns {boolean} False if the point is certainly out of range
+ */
+function withinReach(obstacle, position, range, arena) {
+  const reach = obstacle.radius + obstacle.length / 2 + range;
+  const dx = arena.wrapDelta(position.x - obstacle.position.x);
+  const dz = arena.wrapDelta(position.z - obstacle.position.z);
+  return dx * dx + dz * dz < reach * reach;
+}
+
+/**
+ * Static obstacles and hazards placed in the arena
+ * Pillars and walls are solid, except to balls jumping higher than their
+ * top; viruses are solid only to balls too small to pop them; mud and speed
+ * pads are zones that act on balls whose center is inside. Balls hold a
+ * reference to the field (like the terrain) and call collide() and
+ * applyZones() from their own physics; popping balls on viruses changes the
+ * ball list, so the World does that.
+ */
+export class ObstacleField {
+  /**
+   * @param {Arena} arena - Arena the obstacles stand in
+   */
+  constructor(arena = new Arena()) {
+    this.arena = arena;
+    this.obstacles = [];
+    this.nextId = 0;
+  }
+
+  /**
+   * Places an obstacle
+   * @param {Object} spec - { type, x, z } plus optional size overrides:
+   *   radius and height (pillar), length, thickness, height and angle (wall),
+   *   radius (virus, mud), radius and angle (speed pad). Angles are in radians
+   *   from the +X axis towards +Z.
+   * @returns {Object} The placed obstacle
+   */
+  add(spec) {
+    const defaults = DEFAULTS[spec.type];
+    if (!defaults) {
+      throw new Error(`Unknown obstacle type: ${spec.type}`);
+    }
+    
+    const options = { ...defaults, ...spec };
+    const angle = options.angle ?? 0;
+    const obstacle = {
+      id: this.nextId++,
+      type: spec.type,
+      position: new THREE.Vector3(options.x, 0, options.z),
+      // Walls collide as a capsule of half their thickness
+      radius: spec.type === ObstacleType.WALL ? options.thickness / 2 : options.radius,
+      height: options.height ?? 0,
+      length: options.length ?? 0,
+      angle,
+      direction: new THREE.Vector3(Math.cos(angle), 0, Math.sin(angle)),
+      solid: spec.type === ObstacleType.PILLAR || spec.type === ObstacleType.WALL,
+      active: true, // Viruses go inactive for a while after popping a ball
+      respawnTimer: 0
+    };
+    
+    this.obstacles.push(obstacle);
+    return obstacle;
+  }
+
+  /**
+   * Scatters a random arena layout
+   * @param {Object} options - { seed, density, safeRadius }
+   *   density scales the number of obstacles (1 is the default layout) and
+   *   nothing is placed within safeRadius of the spawn point at the origin
+   */
+  generate(options = {}) {
+    const rng = new Random(options.seed ?? 0);
+    const density = options.density ?? 1;
+    const safeRadius = options.safeRadius ?? 40;
+    
+    Object.entries(GENERATED_COUNTS).forEach(([type, baseCount]) => {
+      const count = Math.round(baseCount * density);
+      for (let i = 0; i < count; i++) {
+        // A few attempts to find a free spot; crowded arenas just get fewer obstacles
+        for (let attempt = 0; attempt < 10; attempt++) {
+          // Keep clear of the edge
+          const pos = this.arena.randomPosition(rng, (this.arena.halfSize - 30) / this.arena.halfSize);
+          const spec = { type, x: pos.x, z: pos.z, angle: rng.range(0, Math.PI * 2) };
+          const reach = type === ObstacleType.WALL ? DEFAULTS[type].length / 2 : DEFAULTS[type].radius;
+          if (Math.hypot(spec.x, spec.z) < safeRadius + reach) continue;
+          if (this.isBlocked(spec.x, spec.z, reach + 10, true)) continue;
+          
+          this.add(spec);
+          break;
+        }
+      }
+    });
+  }
+
+  /**
+   * Checks whether a point is inside or near an obstacle
+   * @param {number} x - World X
+   * @param {number} z - World Z
+   * @param {number} margin - Extra clearance required
+   * @param {boolean} includeZones - Also count mud and speed pads
+   * @returns {boolean} True if blocked
+   */
+  isBlocked(x, z, margin = 0, includeZones = false) {
+    const point = new THREE.Vector3(x, 0, z);
+    return this.obstacles.some(obstacle => {
+      if (!includeZones && !obstacle.solid && obstacle.type !== ObstacleType.VIRUS) return false;
+      return withinReach(obstacle, point, margin, this.arena) &&
+        measureObstacle(obstacle, point, this.arena).distance < margin;
+    });
+  }
+
+  /**
+   * Finds obstacles whose surface is within range of a point
+   * @param {THREE.Vector3} position - Point to search from
+   * @param {number} range - Distance from the surfaces
+   * @returns {Array<Object>} Obstacles in range
+   */
+  getNearby(position, range) {
+    return this.obstacles.filter(obstacle =>
+      withinReach(obstacle, position, range, this.arena) && measureObstacle(obstacle, position, this.arena).distance < range
+    );
+  }
+
+  /**
+   * Checks whether a ball is big enough for a virus to pop it
+   * @param {Ball} ball - Ball to check
+   * @param {Object} virus - Virus obstacle
+   * @returns {boolean} True if the virus splits the ball on contact
+   */
+  canPop(ball, virus) {
+    return ball.radius > virus.radius;
+  }
+
+  /**
+   * Counts down popped viruses until they grow back
+   * @param {number} deltaTime - Time step
+   */
+  update(deltaTime) {
+    this.obstacles.forEach(obstacle => {
+      if (obstacle.active) return;
+      
+      obstacle.respawnTimer -= deltaTime;
+      if (obstacle.respawnTimer <= 0) {
+        obstacle.active = true;
+        obstacle.respawnTimer = 0;
+      }
+    });
+  }
+
+  /**
+   * Pushes a ball out of every solid it overlaps and bounces it off
+   * @param {Ball} ball - Ball to resolve
+   */
+  collide(ball) {
+    this.obstacles.forEach(obstacle => {
+      const isSolid = obstacle.solid ||
+        (obstacle.type === ObstacleType.VIRUS && obstacle.active && !this.canPop(ball, obstacle));
+      if (!isSolid || !withinReach(obstacle, ball.position, ball.radius, this.arena)) return;
+      if (jumpsOver(ball, obstacle)) return;
+      
+      const { distance, normal } = measureObstacle(obstacle, ball.position, this.arena);
+      const penetration = ball.radius - distance;
+      if (penetration <= 0) return;
+      
+      ball.position.addScaledVector(normal, penetration);
+      
+      // Reflect the part of the motion heading into the obstacle
+      [ball.velocity, ball.launchVelocity].forEach(velocity => {
+        const inward = velocity.dot(normal);
+        if (inward < 0) {
+          velocity.addScaledVector(normal, -inward * (1 + RESTITUTION));
+        }
+      });
+    });
+  }
+
+  /**
+   * Applies the mud and speed pad zones the ball's center is in
+   * @param {Ball} ball - Ball to affect
+   */
+  applyZones(ball) {
+    this.obstacles.forEach(obstacle => {
+      if (obstacle.type !== ObstacleType.MUD && obstacle.type !== ObstacleType.SPEED_PAD) return;
+      if (!withinReach(obstacle, ball.position, 0, this.arena)) return;
+      
+      if (obstacle.type === ObstacleType.MUD) {
+        ball.velocity.x *= MUD_DRAG;
+        ball.velocity.z *= MUD_DRAG;
+        ball.launchVelocity.multiplyScalar(MUD_DRAG);
+      } else if (ball.launchVelocity.dot(obstacle.direction) < PAD_SPEED / 2) {
+        // Relaunch only once the previous launch has faded
+        ball.launchVelocity.copy(obstacle.direction).multiplyScalar(PAD_SPEED);
+      }
+    });
+  }
+
+  /**
+   * Finds an active virus that would pop a ball
+   * A virus pops a ball that is big enough and covers the virus's center.
+   * @param {Ball} ball - Ball to check
+   * @returns {Object|null} Virus, or null
+   */
+  findPoppingVirus(ball) {
+    return this.obstacles.find(obstacle =>
+      obstacle.type === ObstacleType.VIRUS &&
+      obstacle.active &&
+      this.canPop(ball, obstacle) &&
+      withinReach(obstacle, ball.position, ball.radius - obstacle.radius, this.arena)
+    ) || null;
+  }
+
+  /**
+   * Takes a virus out of play until it grows back
+   * @param {Object} virus - Virus that popped a ball
+   */
+  consumeVirus(virus) {
+    virus.active = false;
+    virus.respawnTimer = VIRUS_RESPAWN_TIME;
+  }
+}
@@ -0,0 +1,245 @@
+import * as THREE from 'three';
+import { ObstacleType } from './ObstacleField.js';
+
+// How far solids reach below the ground so slopes never show a gap under them
+const FOUNDATION_DEPTH = 20;
+const ZONE_LIFT = 0.3; // Zones float just above the ground to avoid z-fighting
+// How far the player moves in a wrapping arena before obstacles are redrawn around them
+const REWRAP_DISTANCE = 20;
+
+/**
+ * Draws a World's obstacles and hazards
+ * Meshes are rebuilt whenever the world resets, since every match has its own
+ * layout and terrain. Per frame only viruses change: they spin, and hide while
+ * growing back after popping a ball. In a wrapping arena each obstacle is
+ * drawn at its copy nearest the player.
+ */
+export class ObstacleRenderer {
+  /**
+   * @param {World} world - World to observe
+   * @param {THREE.Scene} scene - Scene to draw into
+   */
+  constructor(world, scene) {
+    this.world = world;
+    this.scene = scene;
+    this.isMobile = window.innerHeight > window.innerWidth;
+    this.group = new THREE.Group();
+    this.entries = []; // { obstacle, mesh }
+    this.viruses = []; // Entries of viruses
+    this.reference = null; // Point the wrapped copies were chosen around
+    scene.add(this.group);
+    
+    this.materials = {
+      [ObstacleType.PILLAR]: new THREE.MeshPhongMaterial({ color: 0x8a8a99 }),
+      [ObstacleType.WALL]: new THREE.MeshPhongMaterial({ color: 0x6d6d80 }),
+      [ObstacleType.VIRUS]: new THREE.MeshPhongMaterial({ color: 0x33ff33, emissive: 0x0a4d0a, flatShading: true }),
+      [ObstacleType.MUD]: new THREE.MeshLambertMaterial({
+        color: 0x5c3a1a,
+        transparent: true,
+        opacity: 0.85,
+        polygonOffset: true,
+        polygonOffsetFactor: -1
+      }),
+      [ObstacleType.SPEED_PAD]: new THREE.MeshBasicMaterial({
+        color: 0x00e5ff,
+        transparent: true,
+        opacity: 0.7,
+        side: THREE.DoubleSide,
+        polygonOffset: true,
+        polygonOffsetFactor: -1
+      })
+    };
+    this.virusGeometry = this.createVirusGeometry();
+    
+    this.rebuild();
+    world.on('reset', () => this.rebuild());
+  }
+
+  /**
+   * Builds a unit sphere with spikes at the vertices of an icosahedron
+   * @returns {THREE.BufferGeometry} Spiky ball geometry
+   */
+  createVirusGeometry() {
+    // Pushing out every original vertex of a subdivided icosahedron leaves
+    // the midpoints behind, which reads as a ring of spikes
+    const geometry = new THREE.IcosahedronGeometry(1, 1);
+    const corners = new THREE.IcosahedronGeometry(1, 0).attributes.position;
+    const positions = geometry.attributes.position;
+    const vertex = new THREE.Vector3();
+    const corner = new THREE.Vector3();
+    
+    for (let i = 0; i < positions.count; i++) {
+      vertex.fromBufferAttribute(positions, i);
+      for (let j = 0; j < corners.count; j++) {
+        corner.fromBufferAttribute(corners, j);
+        if (vertex.distanceToSquared(corner) < 1e-6) {
+          vertex.multiplyScalar(1.35);
+          positions.setXYZ(i, vertex.x, vertex.y, vertex.z);
+          break;
+        }
+      }
+    }
+    
+    geometry.computeVertexNormals();
+    return geometry;
+  }
+
+  /**
+   * Replaces every mesh with the world's current obstacles
+   */
+  rebuild() {
+    this.clear();
+    this.world.obstacles.obstacles.forEach(obstacle => {
+      const mesh = this.createMesh(obstacle);
+      mesh.castShadow = !this.isMobile && obstacle.solid;
+      mesh.receiveShadow = !this.isMobile;
+      this.group.add(mesh);
+      
+      const entry = { obstacle, mesh };
+      this.entries.push(entry);
+      if (obstacle.type === ObstacleType.VIRUS) {
+        this.viruses.push(entry);
+      }
+    });
+  }
+
+  /**
+   * Creates the mesh for one obstacle
+   * @param {Object} obstacle - Obstacle from the ObstacleField
+   * @returns {THREE.Mesh} Mesh placed on the terrain
+   */
+  createMesh(obstacle) {
+    const { x, z } = obstacle.position;
+    const ground = this.world.getTerrainHeight(x, z);
+    const material = this.materials[obstacle.type];
+    
+    switch (obstacle.type) {
+      case ObstacleType.PILLAR: {
+        const height = obstacle.height + FOUNDATION_DEPTH;
+        const mesh = new THREE.Mesh(new THREE.CylinderGeometry(obstacle.radius, obstacle.radius, height, 24), material);
+        mesh.position.set(x, ground + obstacle.height - height / 2, z);
+        return mesh;
+      }
+      case ObstacleType.WALL: {
+        const height = obstacle.height + FOUNDATION_DEPTH;
+        const geometry = new THREE.BoxGeometry(obstacle.length + obstacle.radius * 2, height, obstacle.radius * 2);
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.position.set(x, ground + obstacle.height - height / 2, z);
+        // The box's length runs along X; turn it onto the wall's direction
+        mesh.rotation.y = -obstacle.angle;
+        return mesh;
+      }
+      case ObstacleType.VIRUS: {
+        const mesh = new THREE.Mesh(this.virusGeometry, material);
+        mesh.scale.setScalar(obstacle.radius);
+        mesh.position.set(x, ground + obstacle.radius, z);
+        return mesh;
+      }
+      case ObstacleType.MUD: {
+        const mesh = new THREE.Mesh(this.createZoneGeometry(obstacle), material);
+        mesh.position.set(x, 0, z);
+        return mesh;
+      }
+      case ObstacleType.SPEED_PAD: {
+        const mesh = new THREE.Mesh(this.createZoneGeometry(obstacle), material);
+        mesh.position.set(x, 0, z);
+        mesh.add(this.createPadArrow(obstacle, ground));
+        return mesh;
+      }
+      default:
+        throw new Error(`Unknown obstacle type: ${obstacle.type}`);
+    }
+  }
+
+  /**
+   * Builds a disc that follows the terrain under a zone
+   * @param {Object} obstacle - Mud or speed pad zone
+   * @returns {THREE.BufferGeometry} Disc centered on the zone, at world heights
+   */
+  createZoneGeometry(obstacle) {
+    const { x, z } = obstacle.position;
+    const geometry = new THREE.CircleGeometry(obstacle.radius, 32);
+    geometry.rotateX(-Math.PI / 2);
+    
+    const positions = geometry.attributes.position;
+    for (let i = 0; i < positions.count; i++) {
+      const height = this.world.getTerrainHeight(x + positions.getX(i), z + positions.getZ(i));
+      positions.setY(i, height + ZONE_LIFT);
+    }
+    geometry.computeVertexNormals();
+    return geometry;
+  }
+
+  /**
+   * Builds the arrow showing which way a speed pad launches balls
+   * @param {Object} obstacle - Speed pad
+   * @param {number} ground - Ground height at the pad's center
+   * @returns {THREE.Mesh} Arrow floating above the pad, relative to the pad mesh
+   */
+  createPadArrow(obstacle, ground) {
+    const size = obstacle.radius * 0.7;
+    const shape = new THREE.Shape();
+    shape.moveTo(size, 0);
+    shape.lineTo(-size * 0.6, size * 0.7);
+    shape.lineTo(-size * 0.2, 0);
+    shape.lineTo(-size * 0.6, -size * 0.7);
+    shape.closePath();
+    
+    // The shape points along +X; lay it flat and turn it like a wall
+    const geometry = new THREE.ShapeGeometry(shape);
+    geometry.rotateX(Math.PI / 2);
+    const arrow = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({ color: 0xffffff, side: THREE.DoubleSide }));
+    arrow.position.set(0, ground + ZONE_LIFT * 2, 0);
+    arrow.rotation.y = -obstacle.angle;
+    return arrow;
+  }
+
+  /**
+   * Spins the viruses, hides the ones growing back and follows the player
+   * around a wrapping arena
+   * @param {number} deltaTime - Time since last frame
+   * @param {THREE.Vector3} reference - Point to draw the nearest copies around; null if the arena doesn't wrap
+   */
+  update(deltaTime, reference = null) {
+    this.viruses.forEach(({ obstacle, mesh }) => {
+      mesh.visible = obstacle.active;
+      mesh.rotation.y += deltaTime * 0.5;
+    });
+    
+    if (!reference) return;
+    if (this.reference && this.reference.distanceToSquared(reference) < REWRAP_DISTANCE * REWRAP_DISTANCE) return;
+    
+    this.reference = reference.clone();
+    this.entries.forEach(({ obstacle, mesh }) => {
+      mesh.position.x = obstacle.position.x;
+      mesh.position.z = obstacle.position.z;
+      this.world.arena.nearestImage(mesh.position, reference);
+    });
+  }
+
+  /**
+   * Removes and disposes every obstacle mesh
+   */
+  clear() {
+    this.group.traverse(object => {
+      if (object === this.group) return;
+      if (object.geometry !== this.virusGeometry) object.geometry.dispose();
+      // Only pad arrows have their own material
+      if (!Object.values(this.materials).includes(object.material)) object.material.dispose();
+    });
+    this.group.clear();
+    this.entries = [];
+    this.viruses = [];
+    this.reference = null;
+  }
+
+  /**
+   * Cleans up all resources
+   */
+  destroy() {
+    this.clear();
+    this.scene.remove(this.group);
+    this.virusGeometry.dispose();
+    Object.values(this.materials).forEach(material => material.dispose());
+  }
+}
@@ -1,26 +1,43 @@
 import * as THREE from 'three';
 
+/**
+ * Timed power-up. Durations are measured in simulation time, advanced by
+ * PowerUpManager.update(), so they stay deterministic and stop with the simulation.
+ */
 export class PowerUp {
-  constructor(type, duration = 30000) {
+  constructor(type, duration = 30000, id = null) {
     this.type = type;
-    this.duration = duration;
-    this.startTime = Date.now();
+    this.duration = duration; // ms
+    this.elapsed = 0; // ms of simulation time since activation
     this.active = true;
-    this.id = Math.random().toString(36).substr(2, 9);
+    this.id = id;
+  }
+
+  /**
+   * Advances the power-up clock
+   * @param {number} deltaTime - Simulated seconds
+   */
+  advance(deltaTime) {
+    this.elapsed += deltaTime * 1000;
   }
 
   isExpired() {
-    return Date.now() - this.startTime >= this.duration;
+    return this.elapsed >= this.duration;
   }
 
   getRemainingTime() {
-    const remaining = this.duration - (Date.now() - this.startTime);
+    const remaining = this.duration - this.elapsed;
     return Math.max(0, remaining);
   }
 }
 
 export class PowerUpManager {
-  constructor() {
+  /**
+   * @param {Random} rng - Seeded random source used for spins
+   */
+  constructor(rng) {
+    this.rng = rng;
+    this.nextId = 1;
     this.activePowerUps = [];
     this.powerUpTypes = [
       { name: 'Speed Boost', type: 'speed', weight: 1, color: 0x00ff00 },
@@ -34,7 +51,7 @@ export class PowerUpManager {
 
   spinForPowerUp() {
     const totalWeight = this.powerUpTypes.reduce((sum, p) => sum + p.weight, 0);
-    let random = Math.random() * totalWeight;
+    let random = this.rng.next() * totalWeight;
     
     for (const powerUp of this.powerUpTypes) {
       random -= powerUp.weight;
@@ -46,7 +63,13 @@ export class PowerUpManager {
     return this.powerUpTypes[this.powerUpTypes.length - 1];
   }
 
-  addPowerUp(type) {
+  /**
+   * Activates a power-up
+   * @param {string} type - Power-up type
+   * @param {number} duration - Milliseconds it lasts; PowerUp's default if omitted
+   * @returns {PowerUp|null} The power-up, or null for 'tryagain'
+   */
+  addPowerUp(type, duration) {
     if (type === 'tryagain') {
       return null;
     }
@@ -58,19 +81,28 @@ export class PowerUpManager {
       );
     }
     
-    const powerUp = new PowerUp(type);
+    const powerUp = new PowerUp(type, duration, this.nextId++);
     this.activePowerUps.push(powerUp);
     return powerUp;
   }
 
-  update() {
+  /**
+   * Advances power-up clocks and drops expired power-ups
+   * @param {number} deltaTime - Simulated seconds
+   * @returns {Array<PowerUp>} Power-ups that expired during this update
+   */
+  update(deltaTime) {
+    const expired = [];
     this.activePowerUps = this.activePowerUps.filter(powerUp => {
+      powerUp.advance(deltaTime);
       if (powerUp.isExpired()) {
         powerUp.active = false;
+        expired.push(powerUp);
         return false;
       }
       return true;
     });
+    return expired;
   }
 
   getActivePowerUp(type) {
@@ -86,52 +118,3 @@ export class PowerUpManager {
     this.activePowerUps = [];
   }
 }
-
-export class PowerUpSpinner {
-  constructor(scene) {
-    this.scene = scene;
-    this.spinning = false;
-    this.currentRotation = 0;
-    this.targetRotation = 0;
-    this.spinSpeed = 0;
-    this.result = null;
-  }
-
-  spin(powerUpManager, onComplete) {
-    if (this.spinning) return;
-    
-    this.spinning = true;
-    this.result = powerUpManager.spinForPowerUp();
-    
-    // Calculate target rotation (multiple full spins + final position)
-    const baseSpins = 5 + Math.random() * 3; // 5-8 full rotations
-    const segmentAngle = (Math.PI * 2) / powerUpManager.powerUpTypes.length;
-    const resultIndex = powerUpManager.powerUpTypes.indexOf(this.result);
-    const finalAngle = resultIndex * segmentAngle;
-    
-    this.targetRotation = this.currentRotation + (baseSpins * Math.PI * 2) + finalAngle;
-    this.spinSpeed = 0.3; // Initial spin speed
-    
-    // Callback after spin completes
-    this.onSpinComplete = onComplete;
-  }
-
-  update() {
-    if (!this.spinning) return;
-    
-    const diff = this.targetRotation - this.currentRotation;
-    
-    if (Math.abs(diff) < 0.01) {
-      this.spinning = false;
-      this.currentRotation = this.targetRotation;
-      if (this.onSpinComplete) {
-        this.onSpinComplete(this.result);
-      }
-    } else {
-      // Decelerate as we approach target
-      this.spinSpeed *= 0.98;
-      this.spinSpeed = Math.max(0.01, this.spinSpeed);
-      this.currentRotation += diff * this.spinSpeed;
-    }
-  }
-}
\ No newline at end of file
@@ -42,10 +42,21 @@ export class PowerUpEffects {
     this.growthSpeed = 0.1; // Faster transition
   }
 
+  /**
+   * Takes on another ball's size boost, radii included
+   * @param {PowerUpEffects} other - Effects to copy
+   */
+  copySizeBoost(other) {
+    this.sizeMultiplier = other.sizeMultiplier;
+    this.targetRadius = other.targetRadius;
+    this.baseRadius = other.baseRadius;
+    this.growthSpeed = other.growthSpeed;
+  }
+
   /**
    * Updates size animation towards target radius
    * @param {Object} ball - Ball object to update
-   * @returns {boolean} True if size changed and mesh needs recreation
+   * @returns {boolean} True if the size changed noticeably
    */
   updateSizeAnimation(ball) {
     if (this.targetRadius !== null && Math.abs(ball.radius - this.targetRadius) > 0.01) {
@@ -53,7 +64,6 @@ export class PowerUpEffects {
       const growth = diff * this.growthSpeed;
       ball.radius += growth;
       
-      // Check if we need to recreate the mesh for significant size changes
       return Math.abs(growth) > 0.01;
     }
     return false;
@@ -0,0 +1,70 @@
+/**
+ * Seeded pseudo-random number generator (mulberry32)
+ * All simulation randomness goes through an instance of this class so that
+ * the same seed and inputs always produce the same match
+ */
+export class Random {
+  /**
+   * @param {number} seed - 32-bit integer seed; a random one is picked if omitted
+   */
+  constructor(seed = Random.randomSeed()) {
+    this.setSeed(seed);
+  }
+
+  /**
+   * Picks a fresh seed for a new, non-reproduced match
+   * @returns {number} 32-bit unsigned integer
+   */
+  static randomSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+  }
+
+  /**
+   * Restarts the sequence from a seed
+   * @param {number} seed - 32-bit integer seed
+   */
+  setSeed(seed) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  /**
+   * Returns the next number in the sequence
+   * @returns {number} Float in [0, 1)
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Returns a float in [min, max)
+   * @param {number} min - Lower bound
+   * @param {number} max - Upper bound
+   * @returns {number} Random float
+   */
+  range(min, max) {
+    return this.next() * (max - min) + min;
+  }
+
+  /**
+   * Returns an integer in [0, max)
+   * @param {number} max - Exclusive upper bound
+   * @returns {number} Random integer
+   */
+  int(max) {
+    return Math.floor(this.next() * max);
+  }
+
+  /**
+   * Picks a random element of an array
+   * @param {Array} items - Items to pick from
+   * @returns {*} Random element
+   */
+  pick(items) {
+    return items[this.int(items.length)];
+  }
+}
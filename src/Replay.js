@@ -0,0 +1,306 @@
+import { ArenaShape } from './Arena.js';
+import { DIFFICULTY_PRESETS } from './Difficulty.js';
+import { EventEmitter } from './EventEmitter.js';
+import { GameModeType } from './GameModes.js';
+import { FIXED_TIME_STEP } from './World.js';
+
+/**
+ * Replay file format version
+ */
+export const REPLAY_VERSION = 1;
+
+// Compact command encoding: [tick, code, ...args]
+const COMMAND_CODES = {
+  move: 'm',
+  jump: 'j',
+  spin: 's',
+  powerUp: 'p',
+  split: 'x',
+  eject: 'e'
+};
+
+/**
+ * Encodes a command as a compact tuple
+ * @param {number} tick - Tick the command was applied before
+ * @param {Object} command - World command
+ * @returns {Array} Encoded command
+ */
+function encodeCommand(tick, command) {
+  switch (command.type) {
+    case 'move':
+      return [tick, COMMAND_CODES.move, command.heading, command.thrust];
+    case 'powerUp':
+      return [tick, COMMAND_CODES.powerUp, command.index];
+    default:
+      return [tick, COMMAND_CODES[command.type]];
+  }
+}
+
+/**
+ * Decodes a compact command tuple
+ * @param {Array} entry - Encoded command
+ * @returns {Object} { tick, command }
+ */
+function decodeCommand(entry) {
+  const [tick, code, ...args] = entry;
+  switch (code) {
+    case COMMAND_CODES.move:
+      return { tick, command: { type: 'move', heading: args[0], thrust: args[1] } };
+    case COMMAND_CODES.jump:
+      return { tick, command: { type: 'jump' } };
+    case COMMAND_CODES.spin:
+      return { tick, command: { type: 'spin' } };
+    case COMMAND_CODES.powerUp:
+      return { tick, command: { type: 'powerUp', index: args[0] } };
+    case COMMAND_CODES.split:
+      return { tick, command: { type: 'split' } };
+    case COMMAND_CODES.eject:
+      return { tick, command: { type: 'eject' } };
+    default:
+      throw new Error(`Unknown replay command "${code}"`);
+  }
+}
+
+/**
+ * Serializes a replay to a JSON string
+ * @param {Object} replay - Replay from ReplayRecorder.getReplay()
+ * @returns {string} Replay file contents
+ */
+export function serializeReplay(replay) {
+  return JSON.stringify(replay);
+}
+
+/**
+ * Parses and validates replay file contents
+ * @param {string} text - Replay file contents
+ * @returns {Object} Replay
+ * @throws {Error} If the file is not a valid replay
+ */
+export function parseReplay(text) {
+  let replay;
+  try {
+    replay = JSON.parse(text);
+  } catch (error) {
+    throw new Error('Replay file is not valid JSON');
+  }
+
+  if (!replay || replay.version !== REPLAY_VERSION) {
+    throw new Error(`Unsupported replay version: ${replay && replay.version}`);
+  }
+  if (!Number.isInteger(replay.seed) || !Number.isInteger(replay.ticks) || !Array.isArray(replay.commands)) {
+    throw new Error('Replay file is missing seed, ticks or commands');
+  }
+
+  // The options are applied to the live World, so an unknown one would break every later reset
+  const { options } = replay;
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    throw new Error('Replay file is missing its options');
+  }
+  if (!Object.values(GameModeType).includes(options.mode)) {
+    throw new Error(`Unknown game mode in replay: ${options.mode}`);
+  }
+  if (!Object.values(ArenaShape).includes(options.arenaShape)) {
+    throw new Error(`Unknown arena shape in replay: ${options.arenaShape}`);
+  }
+  if (!Object.hasOwn(DIFFICULTY_PRESETS, options.difficulty)) {
+    throw new Error(`Unknown difficulty in replay: ${options.difficulty}`);
+  }
+
+  // Fail on unknown commands now rather than halfway through playback
+  replay.commands.forEach(decodeCommand);
+
+  return replay;
+}
+
+/**
+ * Records the seed, options and player commands of the current match
+ */
+export class ReplayRecorder {
+  constructor(world) {
+    this.world = world;
+    this.enabled = true;
+    this.seed = null;
+    this.options = null;
+    this.commands = [];
+    
+    world.on('reset', () => {
+      if (!this.enabled) return;
+      this.seed = world.seed;
+      this.options = { ...world.options };
+      delete this.options.seed;
+      this.commands = [];
+    });
+    
+    world.on('command', ({ tick, command }) => {
+      if (!this.enabled) return;
+      this.commands.push(encodeCommand(tick, command));
+    });
+  }
+
+  /**
+   * Checks whether a match has been recorded
+   * @returns {boolean} True if a replay is available
+   */
+  hasReplay() {
+    return this.seed !== null;
+  }
+
+  /**
+   * Builds the replay of the recorded match, up to the world's current tick
+   * @returns {Object} Replay
+   */
+  getReplay() {
+    return {
+      version: REPLAY_VERSION,
+      seed: this.seed,
+      options: this.options,
+      ticks: this.world.tick,
+      score: this.world.score,
+      commands: [...this.commands]
+    };
+  }
+}
+
+/**
+ * Drives a World from a replay
+ * Playback can be paused, sped up and seeked; seeking backwards re-simulates
+ * from the start, which reproduces the match exactly because the World is
+ * deterministic.
+ *
+ * Events:
+ * - 'stateChanged' () when play/pause or speed changes
+ */
+export class ReplayPlayer extends EventEmitter {
+  constructor(world) {
+    super();
+    this.world = world;
+    this.replay = null;
+    this.commands = [];
+    this.commandIndex = 0;
+    this.paused = false;
+    this.speed = 1;
+    this.accumulator = 0;
+  }
+
+  /**
+   * Loads a replay and rewinds to its start
+   * @param {Object} replay - Replay to play
+   */
+  load(replay) {
+    this.replay = replay;
+    this.commands = replay.commands.map(decodeCommand);
+    this.paused = false;
+    this.speed = 1;
+    this.rewind();
+    this.emit('stateChanged');
+  }
+
+  /**
+   * Restarts the match from the replay's seed
+   */
+  rewind() {
+    this.world.setOptions(this.replay.options || {});
+    this.world.reset(this.replay.seed);
+    this.commandIndex = 0;
+    this.accumulator = 0;
+  }
+
+  /**
+   * Length of the replay in ticks
+   * @returns {number} Tick count
+   */
+  get duration() {
+    return this.replay ? this.replay.ticks : 0;
+  }
+
+  /**
+   * Current playback position in ticks
+   * @returns {number} Tick
+   */
+  get currentTick() {
+    return this.world.tick;
+  }
+
+  /**
+   * Checks whether playback reached the end of the replay
+   * @returns {boolean} True if finished
+   */
+  get finished() {
+    return this.world.gameOver || this.world.tick >= this.duration;
+  }
+
+  play() {
+    if (this.finished) {
+      this.rewind();
+    }
+    this.paused = false;
+    this.emit('stateChanged');
+  }
+
+  pause() {
+    this.paused = true;
+    this.emit('stateChanged');
+  }
+
+  togglePause() {
+    if (this.paused) {
+      this.play();
+    } else {
+      this.pause();
+    }
+  }
+
+  /**
+   * Sets the playback speed
+   * @param {number} speed - Multiplier (e.g. 0.5 for half speed)
+   */
+  setSpeed(speed) {
+    this.speed = speed;
+    this.emit('stateChanged');
+  }
+
+  /**
+   * Jumps to a tick of the replay
+   * @param {number} tick - Target tick
+   */
+  seek(tick) {
+    const target = Math.max(0, Math.min(tick, this.duration));
+    if (target < this.world.tick) {
+      this.rewind();
+    }
+    while (this.world.tick < target && !this.finished) {
+      this.stepOnce();
+    }
+    this.accumulator = 0;
+  }
+
+  /**
+   * Applies the commands recorded for the current tick and advances one step
+   */
+  stepOnce() {
+    const tick = this.world.tick;
+    while (this.commandIndex < this.commands.length && this.commands[this.commandIndex].tick <= tick) {
+      this.world.applyCommand(this.commands[this.commandIndex].command);
+      this.commandIndex++;
+    }
+    this.world.step(FIXED_TIME_STEP);
+  }
+
+  /**
+   * Advances playback by real time
+   * @param {number} frameTime - Seconds since last frame
+   */
+  update(frameTime) {
+    if (!this.replay || this.paused || this.finished) return;
+    
+    this.accumulator += frameTime * this.speed;
+    while (this.accumulator >= FIXED_TIME_STEP && !this.finished) {
+      this.stepOnce();
+      this.accumulator -= FIXED_TIME_STEP;
+    }
+    
+    if (this.finished) {
+      this.pause();
+    }
+  }
+}
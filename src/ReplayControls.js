@@ -0,0 +1,95 @@
+import { FIXED_TIME_STEP } from './World.js';
+import { serializeReplay } from './Replay.js';
+
+/**
+ * DOM controls for a ReplayPlayer
+ * Play/pause, speed selection, seek bar and exit button
+ */
+export class ReplayControls {
+  /**
+   * @param {ReplayPlayer} player - Player to control
+   * @param {Object} callbacks - { onExit } called when the viewer is closed
+   */
+  constructor(player, callbacks = {}) {
+    this.player = player;
+    this.onExit = callbacks.onExit || (() => {});
+    this.isSeeking = false;
+    
+    this.container = document.getElementById('replay-controls');
+    this.playBtn = document.getElementById('replayPlayBtn');
+    this.speedSelect = document.getElementById('replaySpeed');
+    this.seekInput = document.getElementById('replaySeek');
+    this.timeLabel = document.getElementById('replayTime');
+    
+    this.playBtn.addEventListener('click', () => this.player.togglePause());
+    
+    this.speedSelect.addEventListener('change', () => {
+      this.player.setSpeed(parseFloat(this.speedSelect.value));
+    });
+    
+    // Seek while dragging, resume syncing the bar once released
+    this.seekInput.addEventListener('input', () => {
+      this.isSeeking = true;
+      this.player.seek(parseInt(this.seekInput.value));
+    });
+    this.seekInput.addEventListener('change', () => {
+      this.isSeeking = false;
+    });
+    
+    document.getElementById('replayExitBtn').addEventListener('click', () => this.onExit());
+    
+    this.player.on('stateChanged', () => this.update());
+  }
+
+  show() {
+    this.seekInput.max = this.player.duration;
+    this.speedSelect.value = String(this.player.speed);
+    this.container.classList.remove('hidden');
+    this.update();
+  }
+
+  hide() {
+    this.container.classList.add('hidden');
+  }
+
+  /**
+   * Syncs the controls with the playback position
+   */
+  update() {
+    this.playBtn.textContent = this.player.paused ? '▶' : '⏸';
+    if (!this.isSeeking) {
+      this.seekInput.value = this.player.currentTick;
+    }
+    this.timeLabel.textContent = `${this.formatTime(this.player.currentTick)} / ${this.formatTime(this.player.duration)}`;
+  }
+
+  /**
+   * Formats a tick count as m:ss
+   * @param {number} ticks - Simulation ticks
+   * @returns {string} Formatted time
+   */
+  formatTime(ticks) {
+    const totalSeconds = Math.floor(ticks * FIXED_TIME_STEP);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes}:${String(seconds).padStart(2, '0')}`;
+  }
+
+  /**
+   * Downloads a replay as a JSON file
+   * @param {Object} replay - Replay to save
+   */
+  static download(replay) {
+    const blob = new Blob([serializeReplay(replay)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `ball-replay-${replay.seed}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    
+    URL.revokeObjectURL(url);
+  }
+}
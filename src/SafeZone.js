@@ -0,0 +1,158 @@
+import * as THREE from 'three';
+import { Arena, ArenaShape } from './Arena.js';
+import { Random } from './Random.js';
+
+/**
+ * Default battle royale phases: after waiting, the zone shrinks over the given
+ * time to the given fraction of its starting radius
+ */
+export const DEFAULT_ZONE_PHASES = [
+  { wait: 30, shrink: 20, radius: 0.6 },
+  { wait: 20, shrink: 15, radius: 0.35 },
+  { wait: 15, shrink: 12, radius: 0.18 },
+  { wait: 10, shrink: 10, radius: 0.06 }
+];
+
+const DRAIN_RATE = 1.5; // Radius lost per second outside the zone
+const DRAIN_SHARE = 0.05; // Extra share of the radius lost per second, so big balls can't wait it out
+
+/**
+ * Circular safe zone that contracts in timed phases
+ * Each phase waits, then shrinks the zone onto a smaller circle chosen at
+ * random inside the current one. Balls hold a reference to the zone (like the
+ * arena) and call drain() from their own update; eliminating balls that
+ * shrank away changes the ball list, so the game mode does that.
+ */
+export class SafeZone {
+  /**
+   * @param {Object} options - { arena, seed, phases }
+   */
+  constructor(options = {}) {
+    this.arena = options.arena ?? new Arena();
+    this.rng = new Random(options.seed ?? 0);
+    this.phases = options.phases ?? DEFAULT_ZONE_PHASES;
+    
+    // Start by covering the whole arena, corners included
+    this.startRadius = this.arena.shape === ArenaShape.CIRCLE ? this.arena.halfSize : this.arena.halfSize * Math.SQRT2;
+    this.center = new THREE.Vector3();
+    this.radius = this.startRadius;
+    this.startCenter = this.center.clone(); // Where the current shrink started from
+    this.startingRadius = this.radius;
+    this.nextCenter = this.center.clone();
+    this.nextRadius = this.radius;
+    
+    this.phaseIndex = 0;
+    this.phaseTime = 0; // Seconds into the wait or shrink
+    this.isShrinking = false;
+    this.chooseNext();
+  }
+
+  /**
+   * Whether every phase has finished
+   * @returns {boolean} True once the zone has reached its final size
+   */
+  get isFinal() {
+    return this.phaseIndex >= this.phases.length;
+  }
+
+  /**
+   * Seconds until the current wait or shrink ends
+   * @returns {number} Time left, 0 once the zone is final
+   */
+  get timeLeft() {
+    if (this.isFinal) return 0;
+    
+    const phase = this.phases[this.phaseIndex];
+    return (this.isShrinking ? phase.shrink : phase.wait) - this.phaseTime;
+  }
+
+  /**
+   * Picks the circle the current phase shrinks to, inside the current zone
+   */
+  chooseNext() {
+    if (this.isFinal) return;
+    
+    this.nextRadius = this.startRadius * this.phases[this.phaseIndex].radius;
+    
+    // Any point that keeps the new circle inside the old one
+    const slack = Math.max(0, this.radius - this.nextRadius);
+    const angle = this.rng.range(0, Math.PI * 2);
+    const distance = Math.sqrt(this.rng.next()) * slack;
+    this.nextCenter.set(
+      this.center.x + Math.cos(angle) * distance,
+      0,
+      this.center.z + Math.sin(angle) * distance
+    );
+    
+    // The zone never leaves a bounded arena
+    if (!this.arena.wraps) {
+      const limit = Math.max(0, this.arena.halfSize - this.nextRadius);
+      if (this.nextCenter.length() > limit) {
+        this.nextCenter.setLength(limit);
+      }
+    }
+  }
+
+  /**
+   * Advances the phase timer and shrinks the zone
+   * @param {number} deltaTime - Time step
+   */
+  update(deltaTime) {
+    if (this.isFinal) return;
+    
+    const phase = this.phases[this.phaseIndex];
+    this.phaseTime += deltaTime;
+    
+    if (!this.isShrinking) {
+      if (this.phaseTime < phase.wait) return;
+      
+      this.isShrinking = true;
+      this.phaseTime -= phase.wait;
+      this.startCenter.copy(this.center);
+      this.startingRadius = this.radius;
+    }
+    
+    const t = Math.min(this.phaseTime / phase.shrink, 1);
+    this.center.lerpVectors(this.startCenter, this.nextCenter, t);
+    this.radius = THREE.MathUtils.lerp(this.startingRadius, this.nextRadius, t);
+    
+    if (t >= 1) {
+      this.phaseIndex++;
+      this.phaseTime = 0;
+      this.isShrinking = false;
+      this.center.set(this.arena.wrapCoordinate(this.center.x), 0, this.arena.wrapCoordinate(this.center.z));
+      this.chooseNext();
+    }
+  }
+
+  /**
+   * Distance from the zone's edge to a point
+   * @param {THREE.Vector3} position - Point to measure
+   * @returns {number} Distance outside the zone, negative inside
+   */
+  distanceOutside(position) {
+    const offset = this.arena.offset(this.center, position);
+    return Math.hypot(offset.x, offset.z) - this.radius;
+  }
+
+  /**
+   * Whether a point is inside the zone
+   * @param {THREE.Vector3} position - Point to test
+   * @returns {boolean} True if safe
+   */
+  contains(position) {
+    return this.distanceOutside(position) <= 0;
+  }
+
+  /**
+   * Shrinks a ball whose center is outside the zone
+   * @param {Ball} ball - Ball to drain
+   * @param {number} deltaTime - Time step
+   */
+  drain(ball, deltaTime) {
+    if (this.contains(ball.position)) return;
+    
+    const loss = (DRAIN_RATE + ball.radius * DRAIN_SHARE) * deltaTime;
+    ball.shrinkTo(Math.max(0, ball.radius - loss));
+  }
+}
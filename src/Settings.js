@@ -0,0 +1,51 @@
+import { getLocalStorage, readJSON, writeJSON } from './utils.js';
+
+const STORAGE_KEY = 'ballEatingSimulator.settings';
+
+/**
+ * Player preferences that last between sessions, kept in localStorage
+ */
+export class Settings {
+  /**
+   * @param {Storage} storage - Where settings are saved; defaults to localStorage when available
+   */
+  constructor(storage = getLocalStorage()) {
+    this.storage = storage;
+    this.values = this.load();
+  }
+
+  /**
+   * Reads the saved settings
+   * @returns {Object} Name -> value
+   */
+  load() {
+    return readJSON(this.storage, STORAGE_KEY) ?? {};
+  }
+
+  /**
+   * Writes the settings back to storage
+   */
+  save() {
+    writeJSON(this.storage, STORAGE_KEY, this.values);
+  }
+
+  /**
+   * Reads a setting
+   * @param {string} name - Setting name
+   * @param {*} fallback - Value to use if the setting was never saved
+   * @returns {*} Saved value or the fallback
+   */
+  get(name, fallback) {
+    return this.values[name] ?? fallback;
+  }
+
+  /**
+   * Changes a setting and saves it
+   * @param {string} name - Setting name
+   * @param {*} value - New value
+   */
+  set(name, value) {
+    this.values[name] = value;
+    this.save();
+  }
+}
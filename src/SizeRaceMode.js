@@ -0,0 +1,76 @@
+import { GameMode } from './GameMode.js';
+import { formatDuration } from './utils.js';
+
+const TARGET_SIZE = 50; // Radius to reach
+const SPLIT_SIZES = [20, 30, 40]; // Sizes whose times are recorded on the way
+
+/**
+ * Race to a target size against the clock
+ * The player's size counts all of their cells together. Passing each split
+ * size records the time, and the run is won as soon as the target is
+ * reached; being eaten first ends it without a time.
+ */
+export class SizeRaceMode extends GameMode {
+  constructor(world) {
+    super(world);
+    this.splits = []; // { size, time } for every split size passed
+  }
+
+  reset() {
+    this.splits = [];
+  }
+
+  update(deltaTime) {
+    const size = this.world.playerRadius;
+    const time = this.world.time;
+    
+    SPLIT_SIZES.forEach(splitSize => {
+      if (size >= splitSize && !this.splits.some(split => split.size === splitSize)) {
+        this.splits.push({ size: splitSize, time });
+      }
+    });
+    
+    if (size >= TARGET_SIZE) {
+      this.splits.push({ size: TARGET_SIZE, time });
+      this.world.endGame();
+    }
+  }
+
+  getResult() {
+    const won = this.world.playerRadius >= TARGET_SIZE;
+    return { won, time: this.world.time, splits: this.splits.map(split => ({ ...split })) };
+  }
+
+  describeResult(result) {
+    const lines = result.splits.map(split => `Size ${split.size}: ${formatDuration(split.time, 1)}`);
+    if (result.won) {
+      return { title: `Size ${TARGET_SIZE} in ${formatDuration(result.time, 1)}!`, lines };
+    }
+    return { title: 'Game Over!', lines: [`Eaten before reaching size ${TARGET_SIZE}`, ...lines] };
+  }
+
+  getHighScore(result) {
+    // Only finished races have a time to rank
+    return result.won ? result.time : null;
+  }
+
+  get lowerIsBetter() {
+    return true;
+  }
+
+  formatHighScore(value) {
+    return formatDuration(value, 1);
+  }
+
+  getStatus() {
+    const lines = [
+      `⏱ ${formatDuration(this.world.time, 1)}`,
+      `Size ${this.world.playerRadius.toFixed(1)} / ${TARGET_SIZE}`
+    ];
+    const last = this.splits[this.splits.length - 1];
+    if (last) {
+      lines.push(`Split ${last.size}: ${formatDuration(last.time, 1)}`);
+    }
+    return lines;
+  }
+}
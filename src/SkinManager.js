@@ -1,5 +1,5 @@
 import * as THREE from 'three';
-import { TextureFactory } from './TextureFactory.js';
+import { textureCache } from './TextureCache.js';
 
 /**
  * Manages ball skins and visual transformations
@@ -81,7 +81,10 @@ export class SkinManager {
       const childrenToRemove = [...ball.mesh.children];
       childrenToRemove.forEach(child => {
         if (child.geometry) child.geometry.dispose();
-        if (child.material) child.material.dispose();
+        if (child.material) {
+          this.setMap(child.material, null);
+          child.material.dispose();
+        }
         ball.mesh.remove(child);
       });
     }
@@ -108,9 +111,10 @@ export class SkinManager {
     this.pacmanGroup = new THREE.Group();
     
     // Create mouth cutout using a box that cuts through the sphere
-    const mouthWidth = ball.radius * 0.3;
-    const mouthHeight = ball.radius * 2.1;
-    const mouthDepth = ball.radius * 2.1;
+    // Built for a unit ball; updateScale() sizes the group
+    const mouthWidth = 0.3;
+    const mouthHeight = 2.1;
+    const mouthDepth = 2.1;
     
     const mouthGeometry = new THREE.BoxGeometry(mouthWidth, mouthHeight, mouthDepth);
     const blackMaterial = new THREE.MeshBasicMaterial({ 
@@ -119,25 +123,25 @@ export class SkinManager {
     
     // Create animated mouth wedge
     const mouthWedge = new THREE.Mesh(mouthGeometry, blackMaterial);
-    mouthWedge.position.x = ball.radius * 0.85;
+    mouthWedge.position.x = 0.85;
     this.pacmanGroup.add(mouthWedge);
     
     // Create eye
-    const eyeGeometry = new THREE.SphereGeometry(ball.radius * 0.12, 16, 16);
+    const eyeGeometry = new THREE.SphereGeometry(0.12, 16, 16);
     const eyeMaterial = new THREE.MeshPhongMaterial({ 
       color: 0x000000,
       emissive: 0x000000,
       shininess: 100
     });
     const eye = new THREE.Mesh(eyeGeometry, eyeMaterial);
-    eye.position.set(ball.radius * 0.3, ball.radius * 0.4, ball.radius * 0.6);
+    eye.position.set(0.3, 0.4, 0.6);
     this.pacmanGroup.add(eye);
     
     // Add white eye reflection
-    const eyeReflectionGeometry = new THREE.SphereGeometry(ball.radius * 0.04, 8, 8);
+    const eyeReflectionGeometry = new THREE.SphereGeometry(0.04, 8, 8);
     const eyeReflectionMaterial = new THREE.MeshBasicMaterial({ color: 0xffffff });
     const eyeReflection = new THREE.Mesh(eyeReflectionGeometry, eyeReflectionMaterial);
-    eyeReflection.position.set(ball.radius * 0.35, ball.radius * 0.45, ball.radius * 0.65);
+    eyeReflection.position.set(0.35, 0.45, 0.65);
     this.pacmanGroup.add(eyeReflection);
     
     // Store mouth for animation
@@ -149,6 +153,7 @@ export class SkinManager {
     ball.mesh.renderOrder = 0;
     
     this.pacmanGroup.position.copy(ball.position);
+    this.pacmanGroup.scale.setScalar(ball.radius);
     this.scene.add(this.pacmanGroup);
   }
 
@@ -161,14 +166,14 @@ export class SkinManager {
     
     // Change ball to brown
     ball.mesh.material.color.setHex(0x8b4513); // Saddle brown
-    ball.mesh.material.map = null;
+    this.setMap(ball.mesh.material, null);
     ball.mesh.material.transparent = false;
     ball.mesh.material.opacity = 1;
     ball.mesh.material.needsUpdate = true;
     
-    // Create simple flat ring
+    // Create simple flat ring, sized for a unit ball
     this.saturnRing = new THREE.Group();
-    const ringGeometry = new THREE.RingGeometry(ball.radius * 1.4, ball.radius * 2.2, 64, 1);
+    const ringGeometry = new THREE.RingGeometry(1.4, 2.2, 64, 1);
     const ringMaterial = new THREE.MeshPhongMaterial({
       color: 0xd2b48c, // Tan color for ring
       side: THREE.DoubleSide,
@@ -181,6 +186,7 @@ export class SkinManager {
     this.saturnRing.add(ring);
     
     this.saturnRing.position.copy(ball.position);
+    this.saturnRing.scale.setScalar(ball.radius);
     this.scene.add(this.saturnRing);
   }
 
@@ -192,22 +198,22 @@ export class SkinManager {
     if (!ball.isPlayer) return;
     
     // Apply Earth texture to current mesh
-    const earthTexture = TextureFactory.createEarthTexture();
+    const earthTexture = textureCache.acquire('earth', ball.id);
     if (ball.mesh.children[0]) {
-      ball.mesh.children[0].material.map = earthTexture;
+      this.setMap(ball.mesh.children[0].material, earthTexture);
       ball.mesh.children[0].material.transparent = false;
       ball.mesh.children[0].material.opacity = 1;
       ball.mesh.children[0].material.needsUpdate = true;
     } else {
-      ball.mesh.material.map = earthTexture;
+      this.setMap(ball.mesh.material, earthTexture);
       ball.mesh.material.transparent = true;
       ball.mesh.material.opacity = 0.9;
       ball.mesh.material.color.setHex(0xffffff);
       ball.mesh.material.needsUpdate = true;
     }
     
-    // Add subtle atmosphere glow
-    const atmGeometry = new THREE.SphereGeometry(ball.radius * 1.02, 32, 16);
+    // Add subtle atmosphere glow (a child of the unit mesh, so scaled with it)
+    const atmGeometry = new THREE.SphereGeometry(1.02, 32, 16);
     const atmMaterial = new THREE.MeshBasicMaterial({
       color: 0x87CEEB,
       transparent: true,
@@ -224,7 +230,7 @@ export class SkinManager {
    */
   restoreDefaultSkin(ball) {
     if (ball.isPlayer) {
-      ball.mesh.material.map = null;
+      this.setMap(ball.mesh.material, null);
       ball.mesh.material.transparent = true;
       ball.mesh.material.opacity = 0.4;
       ball.mesh.material.color.setHex(ball.color);
@@ -235,6 +241,18 @@ export class SkinManager {
     }
   }
 
+  /**
+   * Swaps a material's texture, releasing the previous one to the cache
+   * @param {THREE.Material} material - Material to update
+   * @param {THREE.Texture|null} texture - New texture from textureCache
+   */
+  setMap(material, texture) {
+    if (material.map && material.map !== texture) {
+      textureCache.release(material.map);
+    }
+    material.map = texture;
+  }
+
   /**
    * Updates skin animations (PacMan mouth, Saturn ring rotation)
    * @param {number} deltaTime - Time since last update
@@ -265,7 +283,7 @@ export class SkinManager {
         // Scale the mouth wedge to create opening/closing effect
         this.pacmanGroup.mouthWedge.scale.y = 0.3 + mouthOpenness * 0.7;
         // Move it slightly to maintain centered appearance
-        this.pacmanGroup.mouthWedge.position.x = ball.radius * (0.85 + mouthOpenness * 0.1);
+        this.pacmanGroup.mouthWedge.position.x = 0.85 + mouthOpenness * 0.1;
       }
     }
   }
@@ -283,6 +301,19 @@ export class SkinManager {
     }
   }
 
+  /**
+   * Resizes skin parts that live outside the ball mesh
+   * @param {number} radius - Displayed ball radius
+   */
+  updateScale(radius) {
+    if (this.saturnRing) {
+      this.saturnRing.scale.setScalar(radius);
+    }
+    if (this.pacmanGroup) {
+      this.pacmanGroup.scale.setScalar(radius);
+    }
+  }
+
   /**
    * Gets current skin type
    * @returns {string} Current skin type
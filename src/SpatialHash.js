@@ -0,0 +1,155 @@
+/**
+ * Uniform grid over the XZ plane for neighbor queries
+ * Balls are bucketed by the cell containing their center. The grid is rebuilt
+ * every step, which is cheaper than tracking moves when nearly everything moves.
+ *
+ * Queries only measure distance on the XZ plane, so callers still check the
+ * exact 3D distance. Results come out in a fixed order (cells scanned row by
+ * row, insertion order within a cell) so the simulation stays deterministic.
+ *
+ * With a wrapSize the plane is a torus of that width centered on the origin:
+ * queries near an edge also find balls just across it.
+ */
+export class SpatialHash {
+  /**
+   * @param {number} cellSize - Edge length of a grid cell in world units
+   * @param {number} wrapSize - Width of a wrapping world; 0 if it doesn't wrap
+   */
+  constructor(cellSize = 50, wrapSize = 0) {
+    this.cellSize = cellSize;
+    this.wrapSize = wrapSize;
+    this.cells = new Map();
+    this.maxRadius = 0;
+  }
+
+  /**
+   * Key of the cell at integer grid coordinates
+   * @param {number} cx - Cell column
+   * @param {number} cz - Cell row
+   * @returns {number} Map key
+   */
+  static key(cx, cz) {
+    // Offsets keep both halves positive for grids up to 65536 cells across
+    return (cx + 0x8000) * 0x10000 + (cz + 0x8000);
+  }
+
+  clear() {
+    this.cells.clear();
+    this.maxRadius = 0;
+  }
+
+  /**
+   * Adds a ball at its current position
+   * @param {Ball} ball - Ball to add
+   */
+  insert(ball) {
+    const cx = Math.floor(ball.position.x / this.cellSize);
+    const cz = Math.floor(ball.position.z / this.cellSize);
+    const key = SpatialHash.key(cx, cz);
+    
+    let cell = this.cells.get(key);
+    if (!cell) {
+      cell = [];
+      this.cells.set(key, cell);
+    }
+    cell.push(ball);
+    
+    this.maxRadius = Math.max(this.maxRadius, ball.radius);
+  }
+
+  /**
+   * Removes a ball from the cell containing its current position
+   * maxRadius is left as is; it only needs to be an upper bound.
+   * @param {Ball} ball - Ball to remove
+   * @returns {boolean} True if the ball was found
+   */
+  remove(ball) {
+    const cx = Math.floor(ball.position.x / this.cellSize);
+    const cz = Math.floor(ball.position.z / this.cellSize);
+    const key = SpatialHash.key(cx, cz);
+    
+    const cell = this.cells.get(key);
+    const index = cell ? cell.indexOf(ball) : -1;
+    if (index === -1) return false;
+    
+    cell.splice(index, 1);
+    if (cell.length === 0) this.cells.delete(key);
+    return true;
+  }
+
+  /**
+   * Replaces the contents of the grid
+   * @param {Array<Ball>} balls - Balls to index
+   */
+  rebuild(balls) {
+    this.clear();
+    balls.forEach(ball => this.insert(ball));
+  }
+
+  /**
+   * Finds balls whose centers lie within a horizontal range of a point
+   * @param {THREE.Vector3} position - Query center (Y is ignored)
+   * @param {number} range - Query distance
+   * @returns {Array<Ball>} Balls in range on the XZ plane
+   */
+  query(position, range) {
+    const result = [];
+    if (!this.wrapSize) {
+      this.collect(position.x, position.z, range, result);
+      return result;
+    }
+    
+    // Also search the copies of the query area on the far side of each edge it crosses
+    const half = this.wrapSize / 2;
+    const xs = [position.x];
+    const zs = [position.z];
+    if (position.x - range < -half) xs.push(position.x + this.wrapSize);
+    if (position.x + range >= half) xs.push(position.x - this.wrapSize);
+    if (position.z - range < -half) zs.push(position.z + this.wrapSize);
+    if (position.z + range >= half) zs.push(position.z - this.wrapSize);
+    
+    xs.forEach(x => zs.forEach(z => this.collect(x, z, range, result)));
+    // A range wider than the world finds balls through more than one copy
+    return xs.length * zs.length > 1 ? [...new Set(result)] : result;
+  }
+
+  /**
+   * Adds the balls within a horizontal range of a point to a list
+   * @param {number} x - Query center X
+   * @param {number} z - Query center Z
+   * @param {number} range - Query distance
+   * @param {Array<Ball>} result - List to append to
+   */
+  collect(x, z, range, result) {
+    const minX = Math.floor((x - range) / this.cellSize);
+    const maxX = Math.floor((x + range) / this.cellSize);
+    const minZ = Math.floor((z - range) / this.cellSize);
+    const maxZ = Math.floor((z + range) / this.cellSize);
+    
+    const rangeSq = range * range;
+    for (let cx = minX; cx <= maxX; cx++) {
+      for (let cz = minZ; cz <= maxZ; cz++) {
+        const cell = this.cells.get(SpatialHash.key(cx, cz));
+        if (!cell) continue;
+        
+        for (const ball of cell) {
+          const dx = ball.position.x - x;
+          const dz = ball.position.z - z;
+          if (dx * dx + dz * dz <= rangeSq) {
+            result.push(ball);
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Finds balls that may be touching a ball
+   * @param {Ball} ball - Ball to test
+   * @returns {Array<Ball>} Candidate balls, excluding the ball itself
+   */
+  queryOverlaps(ball) {
+    return this.query(ball.position, ball.radius + this.maxRadius)
+      .filter(other => other !== ball);
+  }
+}
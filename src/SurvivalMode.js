@@ -0,0 +1,54 @@
+import { GameMode } from './GameMode.js';
+import { formatDuration } from './utils.js';
+
+const MIN_SURVIVAL_TIME = 30; // Shortest run in seconds
+
+/**
+ * Stay alive until the clock runs out
+ * How long is the World's survivalTime option. Runs are ranked by how long
+ * the player lasted, so every run counts towards the high score table; a
+ * finished run is ranked above any failed one. Each duration has its own table.
+ */
+export class SurvivalMode extends GameMode {
+  constructor(world) {
+    super(world);
+    this.duration = 5 * 60; // Seconds to survive
+  }
+
+  reset() {
+    this.duration = Math.max(this.world.options.survivalTime, MIN_SURVIVAL_TIME);
+  }
+
+  update(deltaTime) {
+    if (this.world.time >= this.duration) {
+      this.world.endGame();
+    }
+  }
+
+  getResult() {
+    return { won: this.world.time >= this.duration, time: Math.min(this.world.time, this.duration) };
+  }
+
+  describeResult(result) {
+    if (result.won) {
+      return { title: 'Survived!', lines: [`You lasted all ${formatDuration(this.duration)}`] };
+    }
+    return { title: 'Game Over!', lines: [`Survived ${formatDuration(result.time, 1)} of ${formatDuration(this.duration)}`] };
+  }
+
+  getHighScore(result) {
+    return result.time;
+  }
+
+  getHighScoreKey(type) {
+    return `${type}-${this.duration}`;
+  }
+
+  formatHighScore(value) {
+    return formatDuration(value, 1);
+  }
+
+  getStatus() {
+    return [`Survive ${formatDuration(this.duration - this.world.time)}`];
+  }
+}
@@ -0,0 +1,96 @@
+import { GameMode } from './GameMode.js';
+import { clamp } from './utils.js';
+
+// Colors and names of up to four teams; the player always leads the first
+const TEAMS = [
+  { name: 'Green', color: 0x33cc33, icon: '🟩' },
+  { name: 'Red', color: 0xff4444, icon: '🟥' },
+  { name: 'Blue', color: 0x3399ff, icon: '🟦' },
+  { name: 'Yellow', color: 0xffcc00, icon: '🟨' }
+];
+
+/**
+ * Colored teams that can't eat their own members
+ * Every ball joins a team as it enters the world: the player's cells join the
+ * first, and each enemy joins whichever team has the fewest members, so teams
+ * stay even as balls are eaten and respawn. The match still ends when the
+ * player is eaten; teams are ranked by their combined size.
+ */
+export class TeamMode extends GameMode {
+  constructor(world) {
+    super(world);
+    this.teamCount = 2;
+  }
+
+  reset() {
+    this.teamCount = clamp(Math.round(this.world.options.teamCount), 2, TEAMS.length);
+  }
+
+  attachBall(ball) {
+    if (ball.isPellet) return;
+    
+    if (ball.team === null) {
+      ball.team = ball.isPlayer ? 0 : this.getSmallestTeam();
+    }
+    ball.color = TEAMS[ball.team].color;
+  }
+
+  /**
+   * Finds the team with the fewest members
+   * @returns {number} Team index; the lowest on a tie
+   */
+  getSmallestTeam() {
+    const counts = new Array(this.teamCount).fill(0);
+    this.world.enemies.forEach(enemy => counts[enemy.team]++);
+    // The player counts once, however many cells they are split into
+    if (this.world.playerCells.length) counts[0]++;
+    return counts.indexOf(Math.min(...counts));
+  }
+
+  /**
+   * Size of every team, largest first
+   * @returns {Array<Object>} { team, name, icon, members, size } where size is
+   *   the radius of a single ball with the team's whole volume
+   */
+  getStandings() {
+    const standings = TEAMS.slice(0, this.teamCount).map((info, team) => ({
+      team,
+      name: info.name,
+      icon: info.icon,
+      members: 0,
+      volume: 0
+    }));
+    
+    this.world.balls.forEach(ball => {
+      const standing = standings[ball.team];
+      standing.volume += Math.pow(ball.radius, 3);
+      // Split player cells are still one member
+      if (!ball.isPlayer || ball === this.world.playerCells[0]) standing.members++;
+    });
+    
+    return standings
+      .map(({ volume, ...standing }) => ({ ...standing, size: Math.cbrt(volume) }))
+      .sort((a, b) => b.size - a.size);
+  }
+
+  getResult() {
+    const standings = this.getStandings();
+    return {
+      teamPlacement: standings.findIndex(standing => standing.team === 0) + 1,
+      teamCount: this.teamCount
+    };
+  }
+
+  describeResult(result) {
+    return {
+      title: 'Game Over!',
+      lines: [`${TEAMS[0].name} team placed #${result.teamPlacement} of ${result.teamCount}`]
+    };
+  }
+
+  getStatus() {
+    return this.getStandings().map(standing =>
+      `${standing.icon} ${standing.name}: ${standing.size.toFixed(1)} (${standing.members})`
+    );
+  }
+}
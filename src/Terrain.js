@@ -0,0 +1,127 @@
+import * as THREE from 'three';
+
+/**
+ * Acceleration of a ball rolling down a slope, per unit of slope (units/s²)
+ */
+export const ROLL_ACCELERATION = 100;
+
+/**
+ * Seeded procedural heightmap
+ * Fractal value noise gives rolling hills and valleys. Heights are a pure
+ * function of the seed and position, so the simulation stays deterministic
+ * and the floor mesh can sample the same surface the balls roll on.
+ *
+ * With a wrapSize the heightmap repeats every wrapSize units, so the ground
+ * matches up across the edges of a wrapping arena.
+ */
+export class Terrain {
+  /**
+   * @param {Object} options - { seed, amplitude, scale, octaves, wrapSize }
+   */
+  constructor(options = {}) {
+    this.amplitude = options.amplitude ?? 20; // Highest hills rise about this far above zero
+    this.scale = options.scale ?? 120; // Width of the largest features in world units
+    this.octaves = options.octaves ?? 3;
+    this.seed = (options.seed ?? 0) >>> 0;
+    this.wrapSize = options.wrapSize ?? 0;
+    
+    // A repeating surface needs a whole number of lattice cells across the world
+    if (this.wrapSize) {
+      this.wrapCells = Math.max(1, Math.round(this.wrapSize / this.scale));
+      this.scale = this.wrapSize / this.wrapCells;
+    }
+  }
+
+  /**
+   * Pseudo-random value at an integer lattice point
+   * @param {number} ix - Lattice X
+   * @param {number} iz - Lattice Z
+   * @param {number} octave - Octave index, so octaves don't repeat each other
+   * @returns {number} Value in [0, 1)
+   */
+  latticeValue(ix, iz, octave) {
+    if (this.wrapSize) {
+      // Each octave has twice as many cells across the world as the one before
+      const cells = this.wrapCells << octave;
+      ix = ((ix % cells) + cells) % cells;
+      iz = ((iz % cells) + cells) % cells;
+    }
+    
+    let h = (this.seed ^ Math.imul(ix, 0x16a5a1b1) ^ Math.imul(iz, 0x27d4eb2d) ^ Math.imul(octave, 0x61c88647)) >>> 0;
+    h = Math.imul(h ^ (h >>> 15), 0x2c1b3c6d);
+    h = Math.imul(h ^ (h >>> 12), 0x297a2d39);
+    h ^= h >>> 15;
+    return (h >>> 0) / 4294967296;
+  }
+
+  /**
+   * Smoothly interpolated value noise
+   * @param {number} x - X in lattice units
+   * @param {number} z - Z in lattice units
+   * @param {number} octave - Octave index
+   * @returns {number} Noise in [-1, 1)
+   */
+  noise(x, z, octave) {
+    const ix = Math.floor(x);
+    const iz = Math.floor(z);
+    const fx = x - ix;
+    const fz = z - iz;
+    
+    // Smoothstep weights so the surface has no creases at lattice lines
+    const u = fx * fx * (3 - 2 * fx);
+    const v = fz * fz * (3 - 2 * fz);
+    
+    const a = this.latticeValue(ix, iz, octave);
+    const b = this.latticeValue(ix + 1, iz, octave);
+    const c = this.latticeValue(ix, iz + 1, octave);
+    const d = this.latticeValue(ix + 1, iz + 1, octave);
+    
+    const top = a + (b - a) * u;
+    const bottom = c + (d - c) * u;
+    return (top + (bottom - top) * v) * 2 - 1;
+  }
+
+  /**
+   * Get terrain height at a specific x,z position
+   * @param {number} x - World X
+   * @param {number} z - World Z
+   * @returns {number} Ground height
+   */
+  getHeight(x, z) {
+    if (this.amplitude === 0) return 0;
+    
+    let height = 0;
+    let frequency = 1 / this.scale;
+    let weight = 1;
+    let totalWeight = 0;
+    
+    // Each octave adds finer, fainter detail
+    for (let octave = 0; octave < this.octaves; octave++) {
+      height += this.noise(x * frequency, z * frequency, octave) * weight;
+      totalWeight += weight;
+      frequency *= 2;
+      weight *= 0.5;
+    }
+    
+    return (height / totalWeight) * this.amplitude;
+  }
+
+  /**
+   * Calculate terrain slope at position
+   * @param {number} x - World X
+   * @param {number} z - World Z
+   * @returns {THREE.Vector3} Height gradient (points uphill, Y is 0)
+   */
+  getSlope(x, z) {
+    const delta = 1.0;
+    const hx1 = this.getHeight(x + delta, z);
+    const hx2 = this.getHeight(x - delta, z);
+    const hz1 = this.getHeight(x, z + delta);
+    const hz2 = this.getHeight(x, z - delta);
+    
+    const slopeX = (hx1 - hx2) / (2 * delta);
+    const slopeZ = (hz1 - hz2) / (2 * delta);
+    
+    return new THREE.Vector3(slopeX, 0, slopeZ);
+  }
+}
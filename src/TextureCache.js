@@ -0,0 +1,139 @@
+import { Random } from './Random.js';
+import { TextureFactory } from './TextureFactory.js';
+
+// Procedural texture creators by type
+const CREATORS = {
+  earth: rng => TextureFactory.createEarthTexture(rng),
+  moon: rng => TextureFactory.createMoonTexture(rng),
+  mars: rng => TextureFactory.createMarsTexture(rng),
+  jupiter: rng => TextureFactory.createJupiterTexture(rng),
+  sun: rng => TextureFactory.createSunTexture(rng)
+};
+
+/**
+ * Hashes a string to a 32-bit unsigned integer (FNV-1a)
+ * @param {string} text - Text to hash
+ * @returns {number} Hash
+ */
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Shares procedural textures between meshes
+ * Each type has a small pool of variants drawn from fixed seeds, so a crowd of
+ * balls reuses a few textures instead of painting a canvas per ball, and a
+ * ball keeps the same look for as long as it exists. Textures are reference
+ * counted and disposed when the last user releases them.
+ */
+export class TextureCache {
+  /**
+   * @param {number} variantsPerType - Distinct textures drawn per type
+   */
+  constructor(variantsPerType = 4) {
+    this.variantsPerType = variantsPerType;
+    this.entries = new Map(); // 'type:variant' -> { type, texture, references }
+    this.keysByTexture = new Map();
+  }
+
+  /**
+   * Gets a texture, creating it on first use
+   * @param {string} type - 'earth', 'moon', 'mars', 'jupiter' or 'sun'
+   * @param {string|number} key - Picks the variant, e.g. a ball id; same key, same variant
+   * @returns {THREE.CanvasTexture} Shared texture; hand it back with release()
+   */
+  acquire(type, key = 0) {
+    const creator = CREATORS[type];
+    if (!creator) {
+      throw new Error(`Unknown texture type: ${type}`);
+    }
+    
+    const variant = hashString(String(key)) % this.variantsPerType;
+    const entryKey = `${type}:${variant}`;
+    
+    let entry = this.entries.get(entryKey);
+    if (!entry) {
+      const seed = hashString(entryKey);
+      entry = { type, texture: creator(new Random(seed)), references: 0 };
+      this.entries.set(entryKey, entry);
+      this.keysByTexture.set(entry.texture, entryKey);
+    }
+    
+    entry.references++;
+    return entry.texture;
+  }
+
+  /**
+   * Gives back a texture from acquire(), disposing it once nothing uses it
+   * Textures that did not come from the cache are disposed immediately.
+   * @param {THREE.Texture} texture - Texture to release
+   */
+  release(texture) {
+    const entryKey = this.keysByTexture.get(texture);
+    if (!entryKey) {
+      texture.dispose();
+      return;
+    }
+    
+    const entry = this.entries.get(entryKey);
+    entry.references--;
+    if (entry.references <= 0) {
+      texture.dispose();
+      this.entries.delete(entryKey);
+      this.keysByTexture.delete(texture);
+    }
+  }
+
+  /**
+   * Estimates the GPU memory of a texture (RGBA8 with a full mipmap chain)
+   * @param {THREE.Texture} texture - Texture to measure
+   * @returns {number} Bytes
+   */
+  static estimateBytes(texture) {
+    const { width, height } = texture.image;
+    const mipmapFactor = texture.generateMipmaps ? 4 / 3 : 1;
+    return Math.round(width * height * 4 * mipmapFactor);
+  }
+
+  /**
+   * Reports live textures and their estimated memory
+   * @returns {Object} { textures, references, bytes, byType: { [type]: { textures, references, bytes } } }
+   */
+  getStats() {
+    const stats = { textures: 0, references: 0, bytes: 0, byType: {} };
+    
+    this.entries.forEach(entry => {
+      const bytes = TextureCache.estimateBytes(entry.texture);
+      const typeStats = stats.byType[entry.type] || (stats.byType[entry.type] = { textures: 0, references: 0, bytes: 0 });
+      
+      typeStats.textures++;
+      typeStats.references += entry.references;
+      typeStats.bytes += bytes;
+      
+      stats.textures++;
+      stats.references += entry.references;
+      stats.bytes += bytes;
+    });
+    
+    return stats;
+  }
+
+  /**
+   * Disposes every cached texture regardless of references
+   */
+  clear() {
+    this.entries.forEach(entry => entry.texture.dispose());
+    this.entries.clear();
+    this.keysByTexture.clear();
+  }
+}
+
+/**
+ * Cache shared by all renderers
+ */
+export const textureCache = new TextureCache();
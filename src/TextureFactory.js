@@ -1,16 +1,19 @@
 import * as THREE from 'three';
+import { Random } from './Random.js';
 
 /**
  * Factory class for creating procedural textures for celestial bodies
- * Handles generation of Moon, Mars, Earth, and Jupiter textures
+ * Handles generation of Moon, Mars, Earth, Jupiter and Sun textures.
+ * Callers normally go through textureCache instead of creating textures directly.
  */
 export class TextureFactory {
   
   /**
    * Creates high-resolution Earth texture with continents, oceans, and clouds
+   * @param {Random} rng - Random source; the same seed draws the same texture
    * @returns {THREE.CanvasTexture} Earth texture
    */
-  static createEarthTexture() {
+  static createEarthTexture(rng = new Random()) {
     const canvas = document.createElement('canvas');
     canvas.width = 1024;
     canvas.height = 512;
@@ -95,9 +98,9 @@ export class TextureFactory {
     // Add cloud formations
     ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
     for (let i = 0; i < 25; i++) {
-      const x = Math.random() * canvas.width;
-      const y = Math.random() * canvas.height;
-      const size = Math.random() * 60 + 30;
+      const x = rng.next() * canvas.width;
+      const y = rng.next() * canvas.height;
+      const size = rng.next() * 60 + 30;
       
       const cloudGradient = ctx.createRadialGradient(x, y, 0, x, y, size);
       cloudGradient.addColorStop(0, 'rgba(255, 255, 255, 0.8)');
@@ -113,9 +116,10 @@ export class TextureFactory {
   
   /**
    * Creates realistic Moon texture with craters and surface details
+   * @param {Random} rng - Random source; the same seed draws the same texture
    * @returns {THREE.CanvasTexture} Moon texture
    */
-  static createMoonTexture() {
+  static createMoonTexture(rng = new Random()) {
     const canvas = document.createElement('canvas');
     canvas.width = 512;
     canvas.height = 256;
@@ -180,10 +184,10 @@ export class TextureFactory {
     
     // Add smaller craters and surface texture
     for (let i = 0; i < 50; i++) {
-      const x = Math.random() * canvas.width;
-      const y = Math.random() * canvas.height;
-      const radius = Math.random() * 8 + 2;
-      const darkness = Math.random() * 0.2 + 0.1;
+      const x = rng.next() * canvas.width;
+      const y = rng.next() * canvas.height;
+      const radius = rng.next() * 8 + 2;
+      const darkness = rng.next() * 0.2 + 0.1;
       
       // Small crater
       ctx.fillStyle = `rgba(80, 80, 80, ${darkness})`;
@@ -199,9 +203,9 @@ export class TextureFactory {
     
     // Add surface roughness/texture
     for (let i = 0; i < 200; i++) {
-      const x = Math.random() * canvas.width;
-      const y = Math.random() * canvas.height;
-      const brightness = Math.random() * 40 - 20; // -20 to +20
+      const x = rng.next() * canvas.width;
+      const y = rng.next() * canvas.height;
+      const brightness = rng.next() * 40 - 20; // -20 to +20
       
       ctx.fillStyle = `rgba(${200 + brightness}, ${200 + brightness}, ${200 + brightness}, 0.3)`;
       ctx.fillRect(x, y, 1, 1);
@@ -212,9 +216,10 @@ export class TextureFactory {
   
   /**
    * Creates realistic Mars texture with rusty surface and geological features
+   * @param {Random} rng - Random source; the same seed draws the same texture
    * @returns {THREE.CanvasTexture} Mars texture
    */
-  static createMarsTexture() {
+  static createMarsTexture(rng = new Random()) {
     const canvas = document.createElement('canvas');
     canvas.width = 512;
     canvas.height = 256;
@@ -315,9 +320,9 @@ export class TextureFactory {
     
     // Add dust storm patterns and surface variations
     for (let i = 0; i < 40; i++) {
-      const x = Math.random() * canvas.width;
-      const y = Math.random() * canvas.height;
-      const size = Math.random() * 30 + 10;
+      const x = rng.next() * canvas.width;
+      const y = rng.next() * canvas.height;
+      const size = rng.next() * 30 + 10;
       
       // Dust patterns
       const dustGradient = ctx.createRadialGradient(x, y, 0, x, y, size);
@@ -333,9 +338,9 @@ export class TextureFactory {
     
     // Add surface roughness and color variation
     for (let i = 0; i < 150; i++) {
-      const x = Math.random() * canvas.width;
-      const y = Math.random() * canvas.height;
-      const variation = Math.random() * 30 - 15; // -15 to +15
+      const x = rng.next() * canvas.width;
+      const y = rng.next() * canvas.height;
+      const variation = rng.next() * 30 - 15; // -15 to +15
       
       const r = Math.max(0, Math.min(255, 180 + variation));
       const g = Math.max(0, Math.min(255, 80 + variation * 0.8));
@@ -350,9 +355,10 @@ export class TextureFactory {
   
   /**
    * Creates realistic Jupiter texture with characteristic bands and Great Red Spot
+   * @param {Random} rng - Random source; the same seed draws the same texture
    * @returns {THREE.CanvasTexture} Jupiter texture
    */
-  static createJupiterTexture() {
+  static createJupiterTexture(rng = new Random()) {
     const canvas = document.createElement('canvas');
     canvas.width = 1024;
     canvas.height = 512;
@@ -421,18 +427,18 @@ export class TextureFactory {
     
     // Add atmospheric turbulence and band mixing
     for (let i = 0; i < 100; i++) {
-      const x = Math.random() * canvas.width;
-      const y = Math.random() * canvas.height;
-      const width = Math.random() * 80 + 20;
-      const height = Math.random() * 8 + 3;
+      const x = rng.next() * canvas.width;
+      const y = rng.next() * canvas.height;
+      const width = rng.next() * 80 + 20;
+      const height = rng.next() * 8 + 3;
       
       // Create swirling patterns
       const turbulenceColors = ['rgba(240, 213, 170, 0.4)', 'rgba(184, 149, 106, 0.3)', 'rgba(205, 175, 149, 0.3)'];
-      ctx.fillStyle = turbulenceColors[Math.floor(Math.random() * turbulenceColors.length)];
+      ctx.fillStyle = turbulenceColors[Math.floor(rng.next() * turbulenceColors.length)];
       
       ctx.save();
       ctx.translate(x, y);
-      ctx.rotate(Math.random() * Math.PI / 6 - Math.PI / 12); // Slight rotation
+      ctx.rotate(rng.next() * Math.PI / 6 - Math.PI / 12); // Slight rotation
       ctx.fillRect(-width/2, -height/2, width, height);
       ctx.restore();
     }
@@ -444,16 +450,16 @@ export class TextureFactory {
       
       ctx.fillStyle = flowColor;
       for (let x = 0; x < canvas.width; x += 20) {
-        const flowWidth = Math.random() * 15 + 5;
+        const flowWidth = rng.next() * 15 + 5;
         ctx.fillRect(x, y, flowWidth, 1);
       }
     }
     
     // Add subtle vertical mixing between bands
     for (let i = 0; i < 50; i++) {
-      const x = Math.random() * canvas.width;
-      const y = Math.random() * canvas.height;
-      const height = Math.random() * 20 + 10;
+      const x = rng.next() * canvas.width;
+      const y = rng.next() * canvas.height;
+      const height = rng.next() * 20 + 10;
       
       ctx.fillStyle = 'rgba(210, 180, 140, 0.2)';
       ctx.fillRect(x, y, 2, height);
@@ -461,4 +467,58 @@ export class TextureFactory {
     
     return new THREE.CanvasTexture(canvas);
   }
+  
+  /**
+   * Creates a procedural Sun texture
+   * @param {Random} rng - Random source; the same seed draws the same texture
+   * @returns {THREE.CanvasTexture} Sun texture
+   */
+  static createSunTexture(rng = new Random()) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 512;
+    canvas.height = 256;
+    const ctx = canvas.getContext('2d');
+    
+    // Create radial gradient for sun surface
+    const gradient = ctx.createRadialGradient(256, 128, 0, 256, 128, 200);
+    gradient.addColorStop(0, '#ffff88');    // Bright yellow center
+    gradient.addColorStop(0.3, '#ffaa00');  // Orange
+    gradient.addColorStop(0.6, '#ff6600');  // Red-orange
+    gradient.addColorStop(1, '#cc3300');    // Dark red edge
+    
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    
+    // Add solar flares and surface activity
+    for (let i = 0; i < 25; i++) {
+      const x = rng.next() * canvas.width;
+      const y = rng.next() * canvas.height;
+      const size = rng.next() * 40 + 15;
+      
+      const flareGradient = ctx.createRadialGradient(x, y, 0, x, y, size);
+      flareGradient.addColorStop(0, '#ffffff');      // White hot center
+      flareGradient.addColorStop(0.3, '#ffff00');    // Yellow
+      flareGradient.addColorStop(0.7, '#ff8800');    // Orange
+      flareGradient.addColorStop(1, 'transparent');
+      
+      ctx.fillStyle = flareGradient;
+      ctx.beginPath();
+      ctx.arc(x, y, size, 0, Math.PI * 2);
+      ctx.fill();
+    }
+    
+    // Add sunspots (darker areas)
+    for (let i = 0; i < 8; i++) {
+      const x = rng.next() * canvas.width;
+      const y = rng.next() * canvas.height;
+      const size = rng.next() * 20 + 10;
+      
+      ctx.fillStyle = 'rgba(80, 40, 0, 0.6)';
+      ctx.beginPath();
+      ctx.arc(x, y, size, 0, Math.PI * 2);
+      ctx.fill();
+    }
+    
+    return new THREE.CanvasTexture(canvas);
+  }
 }
\ No newline at end of file
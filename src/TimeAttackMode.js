@@ -0,0 +1,32 @@
+import { GameMode } from './GameMode.js';
+import { formatDuration } from './utils.js';
+
+const TIME_LIMIT = 3 * 60; // Seconds in a run
+
+/**
+ * Highest score before the clock runs out
+ * The run ends when time is up or when the player is eaten; either way the
+ * score so far goes into the high score table.
+ */
+export class TimeAttackMode extends GameMode {
+  update(deltaTime) {
+    if (this.world.time >= TIME_LIMIT) {
+      this.world.endGame();
+    }
+  }
+
+  getResult() {
+    return { won: this.world.time >= TIME_LIMIT, time: Math.min(this.world.time, TIME_LIMIT) };
+  }
+
+  describeResult(result) {
+    if (result.won) {
+      return { title: "Time's up!", lines: [] };
+    }
+    return { title: 'Game Over!', lines: [`Eaten with ${formatDuration(TIME_LIMIT - result.time)} left`] };
+  }
+
+  getStatus() {
+    return [`⏱ ${formatDuration(TIME_LIMIT - this.world.time)} left`];
+  }
+}
@@ -0,0 +1,1070 @@
+import * as THREE from 'three';
+import { pickPersonality } from './AIPersonality.js';
+import { Arena } from './Arena.js';
+import { Ball } from './Ball.js';
+import { AIBlackboard } from './BallAI.js';
+import { getDifficultyPreset } from './Difficulty.js';
+import { EventEmitter } from './EventEmitter.js';
+import { FoodField } from './FoodField.js';
+import { createGameMode } from './GameModes.js';
+import { ObstacleField } from './ObstacleField.js';
+import { PowerUpManager } from './PowerUp.js';
+import { Random } from './Random.js';
+import { SpatialHash } from './SpatialHash.js';
+import { Terrain } from './Terrain.js';
+import { randomColor, randomSize, calculateSpawnRate, calculateMaxEnemies, generateAIName } from './utils.js';
+
+/**
+ * Length of one simulation step in seconds
+ */
+export const FIXED_TIME_STEP = 1 / 60;
+
+// Player abilities
+const MAX_PLAYER_CELLS = 8;
+const SPLIT_MIN_RADIUS = 10; // Smallest cell that can split in two
+const SPLIT_SPEED = 150; // Launch speed of the forward half
+const MERGE_TIME = 10; // Seconds before split cells may merge again
+const EJECT_MIN_RADIUS = 8; // Smallest cell that can eject mass
+const EJECT_RADIUS = 2.5; // Radius of an ejected pellet
+const EJECT_SPEED = 180;
+const MAX_PELLETS = 200; // Oldest pellets are removed beyond this
+const CELL_COHESION = 0.3; // Pull of split cells towards their centre
+
+const FOOD_POINTS = 1; // Score for each food pellet the player eats
+
+const VIRUS_PIECES = 6; // Balls a virus splits a ball into
+const POP_SPEED = 100; // Launch speed of the pieces of a popped ball
+
+/**
+ * Headless game simulation
+ * Owns the balls, eating, spawning, AI and power-ups. It never touches the DOM
+ * or a Three.js scene, so it can be stepped under Node; renderers and UI
+ * observe it through events.
+ *
+ * The simulation is deterministic: it is meant to be advanced in fixed
+ * FIXED_TIME_STEP steps and draws all randomness from a seeded Random, so the
+ * same seed and inputs always produce the same match.
+ *
+ * The player may be split into several cells (playerCells); the match ends
+ * when the last one is eaten. Ejected mass lives in pellets, which anything
+ * big enough can eat but which are not counted as balls.
+ *
+ * A FoodField of tiny static pellets covers the whole world and regrows as it
+ * is eaten, so every ball has something to graze on besides other balls.
+ *
+ * The Arena sets the shape and size of the field: square, circular, or a torus
+ * that wraps around at its edges.
+ *
+ * An ObstacleField holds the pillars, walls and hazards. Balls collide with it
+ * in their own physics; the World pops balls that roll over a virus.
+ *
+ * The GameMode adds the rules of the match on top, e.g. a battle royale's
+ * shrinking safe zone; it is recreated from the options on reset.
+ *
+ * Events:
+ * - 'ballAdded' (ball) / 'ballRemoved' (ball)
+ * - 'ballEaten' ({ eater, eaten, points })
+ * - 'foodAdded' (food) / 'foodEaten' ({ eater, food, points })
+ * - 'pelletEaten' ({ eater, pellet }): ejected mass taken back in
+ * - 'ballPopped' ({ ball, virus, pieces })
+ * - 'ballEliminated' (ball): taken out by the game mode rather than eaten
+ * - 'powerUpAdded' (powerUp) / 'powerUpRemoved' (powerUp): the player's only; AI
+ *   balls keep theirs in a PowerUpManager each
+ * - 'spinStarted' (result) / 'spinComplete' (result)
+ * - 'command' ({ tick, command })
+ * - 'gameOver' ({ score, ...mode result })
+ * - 'reset' ()
+ */
+export class World extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    
+    this.options = {
+      worldSize: 500, // Width of the arena (diameter of a circle)
+      arenaShape: 'square', // 'square', 'circle' or 'torus'
+      bigEnemyCount: 2,
+      smallEnemyCount: 15,
+      aiUpdateInterval: 1, // Run AI every N steps
+      spatialCellSize: 50, // Grid cell size for collision and AI neighbor queries
+      terrainHeight: 20, // Hill height; 0 for flat ground
+      foodCount: 800, // Food pellets kept on the field; 0 for none
+      foodRegenRate: 20, // Food pellets regrown per second
+      obstacleDensity: 1, // Scales the number of generated obstacles; 0 for an empty arena
+      obstacleLayout: null, // Obstacle specs to place instead of a generated layout
+      mode: 'classic', // GameModeType of each match
+      teamCount: 2, // Teams in team mode, 2 to 4
+      survivalTime: 5 * 60, // Seconds to survive in survival mode
+      difficulty: 'normal', // Difficulty of the AI opponents
+      seed: undefined, // Fixed seed for every match; a fresh one per reset if undefined
+      ...options
+    };
+    this.arena = this.createArena();
+    this.worldSize = this.arena.size;
+    
+    this.rng = new Random();
+    this.seed = this.rng.seed;
+    
+    this.playerCells = [];
+    this.enemies = [];
+    this.pellets = [];
+    
+    // Rebuilt every step after balls move
+    this.spatialHash = this.createSpatialHash();
+    this.blackboard = new AIBlackboard(); // Shared by the AI balls to hunt in packs
+    
+    this.score = 0;
+    this.gameOver = false;
+    this.time = 0; // Simulated seconds since reset
+    this.tick = 0;
+    this.lastSpawnTime = 0;
+    this.playerInput = { heading: 0, thrust: 0 };
+    
+    // Power-up system
+    this.powerUpManager = new PowerUpManager(this.rng);
+    this.spinCooldown = 0;
+    this.isSpinning = false;
+    this.spinResult = null;
+    this.spinTimeRemaining = 0;
+    
+    // Terrain shared by all balls for physics calculations; regenerated from the seed on reset
+    this.terrain = this.createTerrain();
+    this.obstacles = this.createObstacles();
+    this.food = this.createFood();
+    this.mode = createGameMode(this.options.mode, this);
+    this.mode.reset();
+    this.difficulty = getDifficultyPreset(this.options.difficulty);
+    
+    // Flags balls that left the world, so AI memories drop them at once
+    this.on('ballRemoved', ball => {
+      ball.isRemoved = true;
+    });
+  }
+
+  /**
+   * All live balls, player cells first (pellets are not included)
+   * @returns {Array<Ball>} Balls in the world
+   */
+  get balls() {
+    return [...this.playerCells, ...this.enemies];
+  }
+
+  /**
+   * The player's largest cell
+   * @returns {Ball|null} Main player cell, null before the first reset
+   */
+  get player() {
+    return this.playerCells.reduce(
+      (biggest, cell) => (!biggest || cell.radius > biggest.radius ? cell : biggest),
+      null
+    );
+  }
+
+  /**
+   * Radius of a single ball with the volume of all player cells
+   * @returns {number} Combined radius
+   */
+  get playerRadius() {
+    return Math.cbrt(this.playerCells.reduce((volume, cell) => volume + Math.pow(cell.radius, 3), 0));
+  }
+
+  /**
+   * Changes match options; takes effect on the next reset()
+   * @param {Object} options - Options to override
+   */
+  setOptions(options) {
+    this.options = { ...this.options, ...options };
+  }
+
+  /**
+   * Clears the world and starts a new match
+   * @param {number} seed - Seed for the match; defaults to the configured seed or a fresh one
+   */
+  reset(seed = this.options.seed ?? Random.randomSeed()) {
+    [...this.balls, ...this.pellets].forEach(ball => this.emit('ballRemoved', ball));
+    this.rng.setSeed(seed);
+    this.seed = this.rng.seed;
+    
+    this.playerCells = [];
+    this.enemies = [];
+    this.pellets = [];
+    this.arena = this.createArena();
+    this.worldSize = this.arena.size;
+    this.spatialHash = this.createSpatialHash();
+    this.blackboard = new AIBlackboard();
+    
+    this.score = 0;
+    this.gameOver = false;
+    this.time = 0;
+    this.tick = 0;
+    this.lastSpawnTime = 0;
+    this.playerInput = { heading: 0, thrust: 0 };
+    this.spinCooldown = 0;
+    this.isSpinning = false;
+    this.spinResult = null;
+    this.spinTimeRemaining = 0;
+    this.powerUpManager.clearAll();
+    this.terrain = this.createTerrain();
+    this.obstacles = this.createObstacles();
+    this.food = this.createFood();
+    this.food.fill();
+    this.mode = createGameMode(this.options.mode, this);
+    this.mode.reset();
+    this.difficulty = getDifficultyPreset(this.options.difficulty);
+    
+    this.createPlayer();
+    this.spawnInitialEnemies();
+    
+    this.emit('reset');
+  }
+
+  /**
+   * Creates the arena for the current options
+   * @returns {Arena} Arena
+   */
+  createArena() {
+    return new Arena({ shape: this.options.arenaShape, size: this.options.worldSize });
+  }
+
+  /**
+   * Creates an empty spatial hash matching the arena
+   * @returns {SpatialHash} Spatial hash
+   */
+  createSpatialHash() {
+    return new SpatialHash(this.options.spatialCellSize, this.arena.wraps ? this.arena.size : 0);
+  }
+
+  /**
+   * Creates the heightmap for the current seed and options
+   * @returns {Terrain} Terrain
+   */
+  createTerrain() {
+    return new Terrain({
+      seed: this.seed,
+      amplitude: this.options.terrainHeight,
+      // The ground must line up across the edges of a wrapping arena
+      wrapSize: this.arena.wraps ? this.arena.size : 0
+    });
+  }
+
+  /**
+   * Places the obstacles for the current seed and options
+   * @returns {ObstacleField} Obstacles
+   */
+  createObstacles() {
+    const obstacles = new ObstacleField(this.arena);
+    if (this.options.obstacleLayout) {
+      this.options.obstacleLayout.forEach(spec => obstacles.add(spec));
+    } else {
+      obstacles.generate({
+        seed: this.seed ^ 0x27d4eb2f,
+        arena: this.arena,
+        density: this.options.obstacleDensity
+      });
+    }
+    return obstacles;
+  }
+
+  /**
+   * Creates the food field for the current seed, terrain and options
+   * @returns {FoodField} Empty food field
+   */
+  createFood() {
+    return new FoodField({
+      count: this.options.foodCount,
+      regenRate: this.options.foodRegenRate,
+      arena: this.arena,
+      seed: this.seed ^ 0x5bd1e995,
+      terrain: this.terrain,
+      isBlocked: (x, z) => this.obstacles.isBlocked(x, z),
+      cellSize: this.options.spatialCellSize
+    });
+  }
+
+  createPlayer() {
+    const playerPos = { x: 0, y: this.getTerrainHeight(0, 0) + 15, z: 0 }; // Resting on the ground
+    
+    const player = new Ball(playerPos.x, playerPos.y, playerPos.z, 15, 0x00ff00, 'Player', this.rng);
+    this.addPlayerCell(player);
+  }
+
+  /**
+   * Adds a ball controlled by the player
+   * @param {Ball} cell - Ball to add
+   */
+  addPlayerCell(cell) {
+    cell.isPlayer = true;
+    this.attachBall(cell);
+    this.playerCells.push(cell);
+    this.emit('ballAdded', cell);
+  }
+
+  /**
+   * Removes an eaten or merged player cell
+   * @param {Ball} cell - Cell to remove
+   */
+  removePlayerCell(cell) {
+    this.playerCells = this.playerCells.filter(other => other !== cell);
+    this.emit('ballRemoved', cell);
+  }
+
+  /**
+   * Gives a new ball the terrain, obstacles and arena it moves through, and
+   * whatever the game mode needs
+   * @param {Ball} ball - Ball entering the world
+   */
+  attachBall(ball) {
+    ball.terrain = this.terrain;
+    ball.obstacles = this.obstacles;
+    ball.arena = this.arena;
+    this.mode.attachBall(ball);
+  }
+
+  spawnInitialEnemies() {
+    // Spawn bigger balls to ensure player starts in top 5
+    for (let i = 0; i < this.options.bigEnemyCount; i++) {
+      const pos = this.arena.randomPosition(this.rng, 0.6);
+      if (Math.abs(pos.x) < 30 && Math.abs(pos.z) < 30) {
+        pos.x = pos.x < 0 ? pos.x - 30 : pos.x + 30;
+        pos.z = pos.z < 0 ? pos.z - 30 : pos.z + 30;
+      }
+      const size = randomSize(16, 25, this.rng) * this.difficulty.spawnSize;
+      const color = randomColor(this.rng);
+      const name = generateAIName(this.rng);
+      
+      // Rest on the ground
+      pos.y = this.getTerrainHeight(pos.x, pos.z) + size;
+      
+      this.addEnemy(new Ball(pos.x, pos.y, pos.z, size, color, name, this.rng));
+    }
+    
+    for (let i = 0; i < this.options.smallEnemyCount; i++) {
+      this.spawnEnemy();
+    }
+  }
+
+  spawnEnemy() {
+    const pos = this.arena.randomPosition(this.rng, 0.8);
+    // Make sure enemies spawn away from the player
+    if (this.playerCells.length && Math.abs(pos.x) < 20 && Math.abs(pos.z) < 20) {
+      pos.x = pos.x < 0 ? pos.x - 20 : pos.x + 20;
+      pos.z = pos.z < 0 ? pos.z - 20 : pos.z + 20;
+    }
+    
+    const size = randomSize(1, 8, this.rng) * this.difficulty.spawnSize;
+    const color = randomColor(this.rng);
+    const name = generateAIName(this.rng);
+    
+    // Rest on the ground
+    pos.y = this.getTerrainHeight(pos.x, pos.z) + size;
+    
+    this.addEnemy(new Ball(pos.x, pos.y, pos.z, size, color, name, this.rng));
+  }
+
+  /**
+   * Adds an AI ball to the world
+   * @param {Ball} enemy - Ball to add
+   */
+  addEnemy(enemy) {
+    if (!enemy.personality) {
+      enemy.setPersonality(pickPersonality(this.rng));
+    }
+    enemy.setDifficulty(this.difficulty);
+    enemy.ai.blackboard = this.blackboard;
+    if (!enemy.powerUps) {
+      enemy.powerUps = new PowerUpManager(this.rng);
+    }
+    this.attachBall(enemy);
+    this.enemies.push(enemy);
+    this.emit('ballAdded', enemy);
+  }
+
+  /**
+   * Applies a player command. All player actions should go through here: the
+   * 'command' event emitted for every command that had an effect is what
+   * replays record.
+   * @param {Object} command - One of
+   *   { type: 'move', heading, thrust }, { type: 'jump' }, { type: 'spin' },
+   *   { type: 'powerUp', index }, { type: 'split' }, { type: 'eject' }
+   * @returns {*} Result of the underlying action, falsy if it had no effect
+   */
+  applyCommand(command) {
+    if (this.gameOver) return null;
+    
+    let result = null;
+    switch (command.type) {
+      case 'move': {
+        // Headings are kept to 3 decimals so recorded inputs stay compact
+        const heading = Math.round(command.heading * 1000) / 1000;
+        const thrust = command.thrust;
+        if (heading !== this.playerInput.heading || thrust !== this.playerInput.thrust) {
+          this.setPlayerInput({ heading, thrust });
+          command = { type: 'move', heading, thrust };
+          result = true;
+        }
+        break;
+      }
+      case 'jump':
+        result = this.playerJump();
+        break;
+      case 'spin':
+        result = this.startSpin();
+        break;
+      case 'powerUp':
+        result = this.activatePowerUpDirect(command.index);
+        break;
+      case 'split':
+        result = this.splitPlayer();
+        break;
+      case 'eject':
+        result = this.ejectMass();
+        break;
+    }
+    
+    if (result) {
+      this.emit('command', { tick: this.tick, command });
+    }
+    return result;
+  }
+
+  /**
+   * Sets the player's movement input, applied on every step
+   * @param {Object} input - { heading, thrust }: heading angle in radians
+   *   (0 faces -Z) and force magnitude, 0 to stand still
+   */
+  setPlayerInput(input) {
+    this.playerInput = { ...this.playerInput, ...input };
+  }
+
+  /**
+   * Make the player cells jump
+   * @returns {boolean} True if any cell started a jump
+   */
+  playerJump() {
+    if (this.gameOver) return false;
+    
+    let jumped = false;
+    this.playerCells.forEach(cell => {
+      if (cell.jump()) jumped = true;
+    });
+    return jumped;
+  }
+
+  /**
+   * Direction the player is steering in
+   * @returns {THREE.Vector3} Unit vector on the ground plane
+   */
+  getPlayerForward() {
+    const { heading } = this.playerInput;
+    return new THREE.Vector3(-Math.sin(heading), 0, -Math.cos(heading));
+  }
+
+  /**
+   * Splits every large enough player cell in two, launching one half forward
+   * @returns {boolean} True if any cell split
+   */
+  splitPlayer() {
+    if (this.gameOver) return false;
+    
+    const forward = this.getPlayerForward();
+    let split = false;
+    
+    // Biggest cells first, in case the cell limit is reached
+    const cells = [...this.playerCells].sort((a, b) => b.radius - a.radius);
+    for (const cell of cells) {
+      if (this.playerCells.length >= MAX_PLAYER_CELLS) break;
+      if (cell.radius < SPLIT_MIN_RADIUS) continue;
+      
+      // Each half keeps half the volume
+      const halfRadius = cell.radius / Math.cbrt(2);
+      cell.shrinkTo(halfRadius);
+      cell.mergeTimer = MERGE_TIME;
+      
+      const position = cell.position.clone().addScaledVector(forward, halfRadius);
+      const half = new Ball(position.x, position.y, position.z, halfRadius, cell.color, cell.name, this.rng);
+      half.velocity.copy(cell.velocity);
+      half.launchVelocity.copy(forward).multiplyScalar(SPLIT_SPEED);
+      half.mergeTimer = MERGE_TIME;
+      
+      // Active power-up effects carry over
+      half.setSpeedBoost(cell.powerUpEffects.getSpeedMultiplier());
+      half.copySizeBoost(cell);
+      half.setSkin(cell.skin);
+      
+      this.addPlayerCell(half);
+      split = true;
+    }
+    
+    return split;
+  }
+
+  /**
+   * Fires a small pellet of mass forward from every large enough player cell
+   * @returns {boolean} True if any pellet was ejected
+   */
+  ejectMass() {
+    if (this.gameOver) return false;
+    
+    const forward = this.getPlayerForward();
+    const pelletVolume = Math.pow(EJECT_RADIUS, 3);
+    let ejected = false;
+    
+    [...this.playerCells].forEach(cell => {
+      if (cell.radius < EJECT_MIN_RADIUS) return;
+      
+      cell.shrinkTo(Math.cbrt(Math.pow(cell.radius, 3) - pelletVolume));
+      
+      const position = cell.position.clone().addScaledVector(forward, cell.radius + EJECT_RADIUS + 1);
+      const pellet = new Ball(position.x, position.y, position.z, EJECT_RADIUS, cell.color, 'Pellet', this.rng);
+      pellet.isPellet = true;
+      this.attachBall(pellet);
+      pellet.launchVelocity.copy(forward).multiplyScalar(EJECT_SPEED);
+      
+      this.pellets.push(pellet);
+      this.emit('ballAdded', pellet);
+      ejected = true;
+    });
+    
+    // Keep the pellet count bounded
+    while (this.pellets.length > MAX_PELLETS) {
+      this.emit('ballRemoved', this.pellets.shift());
+    }
+    
+    return ejected;
+  }
+
+  /**
+   * Get terrain height at a specific x,z position
+   */
+  getTerrainHeight(x, z) {
+    return this.terrain.getHeight(x, z);
+  }
+
+  /**
+   * Calculate terrain slope at position
+   */
+  getTerrainSlope(x, z) {
+    return this.terrain.getSlope(x, z);
+  }
+
+  /**
+   * Advances the simulation by one step
+   * @param {number} deltaTime - Seconds to simulate, normally FIXED_TIME_STEP
+   */
+  step(deltaTime = FIXED_TIME_STEP) {
+    if (this.gameOver) return;
+    
+    this.time += deltaTime;
+    
+    this.updatePowerUps(deltaTime);
+    this.obstacles.update(deltaTime);
+    this.applyPlayerInput();
+    
+    const allBalls = [...this.balls, ...this.pellets];
+    allBalls.forEach(ball => ball.update(deltaTime));
+    this.updateFood(deltaTime);
+    this.checkViruses();
+    this.spatialHash.rebuild(allBalls);
+    
+    this.updateAI(deltaTime);
+    // Pellets first: the other passes remove eaten balls the spatial hash still holds
+    this.checkPellets();
+    this.checkCollisions();
+    this.checkPlayerCells();
+    if (!this.gameOver) {
+      this.mode.update(deltaTime);
+    }
+    this.spawnEnemies();
+    this.updateSun();
+    
+    this.tick++;
+  }
+
+  applyPlayerInput() {
+    const { thrust } = this.playerInput;
+    if (thrust) {
+      const force = this.getPlayerForward().multiplyScalar(thrust);
+      this.playerCells.forEach(cell => cell.applyForce(force));
+    }
+    
+    // Draw split cells back together so they can merge
+    if (this.playerCells.length > 1) {
+      const center = this.getPlayerCenter();
+      this.playerCells.forEach(cell => {
+        const pull = this.arena.offset(cell.position, center);
+        pull.y = 0;
+        if (pull.lengthSq() > 1) {
+          cell.applyForce(pull.normalize().multiplyScalar(CELL_COHESION));
+        }
+      });
+    }
+  }
+
+  /**
+   * Mass-weighted centre of the player cells
+   * @returns {THREE.Vector3} Centre position
+   */
+  getPlayerCenter() {
+    const center = new THREE.Vector3();
+    if (!this.playerCells.length) return center;
+    
+    // Average offsets from one cell, so cells on both sides of a wrapping edge stay together
+    const origin = this.playerCells[0].position;
+    const offset = new THREE.Vector3();
+    let totalMass = 0;
+    this.playerCells.forEach(cell => {
+      center.addScaledVector(this.arena.offset(origin, cell.position, offset), cell.mass);
+      totalMass += cell.mass;
+    });
+    return center.divideScalar(totalMass).add(origin);
+  }
+
+  checkCollisions() {
+    if (this.gameOver || !this.playerCells.length) return;
+    
+    // The spatial hash still holds balls eaten earlier in this pass
+    const eaten = new Set();
+    const removeEaten = () => {
+      this.enemies = this.enemies.filter(enemy => !eaten.has(enemy));
+    };
+    
+    // Player cells vs enemies collisions
+    for (const cell of [...this.playerCells]) {
+      for (const enemy of this.spatialHash.queryOverlaps(cell)) {
+        if (enemy.isPlayer || enemy.isPellet || eaten.has(enemy)) continue;
+        if (!cell.isColliding(enemy)) continue;
+        
+        if (cell.canEat(enemy)) {
+          const points = cell.eat(enemy);
+          this.score += points;
+          eaten.add(enemy);
+          this.emit('ballRemoved', enemy);
+          this.emit('ballEaten', { eater: cell, eaten: enemy, points });
+        } else if (enemy.canEat(cell)) {
+          // Losing the last cell ends the match; it stays in place for the game over screen
+          if (this.playerCells.length === 1) {
+            removeEaten();
+            this.endGame();
+            return;
+          }
+          
+          const points = enemy.eat(cell);
+          this.removePlayerCell(cell);
+          this.emit('ballEaten', { eater: enemy, eaten: cell, points });
+          break; // This cell is gone
+        } else {
+          this.bounce(cell, enemy);
+        }
+      }
+    }
+    
+    // Enemy vs enemy collisions (more aggressive)
+    // Each pair is tested once, from the later enemy in the list
+    const order = new Map(this.enemies.map((enemy, index) => [enemy, index]));
+    
+    for (let i = this.enemies.length - 1; i >= 0; i--) {
+      const enemy = this.enemies[i];
+      if (eaten.has(enemy)) continue;
+      
+      for (const otherEnemy of this.spatialHash.queryOverlaps(enemy)) {
+        if (!(order.get(otherEnemy) < i) || eaten.has(otherEnemy)) continue;
+        
+        if (enemy.isColliding(otherEnemy)) {
+          if (enemy.canEat(otherEnemy)) {
+            const points = enemy.eat(otherEnemy);
+            eaten.add(otherEnemy);
+            this.emit('ballRemoved', otherEnemy);
+            this.emit('ballEaten', { eater: enemy, eaten: otherEnemy, points });
+          } else if (otherEnemy.canEat(enemy)) {
+            const points = otherEnemy.eat(enemy);
+            eaten.add(enemy);
+            this.emit('ballRemoved', enemy);
+            this.emit('ballEaten', { eater: otherEnemy, eaten: enemy, points });
+            break; // Exit inner loop since enemy is eaten
+          } else {
+            // Equal in size or teammates: shove each other instead
+            this.bounce(enemy, otherEnemy);
+          }
+        }
+      }
+    }
+    
+    removeEaten();
+  }
+
+  /**
+   * Merges touching player cells whose merge timers ran out and pushes the
+   * others apart
+   */
+  checkPlayerCells() {
+    if (this.gameOver) return;
+    
+    for (let i = 0; i < this.playerCells.length; i++) {
+      for (let j = i + 1; j < this.playerCells.length; j++) {
+        const a = this.playerCells[i];
+        const b = this.playerCells[j];
+        if (!a.isColliding(b)) continue;
+        
+        if (a.mergeTimer > 0 || b.mergeTimer > 0) {
+          this.bounce(a, b);
+          continue;
+        }
+        
+        // The bigger cell takes the whole volume of the smaller one
+        const [big, small] = a.radius >= b.radius ? [a, b] : [b, a];
+        big.grow(Math.cbrt(Math.pow(big.radius, 3) + Math.pow(small.radius, 3)) - big.radius);
+        this.removePlayerCell(small);
+        return; // One merge per step keeps the loop indices valid
+      }
+    }
+  }
+
+  /**
+   * Pops every ball that rolled over a virus big enough to split it
+   */
+  checkViruses() {
+    if (this.gameOver) return;
+    
+    // this.balls is a copy, so new pieces wait until the next step
+    this.balls.forEach(ball => {
+      const virus = this.obstacles.findPoppingVirus(ball);
+      if (virus && this.popBall(ball, virus)) {
+        this.obstacles.consumeVirus(virus);
+      }
+    });
+  }
+
+  /**
+   * Splits a ball into equal pieces flung out in all directions
+   * Player cells stay within the cell limit; enemy pieces become new enemies.
+   * @param {Ball} ball - Ball to pop
+   * @param {Object} virus - Virus that popped it
+   * @returns {boolean} True if the ball was split
+   */
+  popBall(ball, virus) {
+    const pieces = ball.isPlayer
+      ? Math.min(VIRUS_PIECES, MAX_PLAYER_CELLS - this.playerCells.length + 1)
+      : VIRUS_PIECES;
+    if (pieces < 2) return false;
+    
+    const pieceRadius = ball.radius / Math.cbrt(pieces);
+    ball.shrinkTo(pieceRadius);
+    
+    // Evenly spaced directions, starting away from the virus
+    const away = this.arena.offset(virus.position, ball.position);
+    const startAngle = Math.atan2(away.z, away.x);
+    for (let i = 0; i < pieces; i++) {
+      const angle = startAngle + (i / pieces) * Math.PI * 2;
+      const direction = new THREE.Vector3(Math.cos(angle), 0, Math.sin(angle));
+      
+      let piece = ball;
+      if (i > 0) {
+        const position = ball.position.clone().addScaledVector(direction, pieceRadius);
+        const name = ball.isPlayer ? ball.name : generateAIName(this.rng);
+        piece = new Ball(position.x, position.y, position.z, pieceRadius, ball.color, name, this.rng);
+        piece.velocity.copy(ball.velocity);
+        piece.team = ball.team;
+        if (!ball.isPlayer) piece.setPersonality(ball.personality);
+      }
+      piece.launchVelocity.copy(direction).multiplyScalar(POP_SPEED);
+      
+      if (ball.isPlayer) {
+        piece.mergeTimer = MERGE_TIME;
+        if (piece !== ball) {
+          piece.setSpeedBoost(ball.powerUpEffects.getSpeedMultiplier());
+          piece.copySizeBoost(ball);
+          piece.setSkin(ball.skin);
+          this.addPlayerCell(piece);
+        }
+      } else if (piece !== ball) {
+        this.addEnemy(piece);
+      }
+    }
+    
+    this.emit('ballPopped', { ball, virus, pieces });
+    return true;
+  }
+
+  /**
+   * Regrows food and lets every ball graze on the food it touches
+   * @param {number} deltaTime - Time step
+   */
+  updateFood(deltaTime) {
+    this.food.regrow(deltaTime).forEach(food => this.emit('foodAdded', food));
+    if (this.gameOver) return;
+    
+    this.balls.forEach(ball => {
+      this.food.eatOverlapping(ball).forEach(food => {
+        ball.eat(food);
+        const points = ball.isPlayer ? FOOD_POINTS : 0;
+        this.score += points;
+        this.emit('foodEaten', { eater: ball, food, points });
+      });
+    });
+  }
+
+  /**
+   * Lets balls eat the pellets they touch; pellets give mass but no score
+   */
+  checkPellets() {
+    if (this.gameOver || !this.pellets.length) return;
+    
+    const eaten = new Set();
+    this.pellets.forEach(pellet => {
+      const eater = this.spatialHash.queryOverlaps(pellet)
+        .find(ball => !ball.isPellet && ball.canEat(pellet) && ball.isColliding(pellet));
+      if (!eater) return;
+      
+      eater.eat(pellet);
+      eaten.add(pellet);
+      this.emit('ballRemoved', pellet);
+      this.emit('pelletEaten', { eater, pellet });
+    });
+    
+    this.pellets = this.pellets.filter(pellet => !eaten.has(pellet));
+  }
+
+  /**
+   * Resolves a collision between two balls that can't eat each other
+   * Pushes them apart and exchanges momentum along the contact normal as a
+   * perfectly elastic collision, so heavier balls shove lighter ones.
+   * @param {Ball} a - First ball
+   * @param {Ball} b - Second ball
+   */
+  bounce(a, b) {
+    const normal = this.arena.offset(a.position, b.position);
+    normal.y = 0;
+    const distance = normal.length();
+    if (distance > 0) {
+      normal.divideScalar(distance);
+    } else {
+      normal.set(1, 0, 0); // Exactly on top of each other: pick any direction
+    }
+    
+    const totalMass = a.mass + b.mass;
+    
+    // Separate in proportion to the other ball's mass
+    const overlap = a.radius + b.radius - distance;
+    if (overlap > 0) {
+      a.position.addScaledVector(normal, -overlap * b.mass / totalMass);
+      b.position.addScaledVector(normal, overlap * a.mass / totalMass);
+    }
+    
+    // Exchange momentum only while they are moving into each other
+    const approachSpeed = b.velocity.clone().sub(a.velocity).dot(normal);
+    if (approachSpeed < 0) {
+      a.velocity.addScaledVector(normal, 2 * approachSpeed * b.mass / totalMass);
+      b.velocity.addScaledVector(normal, -2 * approachSpeed * a.mass / totalMass);
+    }
+  }
+
+  /**
+   * Steers every AI ball
+   * @param {number} deltaTime - Simulated seconds per step
+   */
+  updateAI(deltaTime) {
+    // Optionally run AI less often (e.g. every other step on mobile)
+    const interval = this.options.aiUpdateInterval;
+    if (this.tick % interval !== 0) return;
+    
+    this.blackboard.update(this.time);
+    
+    this.enemies.forEach(enemy => {
+      // Only balls within the AI's sensing range can matter
+      const nearbyBalls = this.spatialHash.query(enemy.position, enemy.ai.perceptionRange);
+      
+      enemy.executeBehavior(nearbyBalls, deltaTime * interval);
+      this.mode.steer(enemy, nearbyBalls);
+      
+      // Steer around pillars, walls and hazards on top of any other goal
+      const range = enemy.radius + enemy.ai.obstacleRange;
+      enemy.avoidObstacles(this.obstacles.getNearby(enemy.position, range));
+    });
+  }
+
+  spawnEnemies() {
+    if (!this.mode.canSpawn()) return;
+    
+    const now = this.time * 1000;
+    const spawnRate = calculateSpawnRate(this.score);
+    const maxEnemies = calculateMaxEnemies(this.score);
+    
+    if (now - this.lastSpawnTime > spawnRate && this.enemies.length < maxEnemies) {
+      this.spawnEnemy();
+      this.lastSpawnTime = now;
+    }
+  }
+
+  /**
+   * Turns the biggest non-player ball into a Sun once it is large enough
+   */
+  updateSun() {
+    const biggestNonPlayer = this.enemies.reduce(
+      (biggest, enemy) => (!biggest || enemy.radius > biggest.radius ? enemy : biggest),
+      null
+    );
+    if (biggestNonPlayer && biggestNonPlayer.radius >= 25) {
+      biggestNonPlayer.makeSun();
+    }
+  }
+
+  /**
+   * Balls sorted from largest to smallest
+   * @returns {Array<Ball>} Ranked balls
+   */
+  getRankedBalls() {
+    return this.balls.sort((a, b) => b.radius - a.radius);
+  }
+
+  /**
+   * Takes a ball out of the match without anything eating it
+   * @param {Ball} ball - Enemy or player cell
+   */
+  eliminateBall(ball) {
+    if (this.gameOver) return;
+    
+    if (ball.isPlayer) {
+      // Like being eaten: the last cell stays in place for the game over screen
+      if (this.playerCells.length === 1) {
+        this.endGame();
+        return;
+      }
+      this.removePlayerCell(ball);
+    } else {
+      this.enemies = this.enemies.filter(enemy => enemy !== ball);
+      this.emit('ballRemoved', ball);
+    }
+    this.emit('ballEliminated', ball);
+  }
+
+  endGame() {
+    this.gameOver = true;
+    this.emit('gameOver', { score: this.score, ...this.mode.getResult() });
+  }
+
+  /**
+   * Whether the difficulty lets the player have power-ups at all
+   * @returns {boolean} False on difficulties that take the spinner away
+   */
+  get powerUpsAllowed() {
+    return this.difficulty.spinCooldown !== null;
+  }
+
+  /**
+   * Checks whether the power-up spinner can be used
+   * @returns {boolean} True if a spin may start
+   */
+  canSpin() {
+    return this.powerUpsAllowed && !this.isSpinning && this.spinCooldown <= 0 && !this.gameOver;
+  }
+
+  /**
+   * Starts a spin and picks its result; the power-up is granted when the
+   * spin finishes a few simulated seconds later
+   * @returns {Object|null} Power-up type rolled, or null if spinning is not allowed
+   */
+  startSpin() {
+    if (!this.canSpin()) return null;
+    
+    this.isSpinning = true;
+    this.spinCooldown = this.difficulty.spinCooldown;
+    this.spinTimeRemaining = 4; // Matches the wheel animation
+    this.spinResult = this.powerUpManager.spinForPowerUp();
+    
+    this.emit('spinStarted', this.spinResult);
+    return this.spinResult;
+  }
+
+  /**
+   * Finishes the running spin and grants its result
+   */
+  completeSpin() {
+    const result = this.spinResult;
+    this.isSpinning = false;
+    this.spinResult = null;
+    
+    if (result.type !== 'tryagain') {
+      this.grantPowerUp(result.type);
+    } else {
+      // Try again - reset cooldown faster
+      this.spinCooldown = 2;
+    }
+    
+    this.emit('spinComplete', result);
+  }
+
+  /**
+   * Grants a power-up directly (keyboard shortcuts)
+   * @param {number} index - Index into the power-up types
+   * @returns {Object|null} Power-up type granted, or null if not allowed
+   */
+  activatePowerUpDirect(index) {
+    if (this.gameOver || !this.player || !this.powerUpsAllowed) return null;
+    
+    const powerUpType = this.powerUpManager.powerUpTypes[index];
+    if (!powerUpType) return null;
+    
+    // Don't allow if same power-up is already active (except Try Again)
+    if (powerUpType.type !== 'tryagain' && this.powerUpManager.hasActivePowerUp(powerUpType.type)) {
+      return null;
+    }
+    
+    if (powerUpType.type !== 'tryagain') {
+      this.grantPowerUp(powerUpType.type);
+    }
+    
+    return powerUpType;
+  }
+
+  /**
+   * Adds a power-up to the player and applies its effect
+   * @param {string} type - Power-up type
+   */
+  grantPowerUp(type) {
+    const powerUp = this.powerUpManager.addPowerUp(type);
+    if (powerUp) {
+      this.applyPowerUp(powerUp);
+      this.emit('powerUpAdded', powerUp);
+    }
+  }
+
+  /**
+   * Applies a power-up's effect to every player cell
+   * @param {PowerUp} powerUp - Power-up to apply
+   */
+  applyPowerUp(powerUp) {
+    this.playerCells.forEach(cell => cell.applyPowerUp(powerUp));
+  }
+
+  /**
+   * Removes an expired power-up's effect from every player cell
+   * @param {PowerUp} powerUp - Power-up to remove
+   */
+  removePowerUp(powerUp) {
+    this.playerCells.forEach(cell => cell.removePowerUp(powerUp));
+  }
+
+  updatePowerUps(deltaTime) {
+    // Update cooldown
+    if (this.spinCooldown > 0) {
+      this.spinCooldown = Math.max(0, this.spinCooldown - deltaTime);
+    }
+    
+    // Finish the running spin
+    if (this.isSpinning) {
+      this.spinTimeRemaining -= deltaTime;
+      if (this.spinTimeRemaining <= 0) {
+        this.completeSpin();
+      }
+    }
+    
+    // Advance power-up clocks and remove expired effects
+    const expiredPowerUps = this.powerUpManager.update(deltaTime);
+    expiredPowerUps.forEach(powerUp => {
+      this.removePowerUp(powerUp);
+      this.emit('powerUpRemoved', powerUp);
+    });
+    
+    // AI balls run their own power-ups
+    this.enemies.forEach(enemy => enemy.updatePowerUps(deltaTime));
+  }
+}
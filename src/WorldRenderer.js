@@ -0,0 +1,148 @@
+import * as THREE from 'three';
+import { BallView } from './BallView.js';
+import { FoodRenderer } from './FoodRenderer.js';
+import { HillRenderer } from './HillRenderer.js';
+import { InstancedBallRenderer } from './InstancedBallRenderer.js';
+import { ObstacleRenderer } from './ObstacleRenderer.js';
+import { ZoneRenderer } from './ZoneRenderer.js';
+
+// Camera zoom per unit of distance between the player's cells and their center
+const SPREAD_ZOOM = 1 / 60;
+const MAX_ZOOM = 2.5;
+
+/**
+ * Observes a World and mirrors its balls into a Three.js scene
+ * Creates a BallView when a ball is added and disposes it when the ball is removed.
+ * With instancedEnemies, ordinary enemies are drawn by an InstancedBallRenderer
+ * instead; the player and Suns keep a BallView for their special effects.
+ * The food field is drawn by a FoodRenderer, obstacles by an ObstacleRenderer,
+ * a battle royale's safe zone by a ZoneRenderer and a king of the hill capture
+ * zone by a HillRenderer.
+ *
+ * playerFocus is a camera target that follows the player's cells together:
+ * its position is their mass-weighted center and its zoom grows as they spread.
+ */
+export class WorldRenderer {
+  /**
+   * @param {World} world - World to observe
+   * @param {THREE.Scene} scene - Scene to draw into
+   * @param {Object} options - { instancedEnemies } draw enemies with instancing (default true)
+   */
+  constructor(world, scene, options = {}) {
+    this.world = world;
+    this.scene = scene;
+    this.views = new Map();
+    this.playerFocus = { position: new THREE.Vector3(), zoom: 1 };
+    this.instancedRenderer = options.instancedEnemies === false ? null : new InstancedBallRenderer(scene);
+    this.foodRenderer = new FoodRenderer(world, scene);
+    this.obstacleRenderer = new ObstacleRenderer(world, scene);
+    this.zoneRenderer = new ZoneRenderer(world, scene);
+    this.hillRenderer = new HillRenderer(world, scene);
+    
+    world.balls.forEach(ball => this.addView(ball));
+    world.on('ballAdded', ball => this.addView(ball));
+    world.on('ballRemoved', ball => this.removeView(ball));
+  }
+
+  /**
+   * Creates the view for a newly added ball
+   * @param {Ball} ball - Simulated ball
+   */
+  addView(ball) {
+    if (this.views.has(ball.id)) return;
+    
+    if (this.isInstanced(ball)) {
+      this.instancedRenderer.add(ball);
+    } else {
+      this.views.set(ball.id, new BallView(ball, this.scene));
+    }
+  }
+
+  /**
+   * Checks whether a ball should be drawn by the instanced renderer
+   * @param {Ball} ball - Simulated ball
+   * @returns {boolean} True for plain enemies when instancing is enabled
+   */
+  isInstanced(ball) {
+    return this.instancedRenderer !== null && !ball.isPlayer && !ball.isSun;
+  }
+
+  /**
+   * Disposes the view of a removed ball
+   * @param {Ball} ball - Simulated ball
+   */
+  removeView(ball) {
+    if (this.instancedRenderer) {
+      this.instancedRenderer.remove(ball);
+    }
+    
+    const view = this.views.get(ball.id);
+    if (!view) return;
+    view.destroy();
+    this.views.delete(ball.id);
+  }
+
+  /**
+   * Gets the view of a ball
+   * @param {Ball} ball - Simulated ball
+   * @returns {BallView|undefined} View of the ball, undefined for instanced balls
+   */
+  getView(ball) {
+    return ball ? this.views.get(ball.id) : undefined;
+  }
+
+  /**
+   * Synchronizes every view with its ball
+   * @param {number} deltaTime - Time since last frame
+   * @param {number} alpha - Interpolation factor between the previous and current step (0-1)
+   */
+  update(deltaTime, alpha = 1) {
+    // In a wrapping arena everything is drawn at its copy nearest the player
+    const { arena, player } = this.world;
+    const reference = arena.wraps && player ? player.position : null;
+    
+    if (this.instancedRenderer) {
+      // A ball that became a Sun needs its own mesh for the glow
+      this.world.enemies.forEach(ball => {
+        if (ball.isSun && this.instancedRenderer.has(ball)) {
+          this.instancedRenderer.remove(ball);
+          this.addView(ball);
+        }
+      });
+      this.instancedRenderer.update(deltaTime, alpha, reference);
+    }
+    
+    this.views.forEach(view => view.update(deltaTime, alpha, reference));
+    this.foodRenderer.update(reference);
+    this.obstacleRenderer.update(deltaTime, reference);
+    this.zoneRenderer.update(reference);
+    this.hillRenderer.update(deltaTime, reference);
+    this.updatePlayerFocus();
+  }
+
+  /**
+   * Moves playerFocus to the interpolated center of the player's cells
+   */
+  updatePlayerFocus() {
+    const views = this.world.playerCells
+      .map(cell => this.views.get(cell.id))
+      .filter(Boolean);
+    if (views.length === 0) return;
+    
+    const { position } = this.playerFocus;
+    let totalMass = 0;
+    position.set(0, 0, 0);
+    views.forEach(view => {
+      const mass = view.ball.mass;
+      position.addScaledVector(view.renderPosition, mass);
+      totalMass += mass;
+    });
+    position.divideScalar(totalMass);
+    
+    let spread = 0;
+    views.forEach(view => {
+      spread = Math.max(spread, view.renderPosition.distanceTo(position));
+    });
+    this.playerFocus.zoom = Math.min(1 + spread * SPREAD_ZOOM, MAX_ZOOM);
+  }
+}
@@ -0,0 +1,127 @@
+import * as THREE from 'three';
+
+const RING_SEGMENTS = 128;
+const RING_WIDTH = 3;
+const RING_LIFT = 0.5; // Rings float just above the ground to avoid z-fighting
+
+/**
+ * Draws a battle royale safe zone as two bands on the ground
+ * The solid band marks the current edge of the zone and the faint one where
+ * it will shrink to next. Bands follow the terrain, so their vertices are
+ * only recomputed when the zone (or, in a wrapping arena, the copy nearest
+ * the player) moves. Nothing is drawn in modes without a zone.
+ */
+export class ZoneRenderer {
+  /**
+   * @param {World} world - World to observe
+   * @param {THREE.Scene} scene - Scene to draw into
+   */
+  constructor(world, scene) {
+    this.world = world;
+    this.scene = scene;
+    this.current = this.createRing(0x3399ff, 0.85);
+    this.next = this.createRing(0xffffff, 0.45);
+    this.center = new THREE.Vector3(); // Scratch center of the ring being drawn
+    
+    // A new match has new terrain under the same starting zone
+    world.on('reset', () => {
+      this.current.userData.drawn = null;
+      this.next.userData.drawn = null;
+    });
+  }
+
+  /**
+   * Creates a band mesh with room for every vertex
+   * @param {number} color - Band color
+   * @param {number} opacity - Band opacity
+   * @returns {THREE.Mesh} Hidden band
+   */
+  createRing(color, opacity) {
+    // An inner and an outer vertex per segment edge; the last pair closes the loop
+    const positions = new Float32Array((RING_SEGMENTS + 1) * 2 * 3);
+    const indices = [];
+    for (let i = 0; i < RING_SEGMENTS; i++) {
+      const a = i * 2;
+      indices.push(a, a + 1, a + 2, a + 1, a + 3, a + 2);
+    }
+    
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setIndex(indices);
+    
+    const material = new THREE.MeshBasicMaterial({
+      color,
+      transparent: true,
+      opacity,
+      side: THREE.DoubleSide,
+      depthWrite: false
+    });
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.frustumCulled = false; // The bounding sphere changes with every redraw
+    mesh.visible = false;
+    mesh.userData.drawn = null; // { x, z, radius } the vertices were computed for
+    this.scene.add(mesh);
+    return mesh;
+  }
+
+  /**
+   * Shows the zone of the current match, if it has one
+   * @param {THREE.Vector3} reference - Point to draw the nearest copy around; null if the arena doesn't wrap
+   */
+  update(reference = null) {
+    // Only modes with a safe zone have one
+    const zone = this.world.mode.zone ?? null;
+    this.current.visible = zone !== null;
+    this.next.visible = zone !== null && !zone.isFinal;
+    if (!zone) return;
+    
+    this.drawRing(this.current, zone.center, zone.radius, reference);
+    if (this.next.visible) {
+      this.drawRing(this.next, zone.nextCenter, zone.nextRadius, reference);
+    }
+  }
+
+  /**
+   * Moves a band's vertices onto the terrain around a circle
+   * @param {THREE.Mesh} mesh - Band to update
+   * @param {THREE.Vector3} center - Center of the circle
+   * @param {number} radius - Radius of the outer edge
+   * @param {THREE.Vector3} reference - Point to draw the nearest copy around, or null
+   */
+  drawRing(mesh, center, radius, reference) {
+    this.center.copy(center);
+    if (reference) {
+      this.world.arena.nearestImage(this.center, reference);
+    }
+    
+    const { x, z } = this.center;
+    const drawn = mesh.userData.drawn;
+    if (drawn && drawn.x === x && drawn.z === z && drawn.radius === radius) return;
+    mesh.userData.drawn = { x, z, radius };
+    
+    const positions = mesh.geometry.attributes.position;
+    const innerRadius = Math.max(0, radius - RING_WIDTH);
+    for (let i = 0; i <= RING_SEGMENTS; i++) {
+      const angle = (i / RING_SEGMENTS) * Math.PI * 2;
+      const cos = Math.cos(angle);
+      const sin = Math.sin(angle);
+      [innerRadius, radius].forEach((r, edge) => {
+        const px = x + cos * r;
+        const pz = z + sin * r;
+        positions.setXYZ(i * 2 + edge, px, this.world.getTerrainHeight(px, pz) + RING_LIFT, pz);
+      });
+    }
+    positions.needsUpdate = true;
+  }
+
+  /**
+   * Cleans up all resources
+   */
+  destroy() {
+    [this.current, this.next].forEach(mesh => {
+      this.scene.remove(mesh);
+      mesh.geometry.dispose();
+      mesh.material.dispose();
+    });
+  }
+}
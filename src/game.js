@@ -1,8 +1,17 @@
 import * as THREE from 'three';
-import { Ball } from './Ball.js';
+import { ArenaShape } from './Arena.js';
 import { CameraController } from './Camera.js';
-import { randomColor, randomPosition, randomSize, calculateSpawnRate, calculateMaxEnemies, generateAIName } from './utils.js';
-import { PowerUpManager, PowerUpSpinner } from './PowerUp.js';
+import { Difficulty, DIFFICULTY_PRESETS } from './Difficulty.js';
+import { GameModeType } from './GameModes.js';
+import { World, FIXED_TIME_STEP } from './World.js';
+import { WorldRenderer } from './WorldRenderer.js';
+import { HUD } from './HUD.js';
+import { AIDebugOverlay } from './AIDebugOverlay.js';
+import { HighScores } from './HighScores.js';
+import { Settings } from './Settings.js';
+import { ReplayRecorder, ReplayPlayer, parseReplay } from './Replay.js';
+import { ReplayControls } from './ReplayControls.js';
+import { GameStateMachine, GameState } from './GameStateMachine.js';
 
 class Game {
   constructor() {
@@ -11,12 +20,31 @@ class Game {
     this.renderer = null;
     this.cameraController = null;
     
-    this.player = null;
-    this.enemies = [];
+    // Preferences saved by earlier sessions; an unknown saved difficulty falls back to the default
+    this.settings = new Settings();
+    const difficulty = this.settings.get('difficulty', Difficulty.NORMAL);
+    
+    const isMobile = window.innerHeight > window.innerWidth;
+    this.world = new World({
+      bigEnemyCount: isMobile ? 1 : 2, // Fewer enemies on mobile
+      smallEnemyCount: isMobile ? 8 : 15, // Significantly fewer enemies on mobile
+      aiUpdateInterval: isMobile ? 2 : 1, // Reduce AI update frequency on mobile
+      difficulty: difficulty in DIFFICULTY_PRESETS ? difficulty : Difficulty.NORMAL
+    });
+    this.liveOptions = { ...this.world.options };
+    this.worldRenderer = null;
+    this.hud = new HUD(this.world);
+    this.aiDebug = new AIDebugOverlay(this.world);
+    this.highScores = new HighScores();
+    
+    // Replays
+    this.recorder = new ReplayRecorder(this.world);
+    this.replayPlayer = new ReplayPlayer(this.world);
+    this.replayControls = null;
+    this.lastReplay = null;
+    
+    this.stateMachine = new GameStateMachine(GameState.TITLE);
     
-    this.score = 0;
-    this.gameOver = false;
-    this.lastSpawnTime = 0;
     this.keys = {};
     this.touchStartPos = null;
     this.touchCurrentPos = null;
@@ -25,11 +53,9 @@ class Game {
     this.lastTapTime = 0;
     this.doubleTapThreshold = 300; // ms
     
-    // Power-up system
-    this.powerUpManager = new PowerUpManager();
-    this.powerUpSpinner = null;
-    this.spinCooldown = 0;
-    this.isSpinning = false;
+    // Fixed timestep loop
+    this.lastFrameTime = null;
+    this.accumulator = 0;
     
     this.init();
   }
@@ -38,13 +64,40 @@ class Game {
     this.setupScene();
     this.setupLights();
     this.createFloor();
-    this.createPlayer();
     this.setupControls();
     
-    this.powerUpSpinner = new PowerUpSpinner(this.scene);
+    this.worldRenderer = new WorldRenderer(this.world, this.scene);
+    // Follow the interpolated center of the player's cells so the camera moves smoothly between steps
+    this.cameraController = new CameraController(this.camera, this.worldRenderer.playerFocus);
+    
+    this.world.on('reset', () => {
+      // Every match has its own terrain, and may have another arena
+      this.updateFloor();
+    });
+    this.world.on('ballEaten', ({ eater }) => {
+      if (eater.isPlayer) this.cameraController.shake(0.5, 100);
+    });
+    this.world.on('ballPopped', ({ ball }) => {
+      if (ball.isPlayer) this.cameraController.shake(2, 300);
+    });
+    this.world.on('gameOver', result => {
+      // Replays end on the viewer's controls instead of the game over screen
+      if (this.stateMachine.is(GameState.PLAYING)) {
+        this.lastReplay = this.recorder.getReplay();
+        this.recordHighScore(result);
+        this.stateMachine.transition(GameState.GAME_OVER);
+      }
+    });
+    
+    this.stateMachine.on('change', ({ to }) => this.hud.showState(to));
     
-    this.spawnInitialEnemies();
-    this.updateUI();
+    this.replayControls = new ReplayControls(this.replayPlayer, {
+      onExit: () => this.exitReplay()
+    });
+    
+    // Start on the title screen in front of a frozen match
+    this.world.reset();
+    this.hud.showState(this.stateMachine.state);
     
     this.animate();
   }
@@ -88,11 +141,11 @@ class Game {
       this.camera.aspect = window.innerWidth / window.innerHeight;
       this.camera.updateProjectionMatrix();
       this.renderer.setSize(window.innerWidth, window.innerHeight);
-      this.handleMobileLayout();
+      this.hud.handleMobileLayout();
     });
     
     // Initial mobile layout check
-    this.handleMobileLayout();
+    this.hud.handleMobileLayout();
   }
 
   setupLights() {
@@ -130,87 +183,51 @@ class Game {
   }
 
   createFloor() {
-    const worldSize = 500;
-    const isMobile = window.innerHeight > window.innerWidth;
-    const segments = isMobile ? 20 : 50; // Reduced geometry on mobile
-    
-    // Create completely flat ground plane with wireframe
-    const groundGeometry = new THREE.PlaneGeometry(worldSize, worldSize, segments, segments);
-    
-    // Keep all vertices at Y = 0 (completely flat)
-    // No height modifications
-    
     // Create wireframe material
-    const wireframeMaterial = new THREE.MeshBasicMaterial({ 
+    this.floorMaterial = new THREE.MeshBasicMaterial({ 
       color: 0x00aa00,
       wireframe: true
     });
     
-    // Create the wireframe mesh
-    this.terrain = new THREE.Mesh(groundGeometry, wireframeMaterial);
-    this.terrain.rotation.x = -Math.PI / 2; // Make it horizontal
-    this.scene.add(this.terrain);
-    
-    // Store for calculations
-    this.terrainGeometry = groundGeometry;
-    this.worldSize = worldSize;
-  }
-
-  createPlayer() {
-    const playerPos = { x: 0, y: 15, z: 0 }; // Y = radius for flat ground
-    
-    this.player = new Ball(playerPos.x, playerPos.y, playerPos.z, 15, 0x00ff00, this.scene, 'Player');
-    this.player.isPlayer = true;
-    
-    this.cameraController = new CameraController(this.camera, this.player);
+    // Ground meshes live in a group; updateFloor() builds them for the arena and terrain
+    this.floor = new THREE.Group();
+    this.floorGeometry = null;
+    this.scene.add(this.floor);
   }
 
-  spawnInitialEnemies() {
+  /**
+   * Rebuilds the floor in the shape of the world's arena, following its heightmap
+   */
+  updateFloor() {
+    const { arena } = this.world;
     const isMobile = window.innerHeight > window.innerWidth;
-    const bigEnemyCount = isMobile ? 1 : 2; // Fewer enemies on mobile
-    
-    // Spawn bigger balls to ensure player starts in top 5
-    for (let i = 0; i < bigEnemyCount; i++) {
-      const pos = randomPosition(150);
-      if (Math.abs(pos.x) < 30 && Math.abs(pos.z) < 30) {
-        pos.x = pos.x < 0 ? pos.x - 30 : pos.x + 30;
-        pos.z = pos.z < 0 ? pos.z - 30 : pos.z + 30;
-      }
-      const size = randomSize(16, 25);
-      const color = randomColor();
-      const name = generateAIName();
-      
-      // Set Y position for flat ground
-      pos.y = size; // Y = radius for flat ground
-      
-      const enemy = new Ball(pos.x, pos.y, pos.z, size, color, this.scene, name);
-      this.enemies.push(enemy);
-    }
+    const segments = isMobile ? 20 : 50; // Reduced geometry on mobile
     
-    // Spawn fewer smaller balls for better performance
-    const smallEnemyCount = isMobile ? 8 : 15; // Significantly fewer enemies on mobile
-    for (let i = 0; i < smallEnemyCount; i++) {
-      this.spawnEnemy();
-    }
-  }
-
-  spawnEnemy() {
-    const pos = randomPosition(200);
-    // Make sure enemies spawn away from the player
-    if (this.player && Math.abs(pos.x) < 20 && Math.abs(pos.z) < 20) {
-      pos.x = pos.x < 0 ? pos.x - 20 : pos.x + 20;
-      pos.z = pos.z < 0 ? pos.z - 20 : pos.z + 20;
+    if (this.floorGeometry) {
+      this.floorGeometry.dispose();
     }
+    this.floor.clear();
+    
+    const geometry = arena.shape === ArenaShape.CIRCLE
+      ? new THREE.RingGeometry(0, arena.halfSize, segments * 2, segments)
+      : new THREE.PlaneGeometry(arena.size, arena.size, segments, segments);
+    geometry.rotateX(-Math.PI / 2); // Make it horizontal
     
-    const size = randomSize(1, 8);
-    const color = randomColor();
-    const name = generateAIName();
+    const positions = geometry.attributes.position;
+    for (let i = 0; i < positions.count; i++) {
+      positions.setY(i, this.world.getTerrainHeight(positions.getX(i), positions.getZ(i)));
+    }
+    geometry.computeBoundingSphere();
     
-    // Set Y position for flat ground
-    pos.y = size; // Y = radius for flat ground
+    // A wrapping arena repeats on every side, so the ground carries on past its edges
+    const tiles = arena.wraps ? [-1, 0, 1] : [0];
+    tiles.forEach(tileX => tiles.forEach(tileZ => {
+      const mesh = new THREE.Mesh(geometry, this.floorMaterial);
+      mesh.position.set(tileX * arena.size, 0, tileZ * arena.size);
+      this.floor.add(mesh);
+    }));
     
-    const enemy = new Ball(pos.x, pos.y, pos.z, size, color, this.scene, name);
-    this.enemies.push(enemy);
+    this.floorGeometry = geometry;
   }
 
   setupControls() {
@@ -234,23 +251,56 @@ class Game {
       if (e.key === 'f' || e.key === 'F') {
         this.toggleFullscreen();
       }
-      // Space bar for jump (only when game is not over)
-      if (e.key === ' ' && !this.gameOver && this.player) {
+      // Backquote shows how the AI scores its options
+      if (e.key === '`') {
+        this.aiDebug.toggle();
+      }
+      
+      const state = this.stateMachine.state;
+      if (state === GameState.REPLAY) {
+        this.handleReplayKey(e);
+        return;
+      }
+      // Escape or P toggles the pause menu
+      if (e.key === 'Escape' || e.key === 'p' || e.key === 'P') {
+        this.togglePause();
+        return;
+      }
+      // Space bar for jump (only while playing)
+      if (e.key === ' ' && state === GameState.PLAYING) {
         e.preventDefault();
-        this.playerJump();
+        this.sendCommand({ type: 'jump' });
+      }
+      // Q splits the player, E ejects mass (only while playing)
+      if (e.key === 'q' || e.key === 'Q') {
+        this.sendCommand({ type: 'split' });
+      }
+      if (e.key === 'e' || e.key === 'E') {
+        this.sendCommand({ type: 'eject' });
       }
-      // Direct power-up shortcuts (only when game is not over)
-      if (e.key >= '1' && e.key <= '6' && !this.gameOver) {
+      // Direct power-up shortcuts (only while playing)
+      if (e.key >= '1' && e.key <= '6' && state === GameState.PLAYING) {
         e.preventDefault();
         this.activatePowerUpDirect(parseInt(e.key) - 1);
       }
-      // Restart game with Enter when game is over
-      if (e.key === 'Enter' && this.gameOver) {
+      // Start from the title screen or restart when game is over with Enter
+      if (e.key === 'Enter' && (state === GameState.TITLE || state === GameState.GAME_OVER)) {
         e.preventDefault();
         this.restart();
       }
     });
-
+    
+    // Pause automatically when the tab is hidden
+    document.addEventListener('visibilitychange', () => {
+      if (!document.hidden) return;
+      
+      if (this.stateMachine.is(GameState.PLAYING)) {
+        this.pause();
+      } else if (this.stateMachine.is(GameState.REPLAY)) {
+        this.replayPlayer.pause();
+      }
+    });
+    
     // Touch controls for iPad
     const canvas = document.getElementById('gameCanvas');
     
@@ -267,9 +317,7 @@ class Game {
       const currentTime = Date.now();
       if (currentTime - this.lastTapTime < this.doubleTapThreshold) {
         // Double tap detected - trigger jump
-        if (!this.gameOver && this.player) {
-          this.playerJump();
-        }
+        this.sendCommand({ type: 'jump' });
       }
       this.lastTapTime = currentTime;
     });
@@ -295,83 +343,190 @@ class Game {
       this.restart();
     });
     
+    document.getElementById('playBtn').addEventListener('click', () => {
+      this.restart();
+    });
+    
+    document.getElementById('modeSelect').addEventListener('change', e => {
+      document.getElementById('teamCountSelect').classList.toggle('hidden', e.target.value !== GameModeType.TEAMS);
+      document.getElementById('survivalTimeSelect').classList.toggle('hidden', e.target.value !== GameModeType.SURVIVAL);
+      this.setLiveOption({ mode: e.target.value });
+      e.target.blur();
+    });
+    
+    document.getElementById('teamCountSelect').addEventListener('change', e => {
+      this.setLiveOption({ teamCount: Number(e.target.value) });
+      e.target.blur();
+    });
+    
+    document.getElementById('survivalTimeSelect').addEventListener('change', e => {
+      this.setLiveOption({ survivalTime: Number(e.target.value) });
+      e.target.blur();
+    });
+    
+    const difficultySelect = document.getElementById('difficultySelect');
+    difficultySelect.value = this.liveOptions.difficulty;
+    difficultySelect.addEventListener('change', e => {
+      this.settings.set('difficulty', e.target.value);
+      this.setLiveOption({ difficulty: e.target.value });
+      e.target.blur();
+    });
+    
+    document.getElementById('pauseBtn').addEventListener('click', () => {
+      this.togglePause();
+    });
+    
+    document.getElementById('resumeBtn').addEventListener('click', () => {
+      this.resume();
+    });
+    
+    document.getElementById('quitBtn').addEventListener('click', () => {
+      this.quitToTitle();
+    });
+    
     document.getElementById('fullscreenBtn').addEventListener('click', () => {
       this.toggleFullscreen();
     });
     
+    document.getElementById('splitBtn').addEventListener('click', () => {
+      this.sendCommand({ type: 'split' });
+    });
+    
+    document.getElementById('ejectBtn').addEventListener('click', () => {
+      this.sendCommand({ type: 'eject' });
+    });
+    
     document.getElementById('spinBtn').addEventListener('click', () => {
-      if (!this.isSpinning && this.spinCooldown <= 0 && !this.gameOver) {
+      if (this.world.canSpin()) {
         this.activateSpinner();
       }
     });
+    
+    document.getElementById('watchReplayBtn').addEventListener('click', () => {
+      if (this.lastReplay) {
+        this.startReplay(this.lastReplay);
+      }
+    });
+    
+    document.getElementById('saveReplayBtn').addEventListener('click', () => {
+      if (this.lastReplay) {
+        ReplayControls.download(this.lastReplay);
+      }
+    });
+    
+    document.querySelectorAll('.load-replay-input').forEach(input => {
+      input.addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        e.target.value = ''; // Allow loading the same file again
+        if (!file) return;
+        
+        try {
+          this.startReplay(parseReplay(await file.text()));
+        } catch (error) {
+          this.hud.showReplayError(error.message);
+        }
+      });
+    });
   }
-  
+
   /**
-   * Handle mobile layout - hide leaderboard and show mobile-specific instructions
+   * Freezes the simulation and shows the pause menu
    */
-  handleMobileLayout() {
-    const isMobile = window.innerHeight > window.innerWidth;
-    const leaderboard = document.getElementById('leaderboard');
-    const instructions = document.getElementById('instructions');
+  pause() {
+    if (!this.stateMachine.is(GameState.PLAYING)) return;
     
-    if (leaderboard) {
-      leaderboard.style.display = isMobile ? 'none' : 'block';
+    // Keys released while paused would otherwise stay pressed
+    this.keys = {};
+    this.touchStartPos = null;
+    this.touchCurrentPos = null;
+    this.stateMachine.transition(GameState.PAUSED);
+  }
+
+  resume() {
+    if (!this.stateMachine.is(GameState.PAUSED)) return;
+    this.stateMachine.transition(GameState.PLAYING);
+  }
+
+  togglePause() {
+    if (this.stateMachine.is(GameState.PLAYING)) {
+      this.pause();
+    } else if (this.stateMachine.is(GameState.PAUSED)) {
+      this.resume();
     }
+  }
+
+  /**
+   * Abandons the current match and returns to the title screen
+   */
+  quitToTitle() {
+    if (!this.stateMachine.is(GameState.PAUSED)) return;
     
-    if (instructions) {
-      if (isMobile) {
-        instructions.innerHTML = `
-          <p>📱 Touch: Swipe left/right to turn, double-tap to jump</p>
-          <p>🎰 Tap SPIN button for power-ups</p>
-          <p>Eat smaller balls to grow. Avoid larger balls!</p>
-        `;
-      } else {
-        instructions.innerHTML = `
-          <p>🎮 Keyboard: ↑ forward, ← → rotate, F fullscreen, Space jump</p>
-          <p>🔢 Power-ups: 1 speed, 2 size, 3 PacMan, 4 Saturn, 5 Earth</p>
-          <p>📱 Touch: Swipe up to move, left/right to turn</p>
-          <p>Eat smaller balls to grow. Avoid larger balls!</p>
-        `;
-      }
+    this.world.reset();
+    this.stateMachine.transition(GameState.TITLE);
+  }
+
+  /**
+   * Keyboard shortcuts while viewing a replay
+   * @param {KeyboardEvent} e - Key event
+   */
+  handleReplayKey(e) {
+    const seekStep = 5 * 60; // 5 seconds of ticks
+    
+    if (e.key === ' ') {
+      e.preventDefault();
+      this.replayPlayer.togglePause();
+    } else if (e.key === 'ArrowLeft') {
+      this.replayPlayer.seek(this.replayPlayer.currentTick - seekStep);
+    } else if (e.key === 'ArrowRight') {
+      this.replayPlayer.seek(this.replayPlayer.currentTick + seekStep);
+    } else if (e.key === 'Escape') {
+      this.exitReplay();
     }
   }
-  
+
   /**
-   * Get terrain height at a specific x,z position
+   * Sends a player command to the world (ignored unless playing)
+   * @param {Object} command - World command
+   * @returns {*} Command result
    */
-  getTerrainHeight(x, z) {
-    // Always return 0 for completely flat ground
-    return 0;
+  sendCommand(command) {
+    if (!this.stateMachine.is(GameState.PLAYING)) return null;
+    return this.world.applyCommand(command);
   }
-  
+
   /**
-   * Calculate terrain slope at position
+   * Starts viewing a replay
+   * If it fails to load, the live match is put back and the error rethrown.
+   * @param {Object} replay - Replay to play
    */
-  getTerrainSlope(x, z) {
-    const delta = 1.0;
-    const h = this.getTerrainHeight(x, z);
-    const hx1 = this.getTerrainHeight(x + delta, z);
-    const hx2 = this.getTerrainHeight(x - delta, z);
-    const hz1 = this.getTerrainHeight(x, z + delta);
-    const hz2 = this.getTerrainHeight(x, z - delta);
-    
-    const slopeX = (hx1 - hx2) / (2 * delta);
-    const slopeZ = (hz1 - hz2) / (2 * delta);
-    
-    return new THREE.Vector3(slopeX, 0, slopeZ);
+  startReplay(replay) {
+    if (!this.stateMachine.can(GameState.REPLAY)) return;
+    
+    try {
+      this.replayPlayer.load(replay);
+    } catch (error) {
+      this.world.setOptions(this.liveOptions);
+      this.world.reset();
+      throw error;
+    }
+    this.recorder.enabled = false;
+    this.stateMachine.transition(GameState.REPLAY);
+    this.replayControls.show();
   }
-  
+
   /**
-   * Make the player ball jump
+   * Leaves the replay viewer and returns to the title screen
    */
-  playerJump() {
-    if (!this.player || this.player.isJumping) return;
-    
-    // Set jump velocity
-    this.player.velocityY = 150; // Jump strength
-    this.player.isJumping = true;
+  exitReplay() {
+    if (!this.stateMachine.is(GameState.REPLAY)) return;
+    
+    this.recorder.enabled = true;
+    this.replayControls.hide();
+    this.world.setOptions(this.liveOptions);
+    this.world.reset();
+    this.stateMachine.transition(GameState.TITLE);
   }
-  
+
   toggleFullscreen() {
     const elem = document.documentElement;
     
@@ -408,21 +563,16 @@ class Game {
   }
 
   handleInput() {
-    if (this.gameOver || !this.player) return;
+    if (this.world.gameOver || !this.world.player) return;
     
     const isMobile = window.innerHeight > window.innerWidth;
     const force = isMobile ? 8.0 : 2.0; // Increased mobile force for faster movement
     const rotationSpeed = 0.01;
+    let thrust = 0;
     
     // Auto-move forward on mobile
     if (isMobile) {
-      const forward = new THREE.Vector3(
-        -Math.sin(this.cameraController.angle),
-        0,
-        -Math.cos(this.cameraController.angle)
-      );
-      forward.normalize().multiplyScalar(force);
-      this.player.applyForce(forward);
+      thrust = force;
     }
     
     // Handle touch input for rotation only
@@ -445,416 +595,105 @@ class Game {
       }
       
       if (this.keys['ArrowUp'] || this.keys['w']) {
-        const forward = new THREE.Vector3(
-          -Math.sin(this.cameraController.angle),
-          0,
-          -Math.cos(this.cameraController.angle)
-        );
-        forward.normalize().multiplyScalar(force);
-        this.player.applyForce(forward);
-      }
-    }
-  }
-
-  checkCollisions() {
-    if (this.gameOver || !this.player) return;
-    
-    // Player vs enemies collisions
-    for (let i = this.enemies.length - 1; i >= 0; i--) {
-      const enemy = this.enemies[i];
-      
-      if (this.player.isColliding(enemy)) {
-        if (this.player.canEat(enemy)) {
-          const points = this.player.eat(enemy);
-          this.score += points;
-          enemy.destroy();
-          this.enemies.splice(i, 1);
-          this.updateUI();
-          this.cameraController.shake(0.5, 100);
-        } else if (enemy.canEat(this.player)) {
-          this.endGame();
-          return;
-        }
+        thrust = force;
       }
     }
     
-    // Enemy vs enemy collisions (more aggressive)
-    for (let i = this.enemies.length - 1; i >= 0; i--) {
-      const enemy = this.enemies[i];
-      
-      for (let j = i - 1; j >= 0; j--) {
-        const otherEnemy = this.enemies[j];
-        
-        if (enemy.isColliding(otherEnemy)) {
-          if (enemy.canEat(otherEnemy)) {
-            enemy.eat(otherEnemy);
-            otherEnemy.destroy();
-            this.enemies.splice(j, 1);
-            i--; // Adjust index since we removed an enemy
-          } else if (otherEnemy.canEat(enemy)) {
-            otherEnemy.eat(enemy);
-            enemy.destroy();
-            this.enemies.splice(i, 1);
-            break; // Exit inner loop since enemy is eaten
-          }
-          // Remove the separation push - let them compete more aggressively
-        }
-      }
-    }
+    // Move in the direction the camera is facing
+    this.sendCommand({ type: 'move', heading: this.cameraController.angle, thrust });
   }
 
-  updateAI() {
-    const isMobile = window.innerHeight > window.innerWidth;
-    
-    // Reduce AI update frequency on mobile
-    if (isMobile && this.frameCount % 2 !== 0) {
-      this.frameCount = (this.frameCount || 0) + 1;
-      return; // Skip every other frame on mobile
-    }
-    this.frameCount = (this.frameCount || 0) + 1;
-    
-    const allBalls = [this.player, ...this.enemies];
-    
-    this.enemies.forEach(enemy => {
-      // Find nearest threat and ideal target
-      const nearestThreat = enemy.findNearestThreat(allBalls);
-      const idealTarget = enemy.findIdealTarget(allBalls);
-      
-      // Priority: Avoid threats first, then hunt ideal targets, then random walk
-      if (nearestThreat) {
-        enemy.avoidThreat(nearestThreat);
-      } else if (idealTarget) {
-        enemy.seekTarget(idealTarget);
-      } else if (Math.random() < 0.2) {
-        enemy.randomWalk();
-      }
-    });
-  }
-
-  spawnEnemies() {
-    const now = Date.now();
-    const spawnRate = calculateSpawnRate(this.score);
-    const maxEnemies = calculateMaxEnemies(this.score);
-    
-    if (now - this.lastSpawnTime > spawnRate && this.enemies.length < maxEnemies) {
-      this.spawnEnemy();
-      this.lastSpawnTime = now;
-    }
-  }
-
-  updateUI() {
-    document.getElementById('scoreValue').textContent = this.score;
-    document.getElementById('sizeValue').textContent = this.player.radius.toFixed(1);
-    this.updateLeaderboard();
-    this.updatePowerUpUI();
-  }
-
-  updateLeaderboard() {
-    const allBalls = [this.player, ...this.enemies].filter(ball => ball);
-    allBalls.sort((a, b) => b.radius - a.radius);
-    
-    // Find biggest non-player ball and make it look like the Sun
-    const biggestNonPlayer = allBalls.find(ball => !ball.isPlayer);
-    if (biggestNonPlayer && biggestNonPlayer.radius >= 25) {
-      biggestNonPlayer.makeSun();
-    }
-    
-    const leaderboardList = document.getElementById('leaderboardList');
-    leaderboardList.innerHTML = '';
-    
-    const topTen = allBalls.slice(0, 10);
-    topTen.forEach((ball, index) => {
-      const entry = document.createElement('div');
-      entry.className = `leaderboard-entry${ball.isPlayer ? ' player' : ''}`;
-      
-      entry.innerHTML = `
-        <span class="rank">${index + 1}.</span>
-        <span class="name">${ball.name}</span>
-        <span class="size">${ball.radius.toFixed(1)}</span>
-      `;
-      
-      leaderboardList.appendChild(entry);
-    });
+  /**
+   * Changes an option of live matches and shows a fresh match with it behind the title screen
+   * @param {Object} options - World options to override
+   */
+  setLiveOption(options) {
+    Object.assign(this.liveOptions, options);
+    this.world.setOptions(options);
+    this.world.reset();
   }
 
-  endGame() {
-    this.gameOver = true;
-    document.getElementById('finalScore').textContent = this.score;
-    document.getElementById('gameOver').classList.remove('hidden');
-    
-    // Hide spinner and power-up UI when game is over
-    document.getElementById('spinner-wheel').classList.add('hidden');
-    document.getElementById('powerup-result').classList.add('hidden');
-    document.getElementById('spinBtn').style.display = 'none';
+  /**
+   * Enters a finished live match in its mode's high score table and shows the table
+   * @param {Object} result - Payload of the 'gameOver' event
+   */
+  recordHighScore(result) {
+    const { mode } = this.world;
+    const table = mode.getHighScoreKey(this.world.options.mode);
+    const value = mode.getHighScore(result);
+    const rank = value === null ? -1 : this.highScores.submit(table, value, mode.lowerIsBetter);
+    this.hud.showHighScores(this.highScores.getTable(table), rank);
   }
 
-  addHeightMarkers() {
-    // No markers needed for flat ground
-  }
-  
+  /**
+   * Starts a live match from the title or game over screen
+   */
   restart() {
-    this.enemies.forEach(enemy => enemy.destroy());
-    this.enemies = [];
-    
-    if (this.player) {
-      this.player.destroy();
+    // The title screen already shows a fresh match
+    if (this.stateMachine.is(GameState.GAME_OVER)) {
+      this.world.reset();
     }
-    
-    this.score = 0;
-    this.gameOver = false;
-    this.lastSpawnTime = 0;
-    this.spinCooldown = 0;
-    this.isSpinning = false;
-    this.powerUpManager.clearAll();
-    
-    this.createPlayer();
-    this.spawnInitialEnemies();
-    this.updateUI();
-    
-    document.getElementById('gameOver').classList.add('hidden');
-    // Show spinner button again
-    document.getElementById('spinBtn').style.display = 'block';
-    document.getElementById('spinBtn').classList.remove('cooldown');
-    document.getElementById('spinBtn').removeAttribute('data-cooldown');
+    this.stateMachine.transition(GameState.PLAYING);
   }
 
   animate() {
     requestAnimationFrame(() => this.animate());
     
-    if (!this.gameOver) {
-      // Use actual frame time instead of fixed 60fps
-      const now = performance.now();
-      const deltaTime = this.lastFrameTime ? Math.min((now - this.lastFrameTime) / 1000, 1/30) : 1/60;
-      this.lastFrameTime = now;
-      
-      // Update power-ups
-      this.updatePowerUps(deltaTime);
-      
-      this.handleInput();
+    const now = performance.now();
+    // Clamp long frames (e.g. after a background tab) to avoid a burst of steps
+    const frameTime = this.lastFrameTime !== null ? Math.min((now - this.lastFrameTime) / 1000, 0.25) : FIXED_TIME_STEP;
+    this.lastFrameTime = now;
+    
+    const state = this.stateMachine.state;
+    if (state === GameState.REPLAY) {
+      this.replayPlayer.update(frameTime);
       
-      // Create terrain object for physics calculations
-      const terrain = {
-        getHeight: (x, z) => this.getTerrainHeight(x, z),
-        getSlope: (x, z) => this.getTerrainSlope(x, z)
-      };
+      // Look where the player was heading
+      this.cameraController.setAngle(this.world.playerInput.heading);
+      this.worldRenderer.update(frameTime, this.replayPlayer.accumulator / FIXED_TIME_STEP);
+      this.cameraController.setZoom(this.worldRenderer.playerFocus.zoom);
+      this.cameraController.update();
       
-      if (this.player) {
-        this.player.terrain = terrain;
-        this.player.update(deltaTime);
+      this.replayControls.update();
+      this.hud.updateFrame();
+      this.aiDebug.update();
+    } else if (state === GameState.PLAYING) {
+      // Advance the simulation in fixed steps, carrying the remainder over
+      this.accumulator += frameTime;
+      while (this.accumulator >= FIXED_TIME_STEP) {
+        this.handleInput();
+        this.world.step(FIXED_TIME_STEP);
+        this.accumulator -= FIXED_TIME_STEP;
       }
       
-      this.enemies.forEach(enemy => {
-        enemy.terrain = terrain;
-        enemy.update(deltaTime);
-      });
-      
-      this.updateAI();
-      this.checkCollisions();
-      this.spawnEnemies();
+      // Render between the last two steps
+      const alpha = this.accumulator / FIXED_TIME_STEP;
+      this.worldRenderer.update(frameTime, alpha);
       
       if (this.cameraController) {
+        // Pull back while split cells are spread apart
+        this.cameraController.setZoom(this.worldRenderer.playerFocus.zoom);
         this.cameraController.update();
       }
       
-      // Update leaderboard less frequently on mobile for better performance
-      const isMobile = window.innerHeight > window.innerWidth;
-      const leaderboardUpdateInterval = isMobile ? 2 : 1; // Every 2 seconds on mobile, 1 second on desktop
-      if (Math.floor(Date.now() / 1000) % leaderboardUpdateInterval === 0) {
-        this.updateLeaderboard();
-      }
+      this.hud.updateFrame();
+      this.aiDebug.update();
     }
     
     this.renderer.render(this.scene, this.camera);
   }
-  
+
   activateSpinner() {
-    this.isSpinning = true;
-    this.spinCooldown = 10; // 10 second cooldown
-    
-    // Hide spin button and show spinner wheel
-    document.getElementById('spinBtn').classList.add('cooldown');
-    document.getElementById('spinner-wheel').classList.remove('hidden');
-    document.getElementById('powerup-result').classList.add('hidden');
-    
-    // Start spinning animation
-    const wheel = document.querySelector('.wheel');
-    wheel.classList.add('spinning');
-    
-    // Get result
-    const result = this.powerUpManager.spinForPowerUp();
-    
-    // Calculate rotation degrees based on result
-    const segmentAngle = 60; // 360 / 6 segments
-    const resultIndex = this.powerUpManager.powerUpTypes.findIndex(p => p.type === result.type);
-    const targetDegrees = 1800 + (resultIndex * segmentAngle) + 30; // 5 rotations + segment position
-    wheel.style.setProperty('--spin-degrees', `${targetDegrees}deg`);
-    
-    // Show result after spin completes
-    setTimeout(() => {
-      this.onSpinComplete(result);
-    }, 4000);
+    this.sendCommand({ type: 'spin' });
   }
-  
+
   activatePowerUpDirect(index) {
-    if (this.gameOver || !this.player) return;
-    
-    const powerUpType = this.powerUpManager.powerUpTypes[index];
+    const powerUpType = this.sendCommand({ type: 'powerUp', index });
     if (!powerUpType) return;
     
-    // Don't allow if same power-up is already active (except Try Again)
-    if (powerUpType.type !== 'tryagain' && this.powerUpManager.hasActivePowerUp(powerUpType.type)) {
-      return;
-    }
-    
     // Show result briefly
-    const resultDiv = document.getElementById('powerup-result');
-    resultDiv.classList.remove('hidden');
-    const colorHex = '#' + powerUpType.color.toString(16).padStart(6, '0');
-    resultDiv.innerHTML = `<span style="color: ${colorHex}">✨ ${powerUpType.name}! ✨</span>`;
-    
-    // Apply power-up
-    if (powerUpType.type !== 'tryagain') {
-      const powerUp = this.powerUpManager.addPowerUp(powerUpType.type);
-      if (powerUp) {
-        this.applyPowerUp(powerUp);
-      }
-    }
-    
-    // Hide result after 2 seconds
-    setTimeout(() => {
-      resultDiv.classList.add('hidden');
-    }, 2000);
-    
-    this.updateUI();
-  }
-  
-  onSpinComplete(result) {
-    this.isSpinning = false;
-    
-    // Hide spinner wheel
-    document.getElementById('spinner-wheel').classList.add('hidden');
-    document.querySelector('.wheel').classList.remove('spinning');
-    
-    // Show result
-    const resultDiv = document.getElementById('powerup-result');
-    resultDiv.classList.remove('hidden');
-    const colorHex = '#' + result.color.toString(16).padStart(6, '0');
-    resultDiv.innerHTML = `<span style="color: ${colorHex}">✨ ${result.name}! ✨</span>`;
-    
-    // Apply power-up
-    if (result.type !== 'tryagain') {
-      const powerUp = this.powerUpManager.addPowerUp(result.type);
-      if (powerUp) {
-        this.applyPowerUp(powerUp);
-      }
-    } else {
-      // Try again - reset cooldown faster
-      this.spinCooldown = 2;
-    }
-    
-    // Hide result after 3 seconds
-    setTimeout(() => {
-      resultDiv.classList.add('hidden');
-    }, 3000);
-    
-    this.updateUI();
-  }
-  
-  applyPowerUp(powerUp) {
-    if (!this.player) return;
-    
-    switch(powerUp.type) {
-      case 'speed':
-        this.player.setSpeedBoost(2);
-        break;
-      case 'size':
-        this.player.setSizeBoost(1.2);
-        break;
-      case 'pacman':
-      case 'saturn':
-      case 'earth':
-        this.player.setSkin(powerUp.type);
-        break;
-    }
-  }
-  
-  removePowerUp(powerUp) {
-    if (!this.player) return;
-    
-    switch(powerUp.type) {
-      case 'speed':
-        this.player.setSpeedBoost(1);
-        break;
-      case 'size':
-        this.player.setSizeBoost(1);
-        break;
-      case 'pacman':
-      case 'saturn':
-      case 'earth':
-        this.player.setSkin('default');
-        break;
-    }
-  }
-  
-  updatePowerUps(deltaTime) {
-    // Update cooldown
-    if (this.spinCooldown > 0) {
-      this.spinCooldown -= deltaTime;
-      
-      // Update button with cooldown
-      const spinBtn = document.getElementById('spinBtn');
-      if (this.spinCooldown > 0) {
-        spinBtn.setAttribute('data-cooldown', Math.ceil(this.spinCooldown) + 's');
-        spinBtn.classList.add('cooldown');
-      } else {
-        spinBtn.removeAttribute('data-cooldown');
-        spinBtn.classList.remove('cooldown');
-      }
-    }
-    
-    // Check for expired power-ups
-    const expiredPowerUps = this.powerUpManager.activePowerUps.filter(p => p.isExpired());
-    expiredPowerUps.forEach(powerUp => {
-      this.removePowerUp(powerUp);
-    });
-    
-    // Update manager
-    this.powerUpManager.update();
-  }
-  
-  updatePowerUpUI() {
-    const container = document.getElementById('active-powerups');
-    container.innerHTML = '';
-    
-    this.powerUpManager.activePowerUps.forEach(powerUp => {
-      const indicator = document.createElement('div');
-      indicator.className = 'powerup-indicator';
-      
-      const icon = {
-        speed: '⚡',
-        size: '🎈',
-        pacman: '👾',
-        saturn: '🪐',
-        earth: '🌍'
-      }[powerUp.type] || '✨';
-      
-      const name = {
-        speed: 'Speed Boost',
-        size: 'Size Boost',
-        pacman: 'PacMan Skin',
-        saturn: 'Saturn Skin',
-        earth: 'Earth Skin'
-      }[powerUp.type] || 'Power-Up';
-      
-      const remaining = Math.ceil(powerUp.getRemainingTime() / 1000);
-      
-      indicator.innerHTML = `
-        <span>${icon} ${name}</span>
-        <span class="powerup-timer">${remaining}s</span>
-      `;
-      
-      container.appendChild(indicator);
-    });
+    this.hud.showPowerUpResult(powerUpType, 2000);
+    this.hud.update();
   }
 }
 
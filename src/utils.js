@@ -1,22 +1,40 @@
-export function randomColor() {
+export function randomColor(rng) {
   const colors = [
     0xff0000, 0x00ff00, 0x0000ff, 0xffff00, 
     0xff00ff, 0x00ffff, 0xffa500, 0x800080,
     0xffc0cb, 0x40e0d0, 0xff6347, 0x7fffd4
   ];
-  return colors[Math.floor(Math.random() * colors.length)];
+  return rng.pick(colors);
 }
 
-export function randomPosition(boundary) {
+/**
+ * Picks a random point on the ground
+ * @param {number} boundary - Half width of a square, or radius of a circle
+ * @param {Random} rng - Random source
+ * @param {string} shape - 'square' or 'circle'
+ * @returns {Object} Position {x, y, z} with y = 0
+ */
+export function randomPosition(boundary, rng, shape = 'square') {
+  if (shape === 'circle') {
+    // Square root keeps the density even instead of crowding the center
+    const distance = Math.sqrt(rng.next()) * boundary;
+    const angle = rng.next() * Math.PI * 2;
+    return {
+      x: Math.cos(angle) * distance,
+      y: 0,
+      z: Math.sin(angle) * distance
+    };
+  }
+  
   return {
-    x: (Math.random() - 0.5) * boundary * 2,
+    x: (rng.next() - 0.5) * boundary * 2,
     y: 0,
-    z: (Math.random() - 0.5) * boundary * 2
+    z: (rng.next() - 0.5) * boundary * 2
   };
 }
 
-export function randomSize(min, max) {
-  return Math.random() * (max - min) + min;
+export function randomSize(min, max, rng) {
+  return rng.range(min, max);
 }
 
 export function lerp(start, end, factor) {
@@ -27,6 +45,82 @@ export function clamp(value, min, max) {
   return Math.max(min, Math.min(value, max));
 }
 
+/**
+ * Eases a value towards a target independently of frame rate
+ * @param {number} current - Current value
+ * @param {number} target - Value to approach
+ * @param {number} rate - Speed; higher reaches the target sooner (1/seconds)
+ * @param {number} deltaTime - Seconds since last update
+ * @returns {number} Eased value
+ */
+export function approach(current, target, rate, deltaTime) {
+  return lerp(current, target, 1 - Math.exp(-rate * deltaTime));
+}
+
+/**
+ * Formats a duration as minutes and seconds
+ * @param {number} seconds - Duration in seconds
+ * @param {number} decimals - Digits shown after the seconds
+ * @returns {string} e.g. "1:05" or "1:05.3"
+ */
+export function formatDuration(seconds, decimals = 0) {
+  // Round first, so 59.96 shows as 1:00.0 rather than 0:60.0
+  const factor = Math.pow(10, decimals);
+  const total = Math.round(Math.max(0, seconds) * factor) / factor;
+  const minutes = Math.floor(total / 60);
+  const rest = (total - minutes * 60).toFixed(decimals);
+  return `${minutes}:${rest.padStart(decimals ? decimals + 3 : 2, '0')}`;
+}
+
+/**
+ * The browser's localStorage, if it may be used
+ * @returns {Storage|null} Storage, or null under Node or when it is blocked
+ */
+export function getLocalStorage() {
+  try {
+    return globalThis.localStorage ?? null;
+  } catch {
+    // Reading localStorage throws when the browser blocks site data
+    return null;
+  }
+}
+
+/**
+ * Reads an object saved with writeJSON()
+ * Without storage (e.g. under Node, or with storage disabled) nothing is
+ * ever saved, so what callers keep only lasts for the session.
+ * @param {Storage|null} storage - Storage from getLocalStorage()
+ * @param {string} key - Storage key
+ * @returns {Object|null} Saved object, or null if missing, corrupt or unreadable
+ */
+export function readJSON(storage, key) {
+  if (!storage) return null;
+  
+  try {
+    const value = JSON.parse(storage.getItem(key));
+    return value && typeof value === 'object' ? value : null;
+  } catch {
+    // Corrupt or inaccessible storage: callers start over rather than break the game
+    return null;
+  }
+}
+
+/**
+ * Saves a value as JSON, if storage is available
+ * @param {Storage|null} storage - Storage from getLocalStorage()
+ * @param {string} key - Storage key
+ * @param {*} value - Value to save
+ */
+export function writeJSON(storage, key, value) {
+  if (!storage) return;
+  
+  try {
+    storage.setItem(key, JSON.stringify(value));
+  } catch {
+    // Storage full or blocked; the value still lasts for this session
+  }
+}
+
 export function calculateSpawnRate(score) {
   const baseRate = 2000;
   const minRate = 500;
@@ -39,10 +133,10 @@ export function calculateMaxEnemies(score) {
   const baseMax = 50;
   const increment = Math.floor(score / 200);
   
-  return Math.min(baseMax + increment, 100);
+  return Math.min(baseMax + increment, 500);
 }
 
-export function generateAIName() {
+export function generateAIName(rng) {
   const names = [
     'Alpha', 'Beta', 'Gamma', 'Delta', 'Epsilon', 'Zeta', 'Eta', 'Theta',
     'Iota', 'Kappa', 'Lambda', 'Mu', 'Nu', 'Xi', 'Omicron', 'Pi',
@@ -51,5 +145,5 @@ export function generateAIName() {
     'Ion', 'Jinx', 'Knox', 'Lynx', 'Max', 'Neo', 'Orb', 'Phoenix',
     'Quest', 'Rex', 'Storm', 'Titan', 'Ultra', 'Vex', 'Wolf', 'Zap'
   ];
-  return names[Math.floor(Math.random() * names.length)] + Math.floor(Math.random() * 999);
+  return rng.pick(names) + rng.int(999);
 }
\ No newline at end of file